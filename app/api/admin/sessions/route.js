@@ -0,0 +1,44 @@
+// app/api/admin/sessions/route.js
+// Session issuing for the metered endpoints (requires x-admin-token)
+//   POST { userId, ttlDays? }  -> { userId, token, expiresAt }
+// Callers send the token as `Authorization: Bearer <token>` or in the
+// scenaryoze_session cookie; see lib/session.js.
+import { NextResponse } from "next/server";
+import { requireAdmin } from "../../../../lib/admin";
+import { signSession } from "../../../../lib/session";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+const MAX_TTL_DAYS = 365;
+
+export async function POST(req) {
+  const denied = requireAdmin(req);
+  if (denied) return denied;
+
+  let payload;
+  try {
+    payload = await req.json();
+  } catch {
+    return NextResponse.json({ error: "Invalid JSON in request body" }, { status: 400 });
+  }
+
+  const userId = typeof payload?.userId === 'string' ? payload.userId.trim() : '';
+  if (!userId || userId.length > 128 || userId.startsWith('anon:')) {
+    return NextResponse.json({ error: "userId is required (up to 128 characters, not anon:)" }, { status: 400 });
+  }
+  const ttlDays = payload.ttlDays === undefined ? 30 : Number(payload.ttlDays);
+  if (!(ttlDays > 0 && ttlDays <= MAX_TTL_DAYS)) {
+    return NextResponse.json({ error: `ttlDays must be between 0 and ${MAX_TTL_DAYS}` }, { status: 400 });
+  }
+
+  const session = signSession(userId, ttlDays * 24 * 60 * 60);
+  if (!session) {
+    return NextResponse.json({ error: "Sessions are disabled (SESSION_SECRET is not set)" }, { status: 503 });
+  }
+
+  console.log(`Session issued for ${userId} until ${session.expiresAt}`);
+  return NextResponse.json({ userId, ...session }, {
+    headers: { "Cache-Control": "no-store" },
+  });
+}
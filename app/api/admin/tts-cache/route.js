@@ -0,0 +1,46 @@
+// app/api/admin/tts-cache/route.js
+// TTS disk cache administration (requires x-admin-token)
+//   GET    -> entry count, bytes, hit rate, age histogram
+//   POST   -> run the TTL / size-cap sweeper now
+//   DELETE -> purge ?voice=shawn, ?user=<id>, or ?all=1
+import { NextResponse } from "next/server";
+import { requireAdmin } from "../../../../lib/admin";
+import { getCacheStats, sweepCache, purgeCache } from "../../../../lib/tts/cache";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+export async function GET(req) {
+  const denied = requireAdmin(req);
+  if (denied) return denied;
+
+  return NextResponse.json(await getCacheStats(), {
+    headers: { "Cache-Control": "no-store" },
+  });
+}
+
+export async function POST(req) {
+  const denied = requireAdmin(req);
+  if (denied) return denied;
+
+  return NextResponse.json(await sweepCache());
+}
+
+export async function DELETE(req) {
+  const denied = requireAdmin(req);
+  if (denied) return denied;
+
+  const params = req.nextUrl.searchParams;
+  const voice = params.get("voice")?.trim().toLowerCase() || undefined;
+  const userId = params.get("user")?.trim() || undefined;
+
+  // Refuse an unfiltered purge unless it was asked for explicitly
+  if (!voice && !userId && params.get("all") !== "1") {
+    return NextResponse.json(
+      { error: "Specify voice, user, or all=1" },
+      { status: 400 }
+    );
+  }
+
+  return NextResponse.json(await purgeCache({ voice, userId }));
+}
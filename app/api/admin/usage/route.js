@@ -0,0 +1,50 @@
+// app/api/admin/usage/route.js
+// Usage and plan administration (requires x-admin-token)
+//   GET  ?user=<id>            -> plan and usage for the current period
+//   POST { userId, plan }      -> assign a plan
+import { NextResponse } from "next/server";
+import { requireAdmin } from "../../../../lib/admin";
+import { PLANS } from "../../../../lib/plans";
+import { getUsage, getUserPlan, setUserPlan } from "../../../../lib/metering";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+export async function GET(req) {
+  const denied = requireAdmin(req);
+  if (denied) return denied;
+
+  const userId = req.nextUrl.searchParams.get("user")?.trim();
+  if (!userId) {
+    return NextResponse.json({ error: "user is required" }, { status: 400 });
+  }
+
+  const usage = await getUsage({ userId, plan: await getUserPlan(userId) });
+  return NextResponse.json(usage, {
+    headers: { "Cache-Control": "no-store" },
+  });
+}
+
+export async function POST(req) {
+  const denied = requireAdmin(req);
+  if (denied) return denied;
+
+  let payload;
+  try {
+    payload = await req.json();
+  } catch {
+    return NextResponse.json({ error: "Invalid JSON in request body" }, { status: 400 });
+  }
+
+  const userId = typeof payload?.userId === 'string' ? payload.userId.trim() : '';
+  if (!userId || !PLANS[payload.plan]) {
+    return NextResponse.json(
+      { error: `userId and plan (${Object.keys(PLANS).join(', ')}) are required` },
+      { status: 400 }
+    );
+  }
+
+  const user = await setUserPlan(userId, payload.plan);
+  console.log(`Plan for ${userId} set to ${user.plan}`);
+  return NextResponse.json({ userId, ...user });
+}
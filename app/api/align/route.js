@@ -0,0 +1,137 @@
+// app/api/align/route.js
+// Forced alignment of a known script against its audio. Returns word and
+// line timings for the script's own text, so captions never re-spell it.
+import { NextResponse } from "next/server";
+import { promises as fs } from "fs";
+import path from "path";
+import { alignScript, ALIGNERS } from "../../../lib/asr/align";
+import { resolveUser, checkQuota, recordUsage } from "../../../lib/metering";
+import { TEMP_DIR, ensureDir, generateTempId, cleanupFile } from "../../../lib/tts/pipeline";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const maxDuration = 60;
+
+/* ------------------ CONFIG ------------------ */
+const MAX_FILE_SIZE = 100 * 1024 * 1024;
+const MAX_LINES = 2000;
+
+/* ------------------ HELPERS ------------------ */
+function parseJsonField(formData, name) {
+  const raw = formData.get(name);
+  if (raw === null || raw === '') return undefined;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Script lines come from `lines` (JSON array of strings) or `text`
+ * (one line per non-empty row). Returns { error } or { lines }.
+ */
+function parseLines(formData) {
+  const lines = parseJsonField(formData, 'lines');
+  if (lines !== undefined) {
+    if (!Array.isArray(lines) || !lines.every((line) => typeof line === 'string')) {
+      return { error: 'lines must be a JSON array of strings' };
+    }
+    if (!lines.length || lines.length > MAX_LINES) {
+      return { error: `Between 1 and ${MAX_LINES} lines are required` };
+    }
+    return { lines };
+  }
+  const text = (formData.get('text') || '').toString();
+  const rows = text.split('\n').map((row) => row.trim()).filter(Boolean);
+  if (!rows.length) return { error: 'Script text is required' };
+  if (rows.length > MAX_LINES) return { error: `Maximum ${MAX_LINES} lines allowed` };
+  return { lines: rows };
+}
+
+/* ------------------ MAIN API HANDLER ------------------ */
+export async function POST(req) {
+  let formData;
+  try {
+    formData = await req.formData();
+  } catch (error) {
+    console.error('Failed to parse form data:', error);
+    return NextResponse.json({ error: 'Invalid form data' }, { status: 400 });
+  }
+
+  const file = formData.get('audio') || formData.get('file');
+  if (!file || typeof file === 'string') {
+    return NextResponse.json({ error: 'No audio file provided' }, { status: 400 });
+  }
+  if (file.size > MAX_FILE_SIZE) {
+    return NextResponse.json({ error: `File too large. Maximum size is ${MAX_FILE_SIZE / 1024 / 1024}MB` }, { status: 400 });
+  }
+
+  const { error: linesError, lines } = parseLines(formData);
+  if (linesError) {
+    return NextResponse.json({ error: linesError }, { status: 400 });
+  }
+
+  const timings = parseJsonField(formData, 'timings');
+  if (timings === null || (timings !== undefined && !Array.isArray(timings))) {
+    return NextResponse.json({ error: 'timings must be a JSON array of { lineIndex, startTime, endTime }' }, { status: 400 });
+  }
+
+  const aligner = (formData.get('aligner') || 'energy').toString();
+  if (!ALIGNERS.includes(aligner)) {
+    return NextResponse.json({ error: `aligner must be one of: ${ALIGNERS.join(', ')}` }, { status: 400 });
+  }
+
+  // Only the ASR aligner runs a transcription, so only it is metered
+  const identity = await resolveUser(req);
+  if (aligner === 'asr') {
+    const overQuota = await checkQuota(identity, 'transcriptionMinutes', 0);
+    if (overQuota) return overQuota;
+  }
+
+  await ensureDir(TEMP_DIR);
+  const ext = path.extname(file.name || '').replace(/[^.\w]/g, '') || '.mp3';
+  const audioPath = path.join(TEMP_DIR, `align_${generateTempId()}${ext}`);
+
+  try {
+    await fs.writeFile(audioPath, Buffer.from(await file.arrayBuffer()));
+
+    const result = await alignScript(audioPath, lines, {
+      aligner,
+      timings,
+      provider: formData.get('provider') || undefined,
+      language: (formData.get('language') || '').toString().trim().slice(0, 8) || undefined,
+    });
+
+    if (aligner === 'asr') await recordUsage(identity, 'transcriptionMinutes', result.duration / 60);
+
+    console.log(`Aligned ${result.lines.length} lines / ${result.words.length} timed words over ${result.duration.toFixed(2)}s`);
+
+    return NextResponse.json({
+      success: true,
+      aligner: result.aligner,
+      duration: result.duration,
+      text: result.lines.map((line) => line.text).filter(Boolean).join(' '),
+      // Caption-shaped segments, one per script line
+      segments: result.lines
+        .filter((line) => line.text && line.end > line.start)
+        .map((line) => ({
+          lineIndex: line.index,
+          start: line.start,
+          end: line.end,
+          text: line.text,
+          ...(line.words.length && { words: line.words }),
+        })),
+      lines: result.lines,
+      words: result.words,
+    });
+  } catch (error) {
+    console.error('Alignment failed:', error.message);
+    return NextResponse.json(
+      { error: error.userMessage || 'Alignment failed', code: error.code },
+      { status: error.status || 500 }
+    );
+  } finally {
+    await cleanupFile(audioPath);
+  }
+}
@@ -4,6 +4,9 @@ import { spawn } from "child_process";
 import { promises as fs } from "fs";
 import path from "path";
 import { createHash } from "crypto";
+import { resolveUser, checkQuota, recordUsage } from "../../../lib/metering";
+import { probeDuration } from "../../../lib/audio/ffmpeg";
+import { parseExportFields, writeExportFiles, exportMuxArgs } from "../../../lib/video/metadata";
 
 export const runtime = "nodejs";
 export const dynamic = "force-dynamic";
@@ -44,20 +47,35 @@ function findFFmpegPath() {
   return 'ffmpeg';
 }
 
-async function convertWebMToMP4(inputPath, outputPath) {
+/**
+ * `subtitlePath` (SRT) becomes a mov_text track tagged with `language`;
+ * `metadataPath` (FFMETADATA) supplies title, description and chapters.
+ * `copyVideo` keeps an already-H.264 stream (WebCodecs MP4 exports) as is.
+ */
+async function convertWebMToMP4(inputPath, outputPath, { subtitlePath, metadataPath, language = 'und', copyVideo = false } = {}) {
   const ffmpegPath = findFFmpegPath();
   
   return new Promise((resolve) => {
+    const mux = exportMuxArgs(1, { subtitlePath, metadataPath, language });
+    const mapping = mux.inputs.length ? ['-map', '0:v:0', '-map', '0:a?', ...mux.outputs] : [];
+
     // --- CRITICAL FIX APPLIED HERE ---
     // Switched from 'medium' preset to 'ultrafast' to ensure completion within serverless limits.
     // Adjusted CRF to 28 to maintain reasonable quality and file size with the faster preset.
+    const video = copyVideo
+      ? ['-c:v', 'copy']
+      : [
+          '-c:v', 'libx264',              // Video codec
+          '-preset', 'medium',            // Encoding speed vs quality balance
+          '-crf', '23',                   // Quality setting (18-28 range)
+        ];
     const args = [
       '-i', inputPath,                    // Input file
-      '-c:v', 'libx264',                  // Video codec
+      ...mux.inputs,                      // Captions / metadata
+      ...mapping,
+      ...video,
       '-c:a', 'aac',                      // Audio codec
       '-af', 'afade=t=in:st=0:d=0.3',     // 0.3 second audio fade-in
-      '-preset', 'medium',                // Encoding speed vs quality balance
-      '-crf', '23',                       // Quality setting (18-28 range)
       '-movflags', '+faststart',          // Web optimization
       '-y',                               // Overwrite output file
       outputPath                          // Output file
@@ -105,6 +123,16 @@ export async function POST(req) {
   const tempId = generateTempId();
   let inputPath = null;
   let outputPath = null;
+  let subtitlePath = null;
+  let metadataPath = null;
+
+  // Every temp file this request wrote
+  const cleanupAll = async () => {
+    if (inputPath) await cleanupFile(inputPath);
+    if (outputPath) await cleanupFile(outputPath);
+    if (subtitlePath) await cleanupFile(subtitlePath);
+    if (metadataPath) await cleanupFile(metadataPath);
+  };
 
   try {
     await ensureTempDir();
@@ -119,13 +147,23 @@ export async function POST(req) {
       return NextResponse.json({ error: `File too large. Max is ${MAX_FILE_SIZE / 1024 / 1024}MB` }, { status: 413 });
     }
 
-    if (!file.type.includes('webm') && !file.name.toLowerCase().includes('webm')) {
-        return NextResponse.json({ error: 'Only WebM files are supported' }, { status: 400 });
+    const isMP4 = file.type.includes('mp4') || file.name.toLowerCase().endsWith('.mp4');
+    if (!isMP4 && !file.type.includes('webm') && !file.name.toLowerCase().includes('webm')) {
+        return NextResponse.json({ error: 'Only WebM or MP4 files are supported' }, { status: 400 });
+    }
+
+    const extras = parseExportFields(formData);
+    if (extras.error) {
+      return NextResponse.json({ error: extras.error }, { status: 400 });
     }
 
+    const identity = await resolveUser(req);
+    const overQuota = await checkQuota(identity, 'videoConversions', 1);
+    if (overQuota) return overQuota;
+
     console.log(`Processing video conversion: ${file.name} (${file.size} bytes)`);
 
-    inputPath = path.join(TEMP_DIR, `input_${tempId}.webm`);
+    inputPath = path.join(TEMP_DIR, `input_${tempId}.${isMP4 ? 'mp4' : 'webm'}`);
     outputPath = path.join(TEMP_DIR, `output_${tempId}.mp4`);
 
     const buffer = Buffer.from(await file.arrayBuffer());
@@ -133,9 +171,23 @@ export async function POST(req) {
 
     console.log(`Input file written: ${inputPath}`);
 
-    const conversionResult = await convertWebMToMP4(inputPath, outputPath);
+    // MediaRecorder WebMs often carry no duration; the captions' end closes the last chapter then
+    const lastEnd = Math.max(0, ...(extras.segments || []).map((s) => Number(s.end) || 0));
+    ({ subtitlePath, metadataPath } = await writeExportFiles(
+      extras,
+      path.join(TEMP_DIR, `export_${tempId}`),
+      (await probeDuration(inputPath)) || lastEnd
+    ));
+
+    const conversionResult = await convertWebMToMP4(inputPath, outputPath, {
+      subtitlePath,
+      metadataPath,
+      language: extras.language,
+      copyVideo: isMP4,
+    });
 
     if (!conversionResult.success) {
+      await cleanupAll();
       return NextResponse.json({
         error: 'Video conversion failed on the server',
         ffmpegPath: conversionResult.ffmpegPath,
@@ -148,6 +200,7 @@ export async function POST(req) {
       if (outputStats.size === 0) throw new Error('Output file is empty');
       console.log(`Conversion successful: ${outputStats.size} bytes`);
     } catch (error) {
+      await cleanupAll();
       return NextResponse.json({
         error: 'Conversion succeeded but output file is invalid',
         stderrTail: conversionResult.stderr,
@@ -155,11 +208,9 @@ export async function POST(req) {
     }
 
     const outputBuffer = await fs.readFile(outputPath);
+    await recordUsage(identity, 'videoConversions', 1);
 
-    setTimeout(async () => {
-      if (inputPath) await cleanupFile(inputPath);
-      if (outputPath) await cleanupFile(outputPath);
-    }, CLEANUP_DELAY);
+    setTimeout(cleanupAll, CLEANUP_DELAY);
 
     return new NextResponse(outputBuffer, {
       status: 200,
@@ -176,8 +227,7 @@ export async function POST(req) {
       tempId,
     });
 
-    if (inputPath) await cleanupFile(inputPath);
-    if (outputPath) await cleanupFile(outputPath);
+    await cleanupAll();
 
     return NextResponse.json({
       error: 'An unexpected error occurred during video conversion.',
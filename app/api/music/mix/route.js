@@ -0,0 +1,125 @@
+// app/api/music/mix/route.js
+// Mix a music bed under existing audio (TTS output or an uploaded recording).
+// multipart/form-data:
+//   file    - the voice audio
+//   bed     - library bed id, or
+//   music   - an uploaded music file
+//   options - JSON { introDb, underDb, outroSeconds, fadeInSeconds, fadeOutSeconds }
+//   ranges  - JSON [{ start, end }] speech ranges in seconds (optional)
+//   format  - output format (default mp3)
+import { NextResponse } from "next/server";
+import { promises as fs } from "fs";
+import path from "path";
+import { TEMP_DIR, generateTempId } from "../../../../lib/tts/pipeline";
+import { parseMusicOptions, findMusicBed, mixMusicBed } from "../../../../lib/audio/music";
+import { OUTPUT_FORMATS, parseOutputOptions, encodeOutput } from "../../../../lib/audio/encode";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const maxDuration = 120;
+
+const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB per uploaded file
+const MAX_RANGES = 2000;
+
+function parseJsonField(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
+function validRanges(ranges) {
+  return Array.isArray(ranges) && ranges.length <= MAX_RANGES &&
+    ranges.every((r) => r && Number.isFinite(r.start) && Number.isFinite(r.end) && r.start >= 0 && r.end >= r.start);
+}
+
+async function cleanup(files) {
+  for (const file of files) {
+    await fs.unlink(file).catch(() => {});
+  }
+}
+
+export async function POST(req) {
+  const tempId = generateTempId();
+  const tempFiles = [];
+
+  try {
+    const formData = await req.formData();
+    const voice = formData.get('file');
+    const upload = formData.get('music');
+    const bedId = formData.get('bed');
+
+    if (!voice || typeof voice === 'string') {
+      return NextResponse.json({ error: 'No audio file provided' }, { status: 400 });
+    }
+    if (voice.size > MAX_FILE_SIZE || (upload && typeof upload !== 'string' && upload.size > MAX_FILE_SIZE)) {
+      return NextResponse.json({ error: `File too large. Max is ${MAX_FILE_SIZE / 1024 / 1024}MB` }, { status: 413 });
+    }
+
+    const rawOptions = parseJsonField(formData.get('options'), {});
+    const ranges = parseJsonField(formData.get('ranges'), []);
+    const { errors, music } = parseMusicOptions(rawOptions || {}, { requireBed: false });
+    const { errors: outputErrors, output } = parseOutputOptions({ format: formData.get('format') || undefined });
+    errors.push(...outputErrors);
+    if (rawOptions === undefined) errors.push('Options must be valid JSON');
+    if (!validRanges(ranges)) errors.push('Ranges must be a JSON array of { start, end } seconds');
+    if (!bedId && (!upload || typeof upload === 'string')) errors.push('Provide a library bed or a music file');
+
+    if (errors.length > 0) {
+      return NextResponse.json({ error: errors.join('; ') }, { status: 400 });
+    }
+
+    await fs.mkdir(TEMP_DIR, { recursive: true });
+
+    let musicPath;
+    if (bedId) {
+      const bed = await findMusicBed(String(bedId));
+      if (!bed) {
+        return NextResponse.json({ error: `Unknown music bed: ${bedId}` }, { status: 400 });
+      }
+      musicPath = bed.file;
+    } else {
+      musicPath = path.join(TEMP_DIR, `bed_${tempId}${path.extname(upload.name || '') || '.mp3'}`);
+      await fs.writeFile(musicPath, Buffer.from(await upload.arrayBuffer()));
+      tempFiles.push(musicPath);
+    }
+
+    const voicePath = path.join(TEMP_DIR, `voice_${tempId}${path.extname(voice.name || '') || '.webm'}`);
+    const mixedPath = path.join(TEMP_DIR, `mixed_${tempId}.wav`);
+    const format = OUTPUT_FORMATS[output.format];
+    const outputPath = path.join(TEMP_DIR, `mixout_${tempId}.${format.ext}`);
+    tempFiles.push(voicePath, mixedPath, outputPath);
+    await fs.writeFile(voicePath, Buffer.from(await voice.arrayBuffer()));
+
+    const mix = await mixMusicBed(voicePath, musicPath, mixedPath, music, ranges, { sampleRate: output.sampleRate });
+    if (!mix.success) {
+      console.error('Music mix failed:', mix.stderr);
+      return NextResponse.json({ error: 'Adding background music failed', stderrTail: mix.stderr }, { status: 500 });
+    }
+
+    const encoded = await encodeOutput(mixedPath, outputPath, output);
+    if (!encoded.success) {
+      console.error('Music mix encode failed:', encoded.stderr);
+      return NextResponse.json({ error: 'Audio encoding failed', stderrTail: encoded.stderr }, { status: 500 });
+    }
+
+    const audio = await fs.readFile(outputPath);
+    console.log(`Music mix completed: ${audio.length} bytes ${output.format}, ${mix.duration.toFixed(2)}s`);
+
+    return new NextResponse(audio, {
+      status: 200,
+      headers: {
+        "Content-Type": format.contentType,
+        "X-Audio-Format": output.format,
+        "X-Audio-Duration": mix.duration.toFixed(3),
+      },
+    });
+  } catch (error) {
+    console.error('Music mix handler error:', error.message);
+    return NextResponse.json({ error: 'An unexpected error occurred while mixing music.' }, { status: 500 });
+  } finally {
+    await cleanup(tempFiles);
+  }
+}
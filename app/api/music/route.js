@@ -0,0 +1,15 @@
+// app/api/music/route.js
+// Music bed library (files in MUSIC_LIBRARY_DIR, default public/music)
+import { NextResponse } from "next/server";
+import { listMusicBeds, DEFAULT_MUSIC } from "../../../lib/audio/music";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  const beds = (await listMusicBeds()).map(({ id, name, url }) => ({ id, name, url }));
+
+  return NextResponse.json({ beds, defaults: DEFAULT_MUSIC }, {
+    headers: { "Cache-Control": "no-store" },
+  });
+}
@@ -0,0 +1,175 @@
+// app/api/render/route.js
+// Server-side MP4 rendering from audio plus caption segments, for browsers
+// that cannot record a canvas and for scenarios too long to capture in
+// real time. Draws the same frames as the browser export.
+//   POST multipart: file (audio), segments (JSON), options (JSON), artwork (up to 3 images),
+//     captions=1 plus the /api/convert-mp4 metadata fields (language, title, description, chapters)
+//     options: { aspect, resolution, presetIdx, autoBg, highlight, speakers, voices, artOpacity, transcript }
+import { NextResponse } from "next/server";
+import { promises as fs } from "fs";
+import path from "path";
+import { renderVideo } from "../../../lib/render/video";
+import { parseExportFields, writeExportFiles } from "../../../lib/video/metadata";
+import { HIGHLIGHT_MODES, ASPECT_RATIOS, RESOLUTIONS, DEFAULT_ASPECT, DEFAULT_RESOLUTION, formatSize } from "../../../lib/render/frame";
+import { resolveUser, checkQuota, recordUsage } from "../../../lib/metering";
+import { TEMP_DIR, ensureDir, generateTempId, cleanupFile } from "../../../lib/tts/pipeline";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+export const maxDuration = 300;
+
+/* ------------------ CONFIG ------------------ */
+const MAX_FILE_SIZE = 100 * 1024 * 1024;
+const MAX_ARTWORK_SIZE = 10 * 1024 * 1024;
+const MAX_ARTWORKS = 3;
+const MAX_SPEAKERS = 8;
+
+/* ------------------ HELPERS ------------------ */
+function parseJsonField(formData, name) {
+  const raw = formData.get(name);
+  if (raw === null || raw === '') return undefined;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Render options from the `options` JSON field, with defaults for
+ * anything missing. Returns { error } or { options }.
+ */
+function parseOptions(raw) {
+  if (raw === null || (raw !== undefined && (typeof raw !== 'object' || Array.isArray(raw)))) {
+    return { error: 'options must be a JSON object' };
+  }
+  const input = raw || {};
+
+  const highlight = input.highlight ?? 'none';
+  if (!HIGHLIGHT_MODES[highlight]) {
+    return { error: `highlight must be one of: ${Object.keys(HIGHLIGHT_MODES).join(', ')}` };
+  }
+
+  const aspect = input.aspect ?? DEFAULT_ASPECT;
+  if (!ASPECT_RATIOS[aspect]) {
+    return { error: `aspect must be one of: ${Object.keys(ASPECT_RATIOS).join(', ')}` };
+  }
+  const resolution = input.resolution ?? DEFAULT_RESOLUTION;
+  if (!RESOLUTIONS[resolution]) {
+    return { error: `resolution must be one of: ${Object.keys(RESOLUTIONS).join(', ')}` };
+  }
+
+  const speakers = input.speakers ?? [];
+  if (!Array.isArray(speakers) || speakers.length > MAX_SPEAKERS || !speakers.every((s) => typeof s === 'string')) {
+    return { error: `speakers must be an array of up to ${MAX_SPEAKERS} names` };
+  }
+
+  const voices = input.voices && typeof input.voices === 'object' ? input.voices : {};
+  const artOpacity = Number(input.artOpacity ?? 1);
+
+  return {
+    options: {
+      ...formatSize(aspect, resolution),
+      presetIdx: Math.floor(Number(input.presetIdx) || 0),
+      autoBg: input.autoBg !== false,
+      highlight,
+      speakers,
+      voices,
+      artOpacity: Number.isFinite(artOpacity) ? Math.min(1, Math.max(0, artOpacity)) : 1,
+      transcriptText: typeof input.transcript === 'string' ? input.transcript.slice(0, 100000) : '',
+    },
+  };
+}
+
+/* ------------------ MAIN API HANDLER ------------------ */
+export async function POST(req) {
+  let formData;
+  try {
+    formData = await req.formData();
+  } catch (error) {
+    console.error('Failed to parse form data:', error);
+    return NextResponse.json({ error: 'Invalid form data' }, { status: 400 });
+  }
+
+  const file = formData.get('audio') || formData.get('file');
+  if (!file || typeof file === 'string') {
+    return NextResponse.json({ error: 'No audio file provided' }, { status: 400 });
+  }
+  if (file.size > MAX_FILE_SIZE) {
+    return NextResponse.json({ error: `File too large. Maximum size is ${MAX_FILE_SIZE / 1024 / 1024}MB` }, { status: 413 });
+  }
+
+  const fields = parseExportFields(formData);
+  if (fields.error) {
+    return NextResponse.json({ error: fields.error }, { status: 400 });
+  }
+  const segments = fields.segments || [];
+
+  const { error: optionsError, options } = parseOptions(parseJsonField(formData, 'options'));
+  if (optionsError) {
+    return NextResponse.json({ error: optionsError }, { status: 400 });
+  }
+
+  const artworks = formData.getAll('artwork').filter((f) => typeof f !== 'string').slice(0, MAX_ARTWORKS);
+  if (artworks.some((f) => f.size > MAX_ARTWORK_SIZE)) {
+    return NextResponse.json({ error: `Artwork images must be under ${MAX_ARTWORK_SIZE / 1024 / 1024}MB` }, { status: 413 });
+  }
+
+  const identity = await resolveUser(req);
+  const overQuota = await checkQuota(identity, 'videoConversions', 1);
+  if (overQuota) return overQuota;
+
+  await ensureDir(TEMP_DIR);
+  const tempId = generateTempId();
+  const ext = path.extname(file.name || '').replace(/[^.\w]/g, '') || '.mp3';
+  const audioPath = path.join(TEMP_DIR, `render_${tempId}${ext}`);
+  const outputPath = path.join(TEMP_DIR, `render_${tempId}.mp4`);
+  const artworkPaths = artworks.map((_, i) => path.join(TEMP_DIR, `render_${tempId}_art${i}`));
+  let exportFiles = {};
+
+  try {
+    await fs.writeFile(audioPath, Buffer.from(await file.arrayBuffer()));
+    await Promise.all(artworks.map(async (art, i) => fs.writeFile(artworkPaths[i], Buffer.from(await art.arrayBuffer()))));
+
+    console.log(`Server render: ${file.name} (${file.size} bytes), ${segments.length} segments, ${options.speakers.length} speakers, ${options.width}x${options.height}`);
+
+    exportFiles = await writeExportFiles(
+      fields,
+      path.join(TEMP_DIR, `render_${tempId}`),
+      segments.length ? segments[segments.length - 1].end : 0,
+      { captions: formData.get('captions') === '1' }
+    );
+
+    const result = await renderVideo(audioPath, outputPath, {
+      ...options,
+      ...exportFiles,
+      language: fields.language,
+      segments,
+      artworkPaths,
+      plan: identity.plan,   // only the free plan is watermarked
+    });
+    const video = await fs.readFile(outputPath);
+    await recordUsage(identity, 'videoConversions', 1);
+
+    return new NextResponse(video, {
+      status: 200,
+      headers: {
+        'Content-Type': 'video/mp4',
+        'Content-Disposition': 'attachment; filename="audiograffiti-export.mp4"',
+        'X-Render-Seconds': result.seconds.toFixed(1),
+      },
+    });
+  } catch (error) {
+    console.error('Server render failed:', error.message);
+    return NextResponse.json(
+      { error: error.userMessage || 'Video rendering failed', code: error.code },
+      { status: error.status || 500 }
+    );
+  } finally {
+    await cleanupFile(audioPath);
+    await cleanupFile(outputPath);
+    for (const artworkPath of artworkPaths) await cleanupFile(artworkPath);
+    if (exportFiles.subtitlePath) await cleanupFile(exportFiles.subtitlePath);
+    if (exportFiles.metadataPath) await cleanupFile(exportFiles.metadataPath);
+  }
+}
@@ -0,0 +1,15 @@
+// app/api/sfx/route.js
+// Sound effects usable as [SFX: name] cues (files in SFX_LIBRARY_DIR, default public/sfx)
+import { NextResponse } from "next/server";
+import { listSoundEffects } from "../../../lib/audio/sfx";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  const effects = (await listSoundEffects()).map(({ id, name, url }) => ({ id, name, url }));
+
+  return NextResponse.json({ effects }, {
+    headers: { "Cache-Control": "no-store" },
+  });
+}
@@ -0,0 +1,62 @@
+// app/api/subtitles/route.js
+// Sidecar caption files from timed caption segments.
+//   POST { segments: [{ start, end, text, words?, speaker? }], format: srt|vtt|ass, options? }
+//     -> the subtitle file as an attachment
+import { NextResponse } from "next/server";
+import { formatSubtitles, SUBTITLE_FORMATS } from "../../../lib/subtitles";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/* ------------------ CONFIG ------------------ */
+const MAX_SEGMENTS = 5000;
+
+/* ------------------ MAIN API HANDLER ------------------ */
+export async function POST(req) {
+  let payload;
+  try {
+    payload = await req.json();
+  } catch {
+    return NextResponse.json({ error: "Invalid JSON in request body" }, { status: 400 });
+  }
+
+  const format = String(payload?.format || 'srt').toLowerCase();
+  if (!SUBTITLE_FORMATS[format]) {
+    return NextResponse.json(
+      { error: `format must be one of: ${Object.keys(SUBTITLE_FORMATS).join(', ')}` },
+      { status: 400 }
+    );
+  }
+
+  const segments = payload?.segments;
+  if (!Array.isArray(segments) || !segments.length) {
+    return NextResponse.json({ error: "segments must be a non-empty array of { start, end, text }" }, { status: 400 });
+  }
+  if (segments.length > MAX_SEGMENTS) {
+    return NextResponse.json({ error: `Maximum ${MAX_SEGMENTS} segments allowed` }, { status: 400 });
+  }
+
+  const options = payload.options && typeof payload.options === 'object' ? payload.options : {};
+  let subtitles;
+  try {
+    subtitles = formatSubtitles(segments, format, options);
+  } catch (error) {
+    console.error('Subtitle build failed:', error.message);
+    return NextResponse.json({ error: "Could not build subtitles from these segments" }, { status: 400 });
+  }
+  if (!subtitles.cues) {
+    return NextResponse.json({ error: "No segment has valid timing and text" }, { status: 400 });
+  }
+
+  const baseName = String(payload.fileName || 'audiograffiti-captions').replace(/[^\w.-]+/g, '-').slice(0, 80);
+  console.log(`Built ${subtitles.cues} ${format.toUpperCase()} cues from ${segments.length} segments`);
+
+  return new NextResponse(subtitles.content, {
+    status: 200,
+    headers: {
+      'Content-Type': `${subtitles.mimeType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="${baseName}.${subtitles.extension}"`,
+      'Cache-Control': 'no-store',
+    },
+  });
+}
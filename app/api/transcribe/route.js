@@ -1,17 +1,20 @@
 // app/api/transcribe/route.js
-import { NextRequest, NextResponse } from "next/server";
-import OpenAI from "openai";
+import { NextResponse } from "next/server";
+import { promises as fs } from "fs";
+import path from "path";
+import { resolveUser, checkQuota, recordUsage } from "../../../lib/metering";
+import { transcribeAudio, resolveASRProvider } from "../../../lib/asr/providers";
+import { transcribeInChunks } from "../../../lib/asr/chunked";
+import { diarizeSegments, MAX_SPEAKERS } from "../../../lib/asr/diarize";
+import { TEMP_DIR, ensureDir, generateTempId, cleanupFile } from "../../../lib/tts/pipeline";
 
 export const runtime = "nodejs";
 export const dynamic = "force-dynamic";
-export const maxDuration = 60; // 1 minute timeout for transcription
+export const maxDuration = 300; // long recordings are transcribed in chunks
 
 /* ------------------ CONFIG ------------------ */
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-const MAX_FILE_SIZE = 25 * 1024 * 1024; // 25MB limit
+const MAX_FILE_SIZE = Math.max(25, Number(process.env.TRANSCRIBE_MAX_MB || 500)) * 1024 * 1024;
+const SINGLE_REQUEST_SIZE = 25 * 1024 * 1024; // provider upload limit; larger files are chunked
 const MIN_FILE_SIZE = 1024; // 1KB minimum
 const ALLOWED_TYPES = ['audio/mpeg', 'audio/wav', 'audio/webm', 'audio/mp4', 'audio/ogg'];
 
@@ -46,15 +49,6 @@ export async function POST(req) {
   try {
     console.log('Transcription API called');
 
-    // Validate environment
-    if (!process.env.OPENAI_API_KEY) {
-      console.error('Missing OpenAI API key');
-      return NextResponse.json(
-        { error: 'OpenAI API key not configured' },
-        { status: 500 }
-      );
-    }
-
     // Parse form data
     let formData;
     try {
@@ -67,6 +61,29 @@ export async function POST(req) {
       );
     }
 
+    // Optional provider ("openai", "whisper-cpp") and language hint
+    const requestedProvider = formData.get('provider') || undefined;
+    const language = (formData.get('language') || '').toString().trim().slice(0, 8) || undefined;
+    // Optional speaker labels: diarize=1, with speakers=<count> when known
+    const diarize = ['1', 'true'].includes((formData.get('diarize') || '').toString());
+    const speakerCount = Number(formData.get('speakers')) || undefined;
+    if (speakerCount !== undefined && !(Number.isInteger(speakerCount) && speakerCount >= 1 && speakerCount <= MAX_SPEAKERS)) {
+      return NextResponse.json(
+        { error: `speakers must be a whole number between 1 and ${MAX_SPEAKERS}` },
+        { status: 400 }
+      );
+    }
+    let provider;
+    try {
+      provider = resolveASRProvider(requestedProvider);
+    } catch (error) {
+      console.error('ASR provider unavailable:', error.message);
+      return NextResponse.json(
+        { error: error.userMessage, code: error.code },
+        { status: error.status }
+      );
+    }
+
     const file = formData.get('audio') || formData.get('file');
     if (!file) {
       console.error('No audio file in form data');
@@ -86,94 +103,81 @@ export async function POST(req) {
       );
     }
 
+    // Duration is only known afterwards, so require some allowance left up front
+    const identity = await resolveUser(req);
+    const overQuota = await checkQuota(identity, 'transcriptionMinutes', 0);
+    if (overQuota) return overQuota;
+
     const sanitizedName = sanitizeFileName(file.name || 'audio.webm');
-    console.log(`Transcription request: ${sanitizedName} (${file.size} bytes, ${file.type || 'unknown type'})`);
+    console.log(`Transcription request: ${sanitizedName} (${file.size} bytes, ${file.type || 'unknown type'}) via ${provider.name}`);
 
-    // Convert file to buffer for OpenAI API
-    const arrayBuffer = await file.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
+    const buffer = Buffer.from(await file.arrayBuffer());
 
-    // Transcribe using OpenAI Whisper API
     let transcription;
+    let speakers = null;
+    let diarizationError = null;
+    let audioPath = null;
     try {
-      console.log(`Attempting transcription with file: ${sanitizedName}, size: ${buffer.length}, type: ${file.type}`);
-      
-      // Create form data for OpenAI API (more reliable than Blob for file uploads)
-      const openaiFormData = new FormData();
-      
-      // Create a proper file-like object for OpenAI
-      const fileForOpenAI = new Blob([buffer], { type: file.type || 'audio/mpeg' });
-      
-      openaiFormData.append('file', fileForOpenAI, sanitizedName);
-      openaiFormData.append('model', 'whisper-1');
-      openaiFormData.append('response_format', 'verbose_json');
-      openaiFormData.append('timestamp_granularities[]', 'segment');
-
-      // Make direct fetch request to OpenAI API instead of using client
-      const openaiResponse = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        },
-        body: openaiFormData
-      });
-
-      if (!openaiResponse.ok) {
-        const errorText = await openaiResponse.text();
-        console.error(`OpenAI API error: ${openaiResponse.status} - ${errorText}`);
-        throw new Error(`OpenAI API error: ${openaiResponse.status}`);
+      const options = { provider: provider.name, fileName: sanitizedName, mimeType: file.type, language };
+      const chunked = buffer.length > SINGLE_REQUEST_SIZE;
+      // Chunking and diarization both work from a file on disk
+      if (chunked || diarize) {
+        await ensureDir(TEMP_DIR);
+        audioPath = path.join(TEMP_DIR, `transcribe_${generateTempId()}${path.extname(sanitizedName) || '.webm'}`);
+        await fs.writeFile(audioPath, buffer);
       }
-
-      transcription = await openaiResponse.json();
-      
-      console.log(`Transcription successful: ${transcription.segments?.length || 0} segments`);
-    } catch (apiError) {
-      console.error('OpenAI API error:', {
-        message: apiError.message,
-        status: apiError.status,
-        code: apiError.code
-      });
-
-      if (apiError.message?.includes('413') || apiError.status === 413) {
-        return NextResponse.json(
-          { error: 'Audio file too large for transcription' },
-          { status: 413 }
-        );
-      }
-
-      if (apiError.message?.includes('400') || apiError.status === 400) {
-        return NextResponse.json(
-          { error: 'Invalid audio format or corrupted file' },
-          { status: 400 }
-        );
+      // Too large for one request: split at pauses and transcribe the pieces
+      transcription = chunked
+        ? await transcribeInChunks(audioPath, options)
+        : await transcribeAudio(buffer, options);
+      console.log(`Transcription successful: ${transcription.segments.length} segments, ${transcription.words.length} words`);
+
+      // Speaker labels are optional: a diarization failure still returns the transcript
+      if (diarize) {
+        try {
+          const labeled = await diarizeSegments(audioPath, transcription.segments, { speakers: speakerCount });
+          transcription = { ...transcription, segments: labeled.segments };
+          speakers = labeled.speakers;
+        } catch (error) {
+          console.error('Diarization failed:', error.message);
+          diarizationError = error.userMessage || 'Speaker detection failed';
+        }
       }
+    } catch (asrError) {
+      console.error('Transcription provider error:', {
+        message: asrError.message,
+        code: asrError.code,
+        status: asrError.status
+      });
 
       return NextResponse.json(
-        { error: 'Transcription service temporarily unavailable' },
-        { status: 503 }
+        { error: asrError.userMessage || 'Transcription service temporarily unavailable', code: asrError.code },
+        { status: asrError.status || 503 }
       );
+    } finally {
+      if (audioPath) await cleanupFile(audioPath);
     }
 
-    // Process segments
-    const segments = (transcription.segments || []).map((segment, index) => ({
-      id: index,
-      start: segment.start || 0,
-      end: segment.end || 1,
-      text: (segment.text || '').trim()
-    })).filter(seg => seg.text.length > 0);
-
-    console.log(`Processed ${segments.length} valid segments`);
+    const { segments, words } = transcription;
+    const duration = transcription.duration || (segments.length > 0 ? Math.max(...segments.map(s => s.end)) : 0);
+    await recordUsage(identity, 'transcriptionMinutes', duration / 60);
 
     // Return successful response
     return NextResponse.json({
       success: true,
-      text: transcription.text || '',
+      text: transcription.text,
       segments: segments,
+      words: words,
+      ...(diarize && { speakers: speakers || [], diarizationError }),
       duration: segments.length > 0 ? Math.max(...segments.map(s => s.end)) : 0,
       metadata: {
         fileSize: file.size,
         fileName: sanitizedName,
-        segmentCount: segments.length
+        segmentCount: segments.length,
+        wordCount: words.length,
+        provider: transcription.provider,
+        model: transcription.model,
+        chunks: transcription.chunks || 1
       }
     });
 
@@ -192,4 +196,4 @@ export async function POST(req) {
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+}
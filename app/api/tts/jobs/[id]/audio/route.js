@@ -0,0 +1,40 @@
+// app/api/tts/jobs/[id]/audio/route.js
+// Final audio of a completed job
+import { NextResponse } from "next/server";
+import { getJob, readJobAudio } from "../../../../../../lib/tts/jobs";
+import { loudnessHeaders } from "../../../../../../lib/audio/encode";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+export async function GET(req, { params }) {
+  const job = await getJob(params.id);
+
+  if (!job) {
+    return NextResponse.json({ error: "Job not found" }, { status: 404 });
+  }
+
+  if (job.status !== 'completed') {
+    return NextResponse.json(
+      { error: `Job is ${job.status}`, status: job.status },
+      { status: 409 }
+    );
+  }
+
+  const audio = await readJobAudio(job);
+  if (!audio) {
+    return NextResponse.json({ error: "Job audio has expired" }, { status: 410 });
+  }
+
+  return new NextResponse(audio, {
+    status: 200,
+    headers: {
+      "Content-Type": job.contentType || "audio/mpeg",
+      "X-Audio-Format": job.format || "mp3",
+      "Cache-Control": "private, max-age=3600",
+      "X-TTS-Provider": (job.providers || []).join(","),
+      ...loudnessHeaders(job.loudness),
+      ...(job.speakerTimings && { "X-Speaker-Timings": JSON.stringify(job.speakerTimings) }),
+    },
+  });
+}
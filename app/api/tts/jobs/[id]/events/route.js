@@ -0,0 +1,71 @@
+// app/api/tts/jobs/[id]/events/route.js
+// Server-sent events: a "progress" event per state change, then "done" or "failed"
+import { NextResponse } from "next/server";
+import { getJob, peekJob, subscribeToJob, isFinished } from "../../../../../../lib/tts/jobs";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+const KEEPALIVE_MS = 15000;
+
+function sseMessage(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+export async function GET(req, { params }) {
+  const job = await getJob(params.id);
+
+  if (!job) {
+    return NextResponse.json({ error: "Job not found" }, { status: 404 });
+  }
+
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+
+  const stream = new ReadableStream({
+    start(controller) {
+      let closed = false;
+      let unsubscribe = () => {};
+      let keepAlive = null;
+
+      const close = () => {
+        if (closed) return;
+        closed = true;
+        unsubscribe();
+        clearInterval(keepAlive);
+        try { controller.close(); } catch {}
+      };
+
+      const send = (state) => {
+        if (closed) return;
+        controller.enqueue(encoder.encode(sseMessage('progress', state)));
+        if (isFinished(state)) {
+          controller.enqueue(encoder.encode(sseMessage(state.status === 'completed' ? 'done' : 'failed', state)));
+          close();
+        }
+      };
+
+      cleanup = close;
+      unsubscribe = subscribeToJob(job.id, send);
+      keepAlive = setInterval(() => {
+        if (!closed) controller.enqueue(encoder.encode(': keep-alive\n\n'));
+      }, KEEPALIVE_MS);
+      req.signal?.addEventListener('abort', close);
+
+      // Current snapshot first, so late subscribers see where the job is
+      send(peekJob(job.id) || job);
+    },
+    cancel() {
+      cleanup();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      "Connection": "keep-alive",
+      "X-Accel-Buffering": "no",
+    },
+  });
+}
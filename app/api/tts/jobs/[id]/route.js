@@ -0,0 +1,19 @@
+// app/api/tts/jobs/[id]/route.js
+// Job status: overall state, per-segment progress, errors and audio URL
+import { NextResponse } from "next/server";
+import { getJob } from "../../../../../lib/tts/jobs";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+export async function GET(req, { params }) {
+  const job = await getJob(params.id);
+
+  if (!job) {
+    return NextResponse.json({ error: "Job not found" }, { status: 404 });
+  }
+
+  return NextResponse.json(job, {
+    headers: { "Cache-Control": "no-store" },
+  });
+}
@@ -0,0 +1,82 @@
+// app/api/tts/jobs/route.js
+// Submit a multi-voice TTS job; poll /api/tts/jobs/[id] or stream /events
+import { NextResponse } from "next/server";
+import { validateTTSRequest, requestedCharacters } from "../../../../lib/tts/pipeline";
+import { createJob } from "../../../../lib/tts/jobs";
+import { PLANS } from "../../../../lib/plans";
+import { resolveUser, checkQuota } from "../../../../lib/metering";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+export async function POST(req) {
+  let payload;
+  try {
+    payload = await req.json();
+  } catch {
+    return NextResponse.json(
+      { error: "Invalid JSON in request body" },
+      { status: 400 }
+    );
+  }
+
+  if (!Array.isArray(payload?.segments)) {
+    return NextResponse.json(
+      { error: "TTS jobs require a segments array" },
+      { status: 400 }
+    );
+  }
+
+  const validation = await validateTTSRequest(payload);
+  if (validation.errors.length > 0) {
+    return NextResponse.json(
+      { error: validation.errors.join('; ') },
+      { status: 400 }
+    );
+  }
+
+  const identity = await resolveUser(req);
+  const characters = requestedCharacters(validation);
+  if (characters > PLANS[identity.plan].maxChars) {
+    return NextResponse.json(
+      { error: `Text exceeds ${PLANS[identity.plan].displayName} plan limit of ${PLANS[identity.plan].maxChars} characters` },
+      { status: 400 }
+    );
+  }
+
+  const overQuota = await checkQuota(identity, 'ttsCharacters', characters);
+  if (overQuota) return overQuota;
+
+  const bypass = !!payload.bypassCache || req.headers.get("x-bypass-cache") === "1";
+
+  try {
+    const job = await createJob(validation.segments, {
+      provider: validation.provider,
+      bypass,
+      userId: identity.userId,
+      output: validation.output,
+      timing: validation.timing,
+      lexicon: validation.lexicon,
+      music: validation.music,
+    });
+
+    console.log(`TTS job ${job.id} queued: ${job.total} segments`);
+
+    return NextResponse.json(
+      {
+        jobId: job.id,
+        status: job.status,
+        total: job.total,
+        statusUrl: `/api/tts/jobs/${job.id}`,
+        eventsUrl: `/api/tts/jobs/${job.id}/events`,
+      },
+      { status: 202 }
+    );
+  } catch (error) {
+    console.error('TTS job submission failed:', error);
+    return NextResponse.json(
+      { error: "Could not start TTS job" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,15 @@
+// app/api/usage/route.js
+// The caller's plan and usage for the current billing period
+import { NextResponse } from "next/server";
+import { resolveUser, getUsage } from "../../../lib/metering";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+export async function GET(req) {
+  const identity = await resolveUser(req);
+
+  return NextResponse.json(await getUsage(identity), {
+    headers: { "Cache-Control": "no-store" },
+  });
+}
@@ -0,0 +1,21 @@
+// app/api/voices/route.js
+// Voice registry with which TTS providers can currently speak each voice
+import { NextResponse } from "next/server";
+import { VOICES } from "../../../lib/voices";
+import { PROVIDERS } from "../../../lib/tts/providers";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  const voices = VOICES.map((voice) => {
+    const available = Object.values(PROVIDERS)
+      .filter((p) => p.isConfigured() && p.supportsVoice(voice.id))
+      .map((p) => p.name);
+    return { ...voice, availableProviders: available };
+  });
+
+  return NextResponse.json({ voices }, {
+    headers: { "Cache-Control": "no-store" },
+  });
+}
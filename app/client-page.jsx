@@ -1,49 +1,34 @@
 'use client';
 
 import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { VOICE_IDS, getVoice } from '../lib/voices';
+import { PLANS, DEFAULT_PLAN } from '../lib/plans';
+import { formatSubtitles, SUBTITLE_FORMATS, DEFAULT_SUBTITLE_OPTIONS } from '../lib/subtitles';
+import {
+  FPS, PRESETS, HIGHLIGHT_MODES, splitWords, gradientAtTime, slideForTime, segmentIndexAtTime,
+  frameLayout, computeCaptionMetrics, createBarSmoother, drawFrame as renderFrame,
+  ASPECT_RATIOS, RESOLUTIONS, DEFAULT_ASPECT, DEFAULT_RESOLUTION, formatSize,
+} from '../lib/render/frame';
+import { webCodecsSupport, encodeVideoInWorker } from '../lib/render/webcodecs';
+import { videoBitrate } from '../lib/render/codecs';
 
 /* ============================ CONSTANTS ============================ */
-const FORMATS = {
-  '4:3':  { width: 1080, height: 1080,  name: 'Square (1:1)' },
-};
-
-const FPS = 30;
-const MAX_LINES = 5;
 const MAX_WORDS_PER_SEGMENT = 18;
 const DEFAULT_VOICE = 'brittany';
 const VOICE_STORAGE_KEY = 'ag:lastVoice';
-
-const PLAN_LIMITS = {
-  free: { maxChars: 50000, displayName: 'Free' },
-  pro: { maxChars: 50000, displayName: 'Pro' }
-};
-
-const PRESETS = [
-  ['#0d1117', '#1f2937'],
-  ['#111827', '#2563eb'],
-  ['#1f2937', '#10b981'],
-  ['#3b0764', '#f43f5e'],
-  ['#0f172a', '#9333ea'],
-  ['#7c2d12', '#d97706'],
-  ['#0c4a6e', '#22d3ee'],
-  ['#111827', '#f59e0b'],
-  ['#0f172a', '#14b8a6'],
-];
+const TTS_JOB_STORAGE_KEY = 'ag:ttsJob';
 
 /* ============================== UTILS ============================== */
 
-function splitWords(s) {
-  return s.trim().replace(/\s+/g, ' ').split(' ').filter(Boolean);
-}
-
 function coalesceSegments(segments, minDur = 0.4) {
   const out = [];
   for (const seg of segments) {
     const last = out[out.length - 1];
     const dur = seg.end - seg.start;
-    if (last && last.end - last.start < minDur && dur < minDur) {
+    if (last && last.end - last.start < minDur && dur < minDur && last.speaker === seg.speaker) {
       last.text = (last.text + ' ' + seg.text).trim();
       last.end = seg.end;
+      if (last.words || seg.words) last.words = [...(last.words || []), ...(seg.words || [])];
     } else {
       out.push({ ...seg });
     }
@@ -63,12 +48,19 @@ function tightenSegments(segs, maxWords = MAX_WORDS_PER_SEGMENT) {
     for (let i = 0; i < words.length; i += maxWords) {
       chunks.push(words.slice(i, i + maxWords).join(' '));
     }
+    // Word timings (one per caption word) split the segment exactly; otherwise split evenly
+    const timed = s.words?.length === words.length ? s.words : null;
     const per = (s.end - s.start) / chunks.length;
     for (let i = 0; i < chunks.length; i++) {
+      const chunkWords = timed?.slice(i * maxWords, (i + 1) * maxWords);
+      const start = chunkWords ? chunkWords[0].start : s.start + i * per;
+      const end = chunkWords ? chunkWords[chunkWords.length - 1].end : s.start + (i + 1) * per;
       out.push({
-        start: s.start + i * per,
-        end: s.start + (i + 1) * per,
+        start: i === 0 ? s.start : start,
+        end: i === chunks.length - 1 ? s.end : end,
         text: chunks[i],
+        ...(chunkWords && { words: chunkWords }),
+        ...(s.speaker && { speaker: s.speaker }),
       });
     }
   }
@@ -82,6 +74,8 @@ function normalizeSegments(segs, totalDurGuess) {
       start: Math.max(0, s.start),
       end: Math.max(0, s.end),
       text: (s.text || '').trim(),
+      ...(s.speaker && { speaker: s.speaker }),
+      ...(s.words?.length && { words: s.words.map((w) => ({ word: w.word, start: Math.max(0, w.start), end: Math.max(0, w.end) })) }),
     }))
     .filter((s) => s.end > s.start)
     .sort((a, b) => a.start - b.start);
@@ -98,17 +92,75 @@ function normalizeSegments(segs, totalDurGuess) {
 
 /* ============= NEW: CHARACTER TAG PARSING ============= */
 
+// Script directives (case-insensitive):
+//   [PAUSE 1.5s]                                   extra silence before the next line
+//   [TIMING speakerGap=0.5s sameSpeakerGap=0.1s leadIn=0.2s]   script-wide gap defaults
+//   [TIMING crossfade=80ms microFade=5ms]          overlap adjacent lines / fade every line edge
+//   [NAME]: {speed=1.1, volume=-3dB} dialogue      per-line speed (0.5-2) and gain in dB
+//   [SFX: phone-ring]                              sound effect played before the next line
+//   [SFX: office-ambience under gain=-12dB]        effect mixed under the next line instead
+const SFX_DIRECTIVE = /^\[SFX:\s*([\w-]+)([^\]]*)\]$/i;
+const PAUSE_DIRECTIVE = /^\[PAUSE\s+(\d+(?:\.\d+)?)\s*(ms|s)?\]$/i;
+const TIMING_DIRECTIVE = /^\[TIMING\s+([^\]]+)\]$/i;
+const LINE_MODIFIERS = /^\{([^}]*)\}\s*/;
+const TIMING_KEYS = {
+  speakergap: 'speakerChangeGap',
+  samespeakergap: 'sameSpeakerGap',
+  leadin: 'leadIn',
+  crossfade: 'crossfade',
+  microfade: 'microFade',
+};
+// Server defaults when a script sets no [TIMING]
+const DEFAULT_SCRIPT_TIMING = { leadIn: 0.2, speakerChangeGap: 0.3, sameSpeakerGap: 0, crossfade: 0, microFade: 0.005 };
+
+function parseSeconds(value, unit) {
+  const n = parseFloat(value);
+  if (!Number.isFinite(n)) return null;
+  return unit?.toLowerCase() === 'ms' ? n / 1000 : n;
+}
+
+function parseSfxCue(name, options) {
+  const cue = { name: name.toLowerCase() };
+  for (const token of options.split(/[,\s]+/).filter(Boolean)) {
+    if (/^(under|overlay)$/i.test(token)) cue.overlay = true;
+    const gain = token.match(/^(?:gain=)?(-?\d+(?:\.\d+)?)\s*dB$/i);
+    if (gain) cue.gain = Math.min(12, Math.max(-30, parseFloat(gain[1])));
+  }
+  return cue;
+}
+
+function parseLineModifiers(text) {
+  const m = text.match(LINE_MODIFIERS);
+  if (!m) return { text, modifiers: {} };
+  const modifiers = {};
+  for (const pair of m[1].split(/[,\s]+/).filter(Boolean)) {
+    const [key, raw = ''] = pair.split('=');
+    const value = parseFloat(raw);
+    if (!Number.isFinite(value)) continue;
+    if (key.toLowerCase() === 'speed') modifiers.speed = Math.min(2, Math.max(0.5, value));
+    if (key.toLowerCase() === 'volume') modifiers.volume = Math.min(12, Math.max(-30, value)); // dB
+  }
+  return { text: text.slice(m[0].length).trim(), modifiers };
+}
+
 /**
  * Parse character-tagged script in format: [NAME]: dialogue
- * Returns: { lines: [{speaker, text}], characters: [unique names] }
+ * Returns: {
+ *   lines: [{speaker, text, speed?, volume?, pauseBefore?, pauseAfter?, sfx?}],
+ *   characters: [unique names],
+ *   timing: {speakerChangeGap?, sameSpeakerGap?, leadIn?}
+ * }
  */
 function parseCharacterScript(scriptText) {
   if (!scriptText || typeof scriptText !== 'string') {
-    return { lines: [], characters: [] };
+    return { lines: [], characters: [], timing: {} };
   }
 
   const lines = [];
   const characterSet = new Set();
+  const timing = {};
+  let pendingPause = 0;
+  let pendingSfx = [];
   
   // Split by newlines and process each line
   const rawLines = scriptText.split('\n');
@@ -116,6 +168,29 @@ function parseCharacterScript(scriptText) {
   for (const rawLine of rawLines) {
     const trimmed = rawLine.trim();
     if (!trimmed) continue; // Skip empty lines
+
+    // Checked before speaker tags, which would read "[SFX: x]" as speaker SFX
+    const sfx = trimmed.match(SFX_DIRECTIVE);
+    if (sfx) {
+      pendingSfx.push(parseSfxCue(sfx[1], sfx[2]));
+      continue;
+    }
+
+    const pause = trimmed.match(PAUSE_DIRECTIVE);
+    if (pause) {
+      pendingPause += parseSeconds(pause[1], pause[2]) || 0;
+      continue;
+    }
+
+    const timingDirective = trimmed.match(TIMING_DIRECTIVE);
+    if (timingDirective) {
+      for (const m of timingDirective[1].matchAll(/([a-z]+)\s*=\s*(\d+(?:\.\d+)?)\s*(ms|s)?/gi)) {
+        const key = TIMING_KEYS[m[1].toLowerCase()];
+        const seconds = parseSeconds(m[2], m[3]);
+        if (key && seconds !== null) timing[key] = seconds;
+      }
+      continue;
+    }
     
     // Match pattern: [CHARACTER]:, CHARACTER:, or **CHARACTER:** dialogue text
     // Supports uppercase letters, spaces, hyphens in character names
@@ -124,49 +199,42 @@ function parseCharacterScript(scriptText) {
     
     if (match) {
       const speaker = match[1].trim().toUpperCase();
-      const text = match[2].trim();
+      const { text, modifiers } = parseLineModifiers(match[2].trim());
       
       if (speaker && text) {
-        lines.push({ speaker, text });
+        lines.push({
+          speaker,
+          text,
+          ...modifiers,
+          ...(pendingPause > 0 && { pauseBefore: pendingPause }),
+          ...(pendingSfx.length && { sfx: pendingSfx }),
+        });
         characterSet.add(speaker);
+        pendingPause = 0;
+        pendingSfx = [];
       }
     }
   }
+
+  // A pause after the final line becomes trailing silence
+  if (pendingPause > 0 && lines.length) {
+    lines[lines.length - 1].pauseAfter = pendingPause;
+  }
+  // Effects after the final line play after it
+  if (pendingSfx.length && lines.length) {
+    const last = lines[lines.length - 1];
+    last.sfx = [...(last.sfx || []), ...pendingSfx.map((cue) => ({ ...cue, overlay: false, after: true }))];
+  }
   
   return {
     lines,
-    characters: Array.from(characterSet).sort()
+    characters: Array.from(characterSet).sort(),
+    timing
   };
 }
 
 /* ====================================================== */
 
-// Voice mapping: Character names (backend handles ElevenLabs mapping)
-const VOICE_API_MAPPING = {
-  'shawn': 'shawn',
-  'chuck': 'chuck',
-  'max': 'max',
-  'boomer': 'boomer',
-  'brittany': 'brittany',
-  'kaitlyn': 'kaitlyn',
-  'sage': 'sage',
-  'randy': 'randy',
-  'coral': 'coral'
-};
-
-// Voice color themes for default character images (using custom names)
-const VOICE_THEMES = {
-  shawn: { bg: '#2563EB', name: 'Shawn', apiVoice: 'Brian' },
-  chuck: { bg: '#3B82F6', name: 'Chuck', apiVoice: 'Chuck Clone 2' },
-  brittany: { bg: '#8B5CF6', name: 'Brittany', apiVoice: 'Adeline' },
-  kaitlyn: { bg: '#EC4899', name: 'Kaitlyn', apiVoice: 'Rachel' },
-  boomer: { bg: '#1F2937', name: 'Boomer', apiVoice: 'James' },
-  sage: { bg: '#10B981', name: 'Sage', apiVoice: 'Kaylin' },
-  max: { bg: '#F59E0B', name: 'Max', apiVoice: 'Adam Stone' },
-  randy: { bg: '#9CA3AF', name: 'Randy', apiVoice: 'Ryan' },
-  coral: { bg: '#F97316', name: 'Coral', apiVoice: 'Nicole' },
-};
-
 /**
  * Load character image from public folder
  * Returns a promise that resolves to { url, img }
@@ -174,7 +242,7 @@ const VOICE_THEMES = {
 function loadCharacterImage(voiceName) {
   return new Promise((resolve, reject) => {
     const img = new Image();
-    const imagePath = `/characters/${voiceName}.png`;
+    const imagePath = getVoice(voiceName)?.image || `/characters/${voiceName}.png`;
     
     img.onload = () => {
       resolve({ url: imagePath, img });
@@ -195,10 +263,10 @@ function generateDefaultCharacterImage(characterName, voiceName) {
   canvas.height = 1920;
   const ctx = canvas.getContext('2d');
   
-  const theme = VOICE_THEMES[voiceName] || VOICE_THEMES.shawn;
+  const voice = getVoice(voiceName) || getVoice('shawn');
   
   // Draw background
-  ctx.fillStyle = theme.bg;
+  ctx.fillStyle = voice.color;
   ctx.fillRect(0, 0, 512, 512);
   
   // Draw character name
@@ -229,37 +297,15 @@ function stripCharacterTags(scriptText) {
     .join('\n');
 }
 
-function wrapCaption(ctx, text, maxWidth) {
-  const words = (text || '').split(' ').filter(Boolean);
-  const lines = [];
-  let cur = '';
-  for (const w of words) {
-    const test = cur ? cur + ' ' + w : w;
-    const m = ctx.measureText(test);
-    if (m.width <= maxWidth || !cur) cur = test;
-    else {
-      lines.push(cur);
-      cur = w;
-    }
-  }
-  if (cur) lines.push(cur);
-  return lines;
-}
-
-function roundedRectPath(g, x, y, w, h, r) {
-  const rr = Math.min(r, w / 2, h / 2);
-  g.beginPath();
-  g.moveTo(x + rr, y);
-  g.arcTo(x + w, y, x + w, y + rr, rr);
-  g.arcTo(x + w, y + h, x + w - rr, y + h, rr);
-  g.arcTo(x, y + h, x, y + h - rr, rr);
-  g.arcTo(x, y, x + rr, y, rr);
-  g.closePath();
-}
-
-function roundedRectFill(g, x, y, w, h, r) {
-  roundedRectPath(g, x, y, w, h, r);
-  g.fill();
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
 }
 
 function pickRecorderMime() {
@@ -271,50 +317,6 @@ function pickRecorderMime() {
   }
 }
 
-function hexToRgb(hex) {
-  const m = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  if (!m) return { r: 0, g: 0, b: 0 };
-  return { r: parseInt(m[1], 16), g: parseInt(m[2], 16), b: parseInt(m[3], 16) };
-}
-
-function mixHex(a, b, t) {
-  const A = hexToRgb(a), B = hexToRgb(b);
-  const r = Math.round(A.r + (B.r - A.r) * t);
-  const g = Math.round(A.g + (B.g - A.g) * t);
-  const bl = Math.round(A.b + (B.b - A.b) * t);
-  return `rgb(${r},${g},${bl})`;
-}
-
-function gradientAtTime(t, dur, startIdx) {
-  if (!dur || !isFinite(dur)) return PRESETS[startIdx];
-  const total = PRESETS.length;
-  const progress = Math.min(Math.max(t / dur, 0), 1) * total;
-  const i0 = Math.floor(progress) % total;
-  const i1 = (i0 + 1) % total;
-  const frac = progress - Math.floor(progress);
-  const [a0, a1] = PRESETS[i0];
-  const [b0, b1] = PRESETS[i1];
-  return [mixHex(a0, b0, frac), mixHex(a1, b1, frac)];
-}
-
-function drawImageCoverRounded(ctx, img, dx, dy, dW, dH, radius = 28, opacity = 1) {
-  ctx.save();
-  roundedRectPath(ctx, dx, dy, dW, dH, radius);
-  ctx.clip();
-  const iW = img.width, iH = img.height;
-  if (!iW || !iH) {
-    ctx.restore();
-    return;
-  }
-  const scale = Math.max(dW / iW, dH / iH);
-  const rW = iW * scale, rH = iH * scale;
-  const x = dx + (dW - rW) / 2;
-  const y = dy + (dH - rH) / 2;
-  ctx.globalAlpha = Math.max(0, Math.min(1, opacity));
-  ctx.drawImage(img, x, y, rW, rH);
-  ctx.restore();
-}
-
 function buildSegmentsFromTextAndDuration(text, durationSec) {
   const words = text.trim().split(/\s+/).filter(Boolean);
   if (!words.length) return [{ start: 0, end: Math.max(1, durationSec), text: '' }];
@@ -327,35 +329,6 @@ function buildSegmentsFromTextAndDuration(text, durationSec) {
   return chunks.map((t, i) => ({ start: i * per, end: (i + 1) * per, text: t }));
 }
 
-function slideForTime(t, totalDuration, slides) {
-  if (!slides.length) return null;
-  if (!isFinite(totalDuration) || totalDuration <= 0) return slides[0].img;
-  const per = totalDuration / slides.length;
-  const idx = Math.min(slides.length - 1, Math.floor(t / per));
-  return slides[idx]?.img ?? null;
-}
-
-const EPS = 1e-3;
-function segmentIndexAtTime(segs, t, holdGapSec = 0.05, leadInSec = 0.03, tailOutSec = 0.06) {
-  if (!segs.length) return -1;
-  if (!Number.isFinite(t) || t < 0) t = 0;
-  for (let i = 0; i < segs.length; i++) {
-    const s = segs[i];
-    if (t >= s.start - leadInSec - EPS && t <= s.end + tailOutSec + EPS) return i;
-    if (t < s.start - EPS) {
-      const prev = i - 1;
-      if (prev >= 0) {
-        const gap = s.start - segs[prev].end;
-        return gap <= holdGapSec + EPS ? prev : -1;
-      }
-      return -1;
-    }
-  }
-  const last = segs[segs.length - 1];
-  const tailGap = t - last.end;
-  return tailGap <= holdGapSec + EPS ? segs.length - 1 : -1;
-}
-
 function getUserPlan(user) {
   if (!user) return 'free';
   const subscriptionPlan = user?.publicMetadata?.subscriptionPlan;
@@ -365,15 +338,14 @@ function getUserPlan(user) {
 }
 
 export default function ClientPage() {
-  const userPlan = 'free'; // No authentication - everyone gets free plan
-
-  const [selectedFormat, setSelectedFormat] = useState('4:3');
-  const FORMAT = FORMATS[selectedFormat];
-  const WIDTH = FORMAT?.width || 1280;
-  const HEIGHT = FORMAT?.height || 960;
-  const CAP_TOP = 1200;
-  const CAP_BOTTOM = HEIGHT - 96;
-  const CAP_BOX_H = CAP_BOTTOM - CAP_TOP;
+  const [usage, setUsage] = useState(null); // { plan, metrics } from /api/usage
+  const userPlan = usage?.plan || DEFAULT_PLAN;
+
+  const [selectedFormat, setSelectedFormat] = useState(DEFAULT_ASPECT); // key of ASPECT_RATIOS
+  const [selectedResolution, setSelectedResolution] = useState(DEFAULT_RESOLUTION); // key of RESOLUTIONS
+  const { width: WIDTH, height: HEIGHT } = formatSize(selectedFormat, selectedResolution);
+  const LAYOUT = useMemo(() => frameLayout(WIDTH, HEIGHT), [WIDTH, HEIGHT]);
+  const exportFileName = `audiograffiti-${ASPECT_RATIOS[selectedFormat].name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/-$/, '')}-${selectedResolution}.mp4`;
   const audioRef = useRef(null);
   const [audioUrl, setAudioUrl] = useState('');
   const [isRecording, setIsRecording] = useState(false);
@@ -385,16 +357,31 @@ export default function ClientPage() {
   const [isTranscribing, setIsTranscribing] = useState(false);
   const [presetIdx, setPresetIdx] = useState(1);
   const [autoBg, setAutoBg] = useState(true);
+  const [captionHighlight, setCaptionHighlight] = useState('none'); // key of HIGHLIGHT_MODES
   const [isExporting, setIsExporting] = useState(false);
   const [err, setErr] = useState(null);
   const [phase, setPhase] = useState('idle');
   const [renderPct, setRenderPct] = useState(0);
   const [exportSupported, setExportSupported] = useState(null);
   const [exportReason, setExportReason] = useState('');
-  const [voices] = useState(['shawn', 'chuck', 'brittany', 'kaitlyn', 'boomer', 'sage', 'max', 'randy', 'coral']);
+  const [exportPath, setExportPath] = useState(null); // 'webcodecs' | 'mediarecorder' once detected
+  const voices = VOICE_IDS;
   const [ttsText, setTtsText] = useState('');
   const [ttsVoice, setTtsVoice] = useState('brittany');
   const [isTtsBusy, setIsTtsBusy] = useState(false);
+  const [ttsProgress, setTtsProgress] = useState(null); // { completed, total } while a TTS job runs
+  const [musicBeds, setMusicBeds] = useState([]);
+  const [musicBed, setMusicBed] = useState(''); // library id, '' = none
+  const [musicUpload, setMusicUpload] = useState(null);
+  const [musicLevels, setMusicLevels] = useState({ introDb: -12, underDb: -26, outroSeconds: 3 });
+  const [isMixing, setIsMixing] = useState(false);
+  const [subtitleOptions, setSubtitleOptions] = useState(DEFAULT_SUBTITLE_OPTIONS);
+  // Soft caption track and container metadata written into the exported MP4
+  const [embedCaptions, setEmbedCaptions] = useState(true);
+  // Render frames with /api/render instead of recording the canvas in real time
+  const [renderOnServer, setRenderOnServer] = useState(false);
+  const [videoMeta, setVideoMeta] = useState({ title: '', description: '', language: 'en' });
+  const mixRef = useRef({ dryUrl: null, mixedUrl: null }); // undo target for the current mix
   const [artworks, setArtworks] = useState([]);
   const [artOpacity, setArtOpacity] = useState(1);
   const [customBrandingText, setCustomBrandingText] = useState('');
@@ -404,37 +391,14 @@ export default function ClientPage() {
   const speakerTimingsRef = useRef(null); // Store actual speaker timings from backend
   const [characterImages, setCharacterImages] = useState({}); // { "ALEX": {url, img}, "JAMIE": {url, img} }
   const [characterVoices, setCharacterVoices] = useState({}); // { "ALEX": "alloy", "JAMIE": "nova" }
+  // Speakers found by diarizing a recorded conversation, each shown with a voice's character image
+  const [recordedSpeakers, setRecordedSpeakers] = useState([]); // ["SPEAKER 1", "SPEAKER 2"]
+  const [speakerVoices, setSpeakerVoices] = useState({}); // { "SPEAKER 1": "shawn" }
+  const [detectSpeakers, setDetectSpeakers] = useState(false);
   
   const [wakeLock, setWakeLock] = useState(null);
   const capMetricsMemoRef = useRef(null);
 
-  function computeUniformCaptionMetrics(ctx, segs, fallbackText) {
-    const maxWidth = WIDTH * 0.94;
-    const texts = segs?.map((s) => (s.text || '').trim()).filter(Boolean) ?? [];
-    if (!texts.length) texts.push((fallbackText || '').trim() || 'Record or upload audio');
-    const sizeFor = (text) => {
-      let lo = 56, hi = 220, best = 56;
-      while (lo <= hi) {
-        const mid = Math.floor((lo + hi) / 2);
-        const lh = Math.round(mid * 1.14);
-        ctx.font = `bold ${mid}px Inter, system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
-        const lines = wrapCaption(ctx, text, maxWidth);
-        const ok = lines.length <= MAX_LINES && (lines.length - 1) * lh <= CAP_BOX_H;
-        if (ok) {
-          best = mid;
-          lo = mid + 2;
-        } else {
-          hi = mid - 2;
-        }
-      }
-      return best;
-    };
-    let uniform = 220;
-    for (const txt of texts) uniform = Math.min(uniform, sizeFor(txt));
-    const lineHeight = Math.round(uniform * 1.14);
-    return { size: uniform, lineHeight };
-  }
-
   const startRecord = async () => {
     try {
       setErr(null);
@@ -506,6 +470,12 @@ export default function ClientPage() {
     setArtworks([]);
   };
 
+  const assignSpeakerVoice = async (speaker, voice) => {
+    setSpeakerVoices((prev) => ({ ...prev, [speaker]: voice }));
+    const image = await loadCharacterImage(voice);
+    setCharacterImages((prev) => ({ ...prev, [speaker]: image }));
+  };
+
   const transcribe = async () => {
     try {
       setErr(null);
@@ -515,6 +485,7 @@ export default function ClientPage() {
       const blob = await res.blob();
       const fd = new FormData();
       fd.append('file', new File([blob], 'audio.webm', { type: blob.type || 'audio/webm' }));
+      if (detectSpeakers) fd.append('diarize', '1');
       const r = await fetch('/api/transcribe', { method: 'POST', body: fd });
       if (!r.ok) {
         let msg = await r.text();
@@ -523,8 +494,18 @@ export default function ClientPage() {
       }
       const data = await r.json();
       setTranscript((data?.text || '').trim());
-      const segs = data?.segments?.map((s) => ({ start: s.start, end: s.end, text: (s.text || '').trim() })) || [];
+      const segs = data?.segments?.map((s) => ({ start: s.start, end: s.end, text: (s.text || '').trim(), words: s.words, speaker: s.speaker })) || [];
       const durGuess = segs[segs.length - 1]?.end ?? 0;
+      if (data?.diarizationError) console.warn('Speaker detection failed:', data.diarizationError);
+      const speakers = data?.speakers || [];
+      setRecordedSpeakers(speakers);
+      if (speakers.length) {
+        const assigned = Object.fromEntries(speakers.map((speaker, i) => [speaker, voices[i % voices.length]]));
+        setSpeakerVoices(assigned);
+        const images = {};
+        for (const speaker of speakers) images[speaker] = await loadCharacterImage(assigned[speaker]);
+        setCharacterImages((prev) => ({ ...prev, ...images }));
+      }
       setSegments(normalizeSegments(segs, durGuess));
       setCurrentIdx(0);
       capMetricsMemoRef.current = null;
@@ -535,106 +516,276 @@ export default function ClientPage() {
     }
   };
 
+  /**
+   * Wait for a background TTS job, streaming per-line progress over SSE.
+   * Falls back to polling the status endpoint if the event stream drops.
+   */
+  function waitForTtsJob(jobId) {
+    return new Promise((resolve, reject) => {
+      let pollTimer = null;
+      const settle = (job) => {
+        setTtsProgress({ completed: job.completed || 0, total: job.total || 0 });
+        if (job.status === 'completed') {
+          resolve(job);
+          return true;
+        }
+        if (job.status === 'failed') {
+          reject(new Error(job.error || 'TTS failed.'));
+          return true;
+        }
+        return false;
+      };
+
+      const poll = async () => {
+        try {
+          const r = await fetch(`/api/tts/jobs/${jobId}`, { cache: 'no-store' });
+          if (!r.ok) {
+            let msg = await r.text();
+            try { msg = JSON.parse(msg)?.error || msg; } catch {}
+            reject(new Error(msg || 'TTS job not found.'));
+            return;
+          }
+          if (!settle(await r.json())) pollTimer = setTimeout(poll, 1500);
+        } catch (e) {
+          reject(e);
+        }
+      };
+
+      if (typeof EventSource === 'undefined') {
+        poll();
+        return;
+      }
+
+      const es = new EventSource(`/api/tts/jobs/${jobId}/events`);
+      const onState = (e) => {
+        try {
+          if (settle(JSON.parse(e.data))) es.close();
+        } catch {}
+      };
+      es.addEventListener('progress', onState);
+      es.addEventListener('done', onState);
+      es.addEventListener('failed', onState);
+      es.onerror = () => {
+        es.close();
+        if (!pollTimer) poll();
+      };
+    });
+  }
+
+  /**
+   * Run a submitted job to completion and load its audio. The job id is kept
+   * in localStorage so a refresh can pick the job back up.
+   */
+  async function completeTtsJob(jobId, scriptText) {
+    try {
+      const job = await waitForTtsJob(jobId);
+      const audioRes = await fetch(job.audioUrl);
+      if (!audioRes.ok) throw new Error('Could not download generated audio.');
+      speakerTimingsRef.current = job.speakerTimings || null;
+      if (job.speakerTimings) console.log('Received speaker timings from backend:', job.speakerTimings);
+      await finishTTS(await audioRes.blob(), scriptText);
+    } finally {
+      try { localStorage.removeItem(TTS_JOB_STORAGE_KEY); } catch {}
+    }
+  }
+
+  async function finishTTS(audioBlob, scriptText) {
+    const url = URL.createObjectURL(audioBlob);
+    setAudioUrl(url);
+    setRecordedSpeakers([]);
+    let dur = 10;
+    try {
+      const probe = new Audio(url);
+      await new Promise((res, rej) => {
+        probe.addEventListener('loadedmetadata', () => {
+          if (isFinite(probe.duration) && probe.duration > 0) dur = probe.duration;
+          res();
+        }, { once: true });
+        probe.addEventListener('error', () => rej(new Error('probe failed')), { once: true });
+        probe.load();
+      });
+    } catch {}
+    // Align the known script to the audio instead of transcribing it again:
+    // captions keep the script's spelling and line boundaries
+    const parsed = parseCharacterScript(scriptText);
+    const lines = parsed.lines.length ? parsed.lines.map((line) => line.text) : [scriptText];
+    const fd = new FormData();
+    fd.append('file', new File([audioBlob], 'tts.mp3', { type: audioBlob.type || 'audio/mpeg' }));
+    fd.append('lines', JSON.stringify(lines));
+    if (speakerTimingsRef.current) fd.append('timings', JSON.stringify(speakerTimingsRef.current));
+    let alignData = null;
+    try {
+      const alignResponse = await fetch('/api/align', { method: 'POST', body: fd });
+      if (alignResponse.ok) alignData = await alignResponse.json();
+      else console.warn('Script alignment failed, estimating captions:', alignResponse.status);
+    } catch (e) {
+      console.warn('Script alignment failed, estimating captions:', e);
+    }
+    // Word timings only come back from the ASR aligner; the default gives line timings
+    const alignedSegs = alignData?.segments?.map((s) => ({ start: s.start, end: s.end, text: s.text, ...(s.words && { words: s.words }) })) || [];
+    const finalSegs = normalizeSegments(alignedSegs.length ? alignedSegs : buildSegmentsFromTextAndDuration(lines.join(' '), dur), dur);
+    setTranscript(alignData?.text || lines.join(' '));
+    setSegments(finalSegs);
+    setCurrentIdx(0);
+    capMetricsMemoRef.current = null;
+  }
+
+  /**
+   * Mix the selected music bed under the current audio, ducking around the
+   * transcribed segments. Re-mixing always starts from the dry voice.
+   */
+  const applyMusic = async () => {
+    try {
+      if (!audioUrl || (!musicBed && !musicUpload)) return;
+      setErr(null);
+      setIsMixing(true);
+      const dryUrl = audioUrl === mixRef.current.mixedUrl ? mixRef.current.dryUrl : audioUrl;
+      const dry = await (await fetch(dryUrl)).blob();
+      const fd = new FormData();
+      fd.append('file', new File([dry], 'voice', { type: dry.type || 'audio/mpeg' }));
+      if (musicUpload) fd.append('music', musicUpload);
+      else fd.append('bed', musicBed);
+      fd.append('options', JSON.stringify(musicLevels));
+      fd.append('ranges', JSON.stringify(segments.map((s) => ({ start: s.start, end: s.end }))));
+      const r = await fetch('/api/music/mix', { method: 'POST', body: fd });
+      if (!r.ok) {
+        let msg = await r.text();
+        try { msg = JSON.parse(msg)?.error || msg; } catch {}
+        throw new Error(msg || 'Adding music failed.');
+      }
+      const mixedUrl = URL.createObjectURL(await r.blob());
+      if (mixRef.current.mixedUrl) URL.revokeObjectURL(mixRef.current.mixedUrl);
+      mixRef.current = { dryUrl, mixedUrl };
+      setAudioUrl(mixedUrl);
+    } catch (e) {
+      setErr(e?.message || 'Adding music failed.');
+    } finally {
+      setIsMixing(false);
+    }
+  };
+
+  const removeMusic = () => {
+    if (audioUrl !== mixRef.current.mixedUrl) return;
+    setAudioUrl(mixRef.current.dryUrl);
+    URL.revokeObjectURL(mixRef.current.mixedUrl);
+    mixRef.current = { dryUrl: null, mixedUrl: null };
+  };
+
   const generateTTS = async () => {
     try {
       if (!ttsText.trim()) return;
-      const limit = PLAN_LIMITS[userPlan];
+      const limit = PLANS[userPlan];
       if (ttsText.trim().length > limit.maxChars) {
         setErr(`Text exceeds ${limit.displayName} plan limit of ${limit.maxChars} characters.`);
         return;
       }
       setIsTtsBusy(true);
+      setTtsProgress(null);
       setErr(null);
       
-      let tt;
-      
       if (detectedCharacters.length > 0) {
-        // MULTI-VOICE MODE: Build segments with character voices
+        // MULTI-VOICE MODE: Build segments with character voices and run as a background job
         const parsed = parseCharacterScript(ttsText.trim());
         const segments = parsed.lines.map(line => {
-          const customVoice = characterVoices[line.speaker] || 'shawn';
-          const apiVoice = VOICE_API_MAPPING[customVoice] || 'alloy';
+          const voice = characterVoices[line.speaker] || 'shawn';
           return {
             text: line.text,
-            voice: apiVoice // Convert to API voice name
+            voice,
+            speaker: line.speaker,
+            ...(line.speed !== undefined && { speed: line.speed }),
+            ...(line.volume !== undefined && { volume: line.volume }),
+            ...(line.pauseBefore !== undefined && { pauseBefore: line.pauseBefore }),
+            ...(line.pauseAfter !== undefined && { pauseAfter: line.pauseAfter }),
+            ...(line.sfx && { sfx: line.sfx }),
           };
         });
         
-        console.log(`Generating multi-voice TTS with ${segments.length} segments`);
+        console.log(`Submitting multi-voice TTS job with ${segments.length} segments`);
         
-        tt = await fetch('/api/tts', {
+        const submit = await fetch('/api/tts/jobs', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ 
             segments: segments, 
-            userPlan: userPlan 
-          }),
-        });
-      } else {
-        // SINGLE VOICE MODE: Original behavior
-        const apiVoice = VOICE_API_MAPPING[ttsVoice] || 'alloy';
-        tt = await fetch('/api/tts', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ 
-            text: ttsText.trim(), 
-            voice: apiVoice, // Convert to API voice name
-            format: 'mp3', 
-            userPlan: userPlan 
+            timing: parsed.timing,
           }),
         });
+        if (!submit.ok) {
+          let msg = await submit.text();
+          try { msg = JSON.parse(msg)?.error || msg; } catch {}
+          throw new Error(msg || 'TTS failed.');
+        }
+        const { jobId, total } = await submit.json();
+        setTtsProgress({ completed: 0, total });
+        try { localStorage.setItem(TTS_JOB_STORAGE_KEY, JSON.stringify({ jobId, script: ttsText })); } catch {}
+        await completeTtsJob(jobId, ttsText.trim());
+        return;
       }
+
+      // SINGLE VOICE MODE: Original behavior
+      const tt = await fetch('/api/tts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ 
+          text: ttsText.trim(), 
+          voice: getVoice(ttsVoice) ? ttsVoice : DEFAULT_VOICE,
+          format: 'mp3', 
+        }),
+      });
       if (!tt.ok) {
         let msg = await tt.text();
         try { msg = (await tt.json())?.error || msg; } catch {}
         throw new Error(msg || 'TTS failed.');
       }
-      
-      // Capture speaker timing data from backend
-      const speakerTimingsHeader = tt.headers.get('X-Speaker-Timings');
-      const speakerTimings = speakerTimingsHeader ? JSON.parse(speakerTimingsHeader) : null;
-      if (speakerTimings) {
-        console.log('Received speaker timings from backend:', speakerTimings);
-        speakerTimingsRef.current = speakerTimings;
-      }
-      
-      const audioBlob = await tt.blob();
-      const url = URL.createObjectURL(audioBlob);
-      setAudioUrl(url);
-      let dur = 10;
-      try {
-        const probe = new Audio(url);
-        await new Promise((res, rej) => {
-          probe.addEventListener('loadedmetadata', () => {
-            if (isFinite(probe.duration) && probe.duration > 0) dur = probe.duration;
-            res();
-          }, { once: true });
-          probe.addEventListener('error', () => rej(new Error('probe failed')), { once: true });
-          probe.load();
-        });
-      } catch {}
-      const fd = new FormData();
-      fd.append('file', new File([audioBlob], 'tts.mp3', { type: audioBlob.type || 'audio/mpeg' }));
-      const transcribeResponse = await fetch('/api/transcribe', { method: 'POST', body: fd });
-      if (!transcribeResponse.ok) {
-        let msg = await transcribeResponse.text();
-        try { msg = (await transcribeResponse.json())?.error || msg; } catch {}
-        throw new Error(msg || 'Transcription of TTS failed.');
-      }
-      const transcribeData = await transcribeResponse.json();
-      const whisperSegs = transcribeData?.segments?.map((s) => ({ start: s.start, end: s.end, text: (s.text || '').trim() })) || [];
-      const finalSegs = normalizeSegments(whisperSegs.length ? whisperSegs : buildSegmentsFromTextAndDuration(ttsText.trim(), dur), dur);
-      setTranscript(transcribeData?.text || ttsText.trim());
-      setSegments(finalSegs);
-      setCurrentIdx(0);
-      capMetricsMemoRef.current = null;
+      speakerTimingsRef.current = null;
+      await finishTTS(await tt.blob(), ttsText.trim());
     } catch (e) {
       setErr(e?.message || 'TTS failed.');
     } finally {
       setIsTtsBusy(false);
+      setTtsProgress(null);
+      refreshUsage();
     }
   };
 
+  // Resume a background TTS job that was still running when the page was refreshed
+  useEffect(() => {
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem(TTS_JOB_STORAGE_KEY) || 'null'); } catch {}
+    if (!saved?.jobId) return;
+    setTtsText(saved.script || '');
+    setIsTtsBusy(true);
+    completeTtsJob(saved.jobId, (saved.script || '').trim())
+      .catch((e) => setErr(e?.message || 'TTS failed.'))
+      .finally(() => {
+        setIsTtsBusy(false);
+        setTtsProgress(null);
+      });
+  }, []);
+
+  const refreshUsage = () => {
+    fetch('/api/usage', { cache: 'no-store' })
+      .then((r) => (r.ok ? r.json() : null))
+      .then((data) => { if (data) setUsage(data); })
+      .catch(() => {});
+  };
+
+  useEffect(() => { refreshUsage(); }, []);
+
+  useEffect(() => {
+    fetch('/api/music')
+      .then((r) => (r.ok ? r.json() : null))
+      .then((data) => {
+        if (!data) return;
+        setMusicBeds(data.beds || []);
+        if (data.defaults) {
+          const { introDb, underDb, outroSeconds } = data.defaults;
+          setMusicLevels({ introDb, underDb, outroSeconds });
+        }
+      })
+      .catch(() => {});
+  }, []);
+
   useEffect(() => {
     try {
       const saved = localStorage.getItem(VOICE_STORAGE_KEY);
@@ -663,7 +814,7 @@ export default function ClientPage() {
     };
   }, [segments]);
 
-  useEffect(() => { capMetricsMemoRef.current = null; }, [segments, transcript, selectedFormat]);
+  useEffect(() => { capMetricsMemoRef.current = null; }, [segments, transcript, LAYOUT, detectedCharacters, recordedSpeakers]);
 
   // Auto-detect characters from tagged script (limit to 2 for PrimoScenarios)
   useEffect(() => {
@@ -712,7 +863,7 @@ export default function ClientPage() {
             newImages[char] = generateDefaultCharacterImage(char, voice);
           }
         }
-        setCharacterImages(newImages);
+        setCharacterImages((prev) => ({ ...prev, ...newImages }));
       };
       
       loadImages();
@@ -764,7 +915,8 @@ export default function ClientPage() {
   }, [audioUrl]);
 
   useEffect(() => {
-    const res = (() => {
+    let cancelled = false;
+    const mediaRecorderSupport = () => {
       const hasCanvasCapture = typeof HTMLCanvasElement !== 'undefined' && typeof HTMLCanvasElement.prototype.captureStream === 'function';
       const hasMR = typeof window !== 'undefined' && 'MediaRecorder' in window;
       if (!hasCanvasCapture || !hasMR) return { ok: false, reason: 'Missing canvas.captureStream or MediaRecorder.' };
@@ -772,10 +924,19 @@ export default function ClientPage() {
       const candidates = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
       if (!!isTypeSupported && candidates.some((c) => isTypeSupported(c))) return { ok: true };
       return { ok: false, reason: 'MediaRecorder present but no compatible WebM profile.' };
+    };
+    // WebCodecs renders offline in a worker; MediaRecorder captures in real time as the fallback
+    (async () => {
+      const webCodecs = await webCodecsSupport(WIDTH, HEIGHT, FPS).catch((e) => ({ ok: false, reason: e?.message }));
+      const res = webCodecs.ok ? webCodecs : mediaRecorderSupport();
+      if (cancelled) return;
+      if (!webCodecs.ok) console.log('WebCodecs export unavailable:', webCodecs.reason);
+      setExportPath(webCodecs.ok ? 'webcodecs' : res.ok ? 'mediarecorder' : null);
+      setExportSupported(res.ok);
+      setExportReason(res.reason || '');
     })();
-    setExportSupported(res.ok);
-    setExportReason(res.reason || '');
-  }, []);
+    return () => { cancelled = true; };
+  }, [WIDTH, HEIGHT]);
 
   /**
    * Map segments to speakers using actual timing from backend when available
@@ -794,10 +955,11 @@ export default function ClientPage() {
       return segments.map(segment => {
         const segmentMidpoint = (segment.start + segment.end) / 2;
         
-        // Find which timing this segment falls into
+        // Find which timing this segment falls into, else the nearest line (midpoint inside a pause)
+        const distance = (t) => Math.max(t.startTime - segmentMidpoint, segmentMidpoint - t.endTime, 0);
         const timing = speakerTimings.find(t => 
           segmentMidpoint >= t.startTime && segmentMidpoint < t.endTime
-        );
+        ) || speakerTimings.reduce((best, t) => (!best || distance(t) < distance(best) ? t : best), null);
         
         const speaker = timing?.speaker || parsed.characters[0] || null;
         
@@ -811,39 +973,31 @@ export default function ClientPage() {
     // FALLBACK: Estimate timing (old approach)
     console.log('Estimating speaker timings (no backend data available)');
     
-    const PAUSE_DURATION = 1.0;
-    const INITIAL_SILENCE = 0.2;
+    // Mirrors the silence /api/tts inserts: lead-in, gaps between lines and [PAUSE] directives
+    const timing = { ...DEFAULT_SCRIPT_TIMING, ...parsed.timing };
     const totalAudioDuration = segments[segments.length - 1]?.end || 0;
-    const totalScriptLength = parsed.lines.reduce((sum, line) => sum + line.text.length, 0);
-    
-    let speakerChanges = 0;
-    for (let i = 1; i < parsed.lines.length; i++) {
-      if (parsed.lines[i].speaker !== parsed.lines[i - 1].speaker) {
-        speakerChanges++;
-      }
-    }
-    
-    const totalPauseTime = speakerChanges * PAUSE_DURATION;
-    const totalSpeakingTime = Math.max(0, totalAudioDuration - totalPauseTime - INITIAL_SILENCE);
+    const gapBefore = parsed.lines.map((line, i) => {
+      const gap = i === 0 ? 0 : (line.speaker !== parsed.lines[i - 1].speaker ? timing.speakerChangeGap : timing.sameSpeakerGap);
+      return gap + (line.pauseBefore || 0);
+    });
+    const weights = parsed.lines.map((line) => line.text.length / (line.speed || 1));
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0) || 1;
+    const totalPauseTime = gapBefore.reduce((sum, g) => sum + g, 0) + (parsed.lines[parsed.lines.length - 1].pauseAfter || 0);
+    const totalSpeakingTime = Math.max(0, totalAudioDuration - totalPauseTime - timing.leadIn);
     
     const scriptTimeline = [];
-    let cumulativeTime = 0.2;
-    let lastSpeaker = null;
+    let cumulativeTime = timing.leadIn;
     
-    for (const line of parsed.lines) {
-      if (lastSpeaker && lastSpeaker !== line.speaker) {
-        cumulativeTime += PAUSE_DURATION;
-      }
-      
-      const lineDuration = (line.text.length / totalScriptLength) * totalSpeakingTime;
+    parsed.lines.forEach((line, i) => {
+      cumulativeTime += gapBefore[i];
+      const lineDuration = (weights[i] / totalWeight) * totalSpeakingTime;
       scriptTimeline.push({
         speaker: line.speaker,
         startTime: cumulativeTime,
         endTime: cumulativeTime + lineDuration
       });
       cumulativeTime += lineDuration;
-      lastSpeaker = line.speaker;
-    }
+    });
     
     return segments.map(segment => {
       const segmentMidpoint = (segment.start + segment.end) / 2;
@@ -861,141 +1015,27 @@ export default function ClientPage() {
     });
   }
 
-  // PRIMO SCENARIOS - Character-Switching Frame Renderer
+  // PRIMO SCENARIOS - Character-Switching Frame Renderer (lib/render/frame.js, shared with the server renderer)
   function drawFrame(ctx, t, grad, segs, transcriptText, bars, art, artOp, plan, customText, watermarkLogo) {
-    // Background gradient
-    const g = ctx.createLinearGradient(0, 0, 0, HEIGHT);
-    g.addColorStop(0, grad[0]);
-    g.addColorStop(1, grad[1]);
-    ctx.fillStyle = g;
-    ctx.fillRect(0, 0, WIDTH, HEIGHT);
-
-    // Determine if we have character mode
-    const hasCharacters = detectedCharacters.length > 0;
-    
-    if (hasCharacters) {
-      const idx = segmentIndexAtTime(segs, t);
-      const currentSeg = idx === -1 ? null : segs[idx];
-      const speaker = currentSeg?.speaker || detectedCharacters[0];
-      const characterImg = characterImages[speaker]?.img;
-      
-      const splitX = WIDTH / 2;
-      
-      // Draw character image on left half
-      if (characterImg && characterImg.complete) {
-        drawImageCoverRounded(ctx, characterImg, 0, 0, splitX, HEIGHT, 0, 1);
-      }
-      
-      // Draw caption on right half - USE FULL HEIGHT
-      if (currentSeg?.text) {
-        const capX = splitX;
-        const capW = WIDTH - splitX;
-        
-        // NEW: Use 90% of vertical space instead of small box
-        const capTopMargin = HEIGHT * 0.05;  // 5% top margin
-        const capBottomMargin = HEIGHT * 0.05;  // 5% bottom margin
-        const capH = HEIGHT - capTopMargin - capBottomMargin;
-        const capY = capTopMargin;
-        
-        // Increased max width to use more horizontal space too
-        const maxWidth = capW * 0.85;  // Was 0.9, now 0.85 for better readability
-        
-        if (!capMetricsMemoRef.current) {
-          capMetricsMemoRef.current = computeUniformCaptionMetrics(ctx, segs, transcriptText);
-        }
-        const { size: CAP_SIZE, lineHeight: CAP_LH } = capMetricsMemoRef.current;
-        
-        ctx.textAlign = 'left';  // Changed from 'center' - left align looks better for longer text
-        ctx.textBaseline = 'top';  // Changed from 'middle'
-        ctx.font = `bold ${CAP_SIZE}px Inter, system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
-        ctx.fillStyle = '#fff';
-        ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
-        ctx.shadowBlur = 12;
-        ctx.shadowOffsetX = 0;
-        ctx.shadowOffsetY = 2;
-        
-        const lines = wrapCaption(ctx, currentSeg.text, maxWidth);  // Removed .slice(0, MAX_LINES) - show all lines
-        
-        // Draw from top with padding
-        const textStartY = capY + 325;  // 325px from top
-        
-        for (let i = 0; i < lines.length; i++) {
-          const y = textStartY + i * CAP_LH;
-          // Left-aligned text with left margin
-          const textX = capX + (capW * 0.075);  // 7.5% left margin
-          ctx.fillText(lines[i], textX, y);
-        }
-        
-        ctx.shadowColor = 'transparent';
-        ctx.shadowBlur = 0;
-      }
-    
-    } else {
-      // LEGACY MODE: Original AudioGraffiti layout
-      const left = WIDTH * 0.06, right = WIDTH * 0.94;
-      const availW = right - left, gap = 10;
-      const bins = Math.min(64, bars?.length || 64);
-      const barW = (availW - (bins - 1) * gap) / bins;
-      const maxBarH = 150;
-      const midY = CAP_TOP - 120;
-      
-      // Artwork rendering
-      const artTop = 120;
-      const artBottom = midY - maxBarH / 2 - 60;
-      const artHeight = Math.max(0, artBottom - artTop);
-
-      if (art && artHeight > 40) {
-        drawImageCoverRounded(ctx, art, left, artTop, availW, artHeight, 28, artOp);
-      }
-
-      // Waveform bars
-      if (bars?.length) {
-        ctx.fillStyle = '#f5c445';
-        for (let i = 0; i < bins; i++) {
-          const v = Math.max(0.08, Math.min(1, bars[i]));
-          const h = v * maxBarH;
-          const x = left + i * (barW + gap);
-          const y = midY - h / 2;
-          roundedRectFill(ctx, x, y, barW, h, 14);
-        }
-      }
-
-      // Captions with proper timing
-      const idx = segmentIndexAtTime(segs, t);
-      const raw = idx === -1 ? '' : (segs[idx]?.text || transcriptText || 'Record or upload audio').trim();
-
-      if (raw) {
-        const maxWidth = WIDTH * 0.94;
-        if (!capMetricsMemoRef.current) {
-          capMetricsMemoRef.current = computeUniformCaptionMetrics(ctx, segs, transcriptText);
-        }
-        const { size: CAP_SIZE, lineHeight: CAP_LH } = capMetricsMemoRef.current;
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.font = `bold ${CAP_SIZE}px Inter, system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
-        ctx.fillStyle = '#fff';
-        const lines = wrapCaption(ctx, raw, maxWidth).slice(0, MAX_LINES);
-        const blockH = (lines.length - 1) * CAP_LH;
-        const startY = CAP_TOP + (CAP_BOX_H - blockH) / 2;
-        for (let i = 0; i < lines.length; i++) {
-          const y = startY + i * CAP_LH;
-          ctx.fillText(lines[i], WIDTH / 2, y);
-        }
-      }
+    if (!capMetricsMemoRef.current) {
+      const characters = detectedCharacters.length + recordedSpeakers.length > 0;
+      capMetricsMemoRef.current = computeCaptionMetrics(ctx, segs, transcriptText, LAYOUT, { characters });
     }
- // Watermark - Logo image (smaller size)
-if (plan === 'free' && watermarkLogo && watermarkLogo.complete) {
-  ctx.save();
-  
-  const logoWidth = WIDTH * 0.23; // Reduced from 0.28 to 0.18 (18% of video width)
-  const logoHeight = logoWidth * 0.45; // Maintains aspect ratio
-  const logoX = WIDTH - logoWidth - 15; // 15px padding from right
-  const logoY = 15; // 15px padding from top
-  
-  ctx.drawImage(watermarkLogo, logoX, logoY, logoWidth, logoHeight);
-  
-  ctx.restore();
-}
+    renderFrame(ctx, t, {
+      layout: LAYOUT,
+      grad,
+      segs,
+      transcriptText,
+      metrics: capMetricsMemoRef.current,
+      bars,
+      art,
+      artOpacity: artOp,
+      speakers: [...detectedCharacters, ...recordedSpeakers],
+      characterImages: Object.fromEntries(Object.entries(characterImages).map(([speaker, image]) => [speaker, image?.img])),
+      highlight: captionHighlight,
+      plan,
+      watermarkLogo,
+    });
   }
 
   async function renderWebMBlob(onProgress) {
@@ -1009,6 +1049,30 @@ if (plan === 'free' && watermarkLogo && watermarkLogo.complete) {
     img.onerror = () => resolve(null);
   });
 
+    if (exportPath === 'webcodecs') {
+      return encodeVideoInWorker({
+        audio: await (await fetch(audioUrl)).arrayBuffer(),
+        width: WIDTH,
+        height: HEIGHT,
+        fps: FPS,
+        scene: {
+          segs: speakerSegments(segments),
+          transcriptText: transcript,
+          presetIdx,
+          autoBg,
+          highlight: captionHighlight,
+          speakers: [...detectedCharacters, ...recordedSpeakers],
+          artOpacity,
+          plan: 'free',
+        },
+        images: {
+          characters: Object.fromEntries(Object.entries(characterImages).map(([speaker, image]) => [speaker, image?.img])),
+          slides: artworks.map((x) => x.img),
+          watermark: watermarkLogo,
+        },
+        onProgress,
+      });
+    }
 
     const a = new Audio(audioUrl);
     a.crossOrigin = 'anonymous';
@@ -1043,7 +1107,7 @@ if (plan === 'free' && watermarkLogo && watermarkLogo.complete) {
     // Add bitrate limits to keep file size reasonable (under 100MB for most videos)
     const recorderOptions = {
       mimeType: mime,
-      videoBitsPerSecond: 3000000,  // 3 Mbps video = good quality, small file
+      videoBitsPerSecond: videoBitrate(WIDTH, HEIGHT),  // 3 Mbps at 1080x1080, scaled by pixel count
       audioBitsPerSecond: 128000     // 128 kbps audio = standard quality
     };
     
@@ -1054,41 +1118,14 @@ if (plan === 'free' && watermarkLogo && watermarkLogo.complete) {
     
     const computeBars = (() => {
       const fft = new Uint8Array(analyser.frequencyBinCount);
-      const BINS = 64;
-      const smooth = new Float32Array(BINS);
-      let rollingMax = 0.35;
-      const decay = 0.965;
+      const smoothBars = createBarSmoother();
       return () => {
         analyser.getByteFrequencyData(fft);
-        const n = fft.length;
-        let tickMax = 0;
-        const out = new Array(BINS);
-        for (let i = 0; i < BINS; i++) {
-          const start = Math.floor(Math.pow(i / BINS, 2) * n);
-          const end = Math.max(start + 1, Math.floor(Math.pow((i + 1) / BINS, 2) * n));
-          let sum = 0, c = 0;
-          for (let k = start; k < end; k++) { sum += fft[k]; c++; }
-          const avg = (sum / Math.max(1, c)) / 255;
-          if (avg > tickMax) tickMax = avg;
-          const target = Math.pow(avg, 0.85);
-          smooth[i] = smooth[i] * 0.6 + target * 0.4;
-          out[i] = smooth[i];
-        }
-        rollingMax = Math.max(rollingMax * decay, tickMax);
-        for (let i = 0; i < BINS; i++) {
-          out[i] = out[i] / Math.max(0.18, rollingMax);
-          out[i] = Math.min(1, Math.max(0.06, out[i]));
-        }
-        return out;
+        return smoothBars(fft);
       };
     })();
 
-    let segs = segments.length ? segments : [{ start: 0, end: totalDuration, text: transcript || '' }];
-    
-    // Map segments to speakers for character switching
-    if (detectedCharacters.length > 0) {
-      segs = mapSegmentsToSpeakers(segs, ttsText, speakerTimingsRef.current);
-    }
+    const segs = speakerSegments(segments.length ? segments : [{ start: 0, end: totalDuration, text: transcript || '' }]);
     
     rec.start();
     a.currentTime = 0;
@@ -1141,21 +1178,90 @@ if (plan === 'free' && watermarkLogo && watermarkLogo.complete) {
     return webm;
   }
 
+  // Map segments to speakers for character switching; diarized recordings already carry them
+  function speakerSegments(segs) {
+    if (detectedCharacters.length > 0 && !recordedSpeakers.length) {
+      return mapSegmentsToSpeakers(segs, ttsText, speakerTimingsRef.current);
+    }
+    return segs;
+  }
+
+  // Sidecar captions for LMS/YouTube uploads, built in the browser with the same code as /api/subtitles
+  const downloadSubtitles = (format) => {
+    try {
+      const segs = speakerSegments(segments);
+      const speakerColors = {};
+      for (const seg of segs) {
+        if (!seg.speaker) continue;
+        const voice = getVoice(characterVoices[seg.speaker] || speakerVoices[seg.speaker] || seg.speaker);
+        if (voice) speakerColors[seg.speaker] = voice.color;
+      }
+      const subtitles = formatSubtitles(segs, format, { ...subtitleOptions, width: WIDTH, height: HEIGHT, speakerColors });
+      downloadBlob(new Blob([subtitles.content], { type: `${subtitles.mimeType};charset=utf-8` }), `audiograffiti-captions.${subtitles.extension}`);
+      console.log(`Downloaded ${subtitles.cues} ${format.toUpperCase()} cues`);
+    } catch (e) {
+      setErr(e?.message || 'Subtitle export failed');
+    }
+  };
+
+  // Caption track and container metadata fields shared by /api/convert-mp4 and /api/render
+  function appendExportFields(fd) {
+    if (embedCaptions && segments.length) fd.append('subtitleOptions', JSON.stringify(subtitleOptions));
+    fd.append('language', videoMeta.language);
+    if (videoMeta.title.trim()) fd.append('title', videoMeta.title.trim());
+    if (videoMeta.description.trim()) fd.append('description', videoMeta.description.trim());
+  }
+
+  // Frame-by-frame render on the server: no realtime capture, works in any browser
+  async function renderOnServerBlob() {
+    const audio = await (await fetch(audioUrl)).blob();
+    const fd = new FormData();
+    fd.append('file', new File([audio], 'audio.webm', { type: audio.type || 'audio/webm' }));
+    fd.append('segments', JSON.stringify(speakerSegments(segments)));
+    if (embedCaptions) fd.append('captions', '1');
+    appendExportFields(fd);
+    fd.append('options', JSON.stringify({
+      aspect: selectedFormat,
+      resolution: selectedResolution,
+      presetIdx,
+      autoBg,
+      highlight: captionHighlight,
+      speakers: [...detectedCharacters, ...recordedSpeakers],
+      voices: { ...characterVoices, ...speakerVoices },
+      artOpacity,
+      transcript,
+    }));
+    for (const art of artworks) fd.append('artwork', await (await fetch(art.url)).blob());
+    const r = await fetch('/api/render', { method: 'POST', body: fd });
+    if (!r.ok) {
+      let msg = `HTTP ${r.status} ${r.statusText}`;
+      try { msg = (await r.json())?.error || msg; } catch {}
+      throw new Error(msg);
+    }
+    return r.blob();
+  }
+
   const exportMP4 = async () => {
     let exportLock = null;
     try {
-      if (exportSupported === false) {
-        setErr('Export not supported in this browser. Try desktop Chrome/Edge/Firefox.');
-        return;
-      }
       try { exportLock = await navigator?.wakeLock?.request?.('screen'); } catch {}
       setErr(null);
       setIsExporting(true);
       setPhase('render');
       setRenderPct(0);
-      const webm = await renderWebMBlob((p) => setRenderPct(p));
+      if (renderOnServer || exportSupported === false) {
+        setPhase('server');
+        const mp4 = await renderOnServerBlob();
+        setPhase('save');
+        downloadBlob(mp4, exportFileName);
+        return;
+      }
+      // MP4 from the WebCodecs path, WebM from MediaRecorder; the server finishes either
+      const video = await renderWebMBlob((p) => setRenderPct(p));
       const fd = new FormData();
-      fd.append('file', webm, 'in.webm');
+      fd.append('file', video, video.type === 'video/mp4' ? 'in.mp4' : 'in.webm');
+      if (embedCaptions && segments.length) fd.append('segments', JSON.stringify(speakerSegments(segments)));
+      appendExportFields(fd);
       setPhase('encode');
       const r = await fetch('/api/convert-mp4', { method: 'POST', body: fd });
       if (!r.ok) {
@@ -1169,14 +1275,7 @@ if (plan === 'free' && watermarkLogo && watermarkLogo.complete) {
       }
       setPhase('save');
       const mp4 = await r.blob();
-      const url = URL.createObjectURL(mp4);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `audiograffiti-${FORMAT.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.mp4`;
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-      URL.revokeObjectURL(url);
+      downloadBlob(mp4, exportFileName);
     } catch (e) {
       setErr(e?.message || 'MP4 export failed');
     } finally {
@@ -1203,12 +1302,29 @@ if (plan === 'free' && watermarkLogo && watermarkLogo.complete) {
 
         {exportSupported === false && (
           <div className="mb-4 rounded-lg border border-yellow-400/40 bg-yellow-500/10 text-yellow-100 p-3 text-sm">
-            <div className="font-medium">Export not supported in this browser.</div>
-            <div className="mt-1 opacity-80">Please use <b>desktop Chrome, Edge, or Firefox</b>.</div>
+            <div className="font-medium">This browser cannot record video.</div>
+            <div className="mt-1 opacity-80">Videos will be rendered on the server instead.</div>
             {exportReason && <div className="mt-1 opacity-60 text-xs">{exportReason}</div>}
           </div>
         )}
 
+        <div className="mb-4">
+          <div className="text-sm font-medium mb-2 text-white/90">Recorded Conversation</div>
+          <div className="flex flex-wrap gap-2 items-center text-xs text-white/80">
+            <label className="px-2 py-1 rounded bg-white/15 hover:bg-white/25 cursor-pointer">
+              Upload audio…
+              <input type="file" accept="audio/*" className="hidden" onChange={(e) => { onUploadAudio(e.target.files?.[0]); e.target.value = ''; }} />
+            </label>
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={detectSpeakers} onChange={(e) => setDetectSpeakers(e.target.checked)} />
+              Detect speakers
+            </label>
+            <button onClick={transcribe} disabled={!audioUrl || isTranscribing} className="px-2 py-1 rounded bg-white/15 hover:bg-white/25 disabled:opacity-50">
+              {isTranscribing ? 'Transcribing…' : 'Transcribe'}
+            </button>
+          </div>
+        </div>
+
         <div className="mb-4">
           <div className="text-sm font-medium mb-2 text-white/90">
             Character Images
@@ -1243,12 +1359,31 @@ if (plan === 'free' && watermarkLogo && watermarkLogo.complete) {
                     <div className="flex-1 space-y-1">
                       <div className="font-medium text-white/90">{character}</div>
                       <div className="text-xs text-white/60">
-                        Voice: {VOICE_THEMES[characterVoices[character]]?.name || characterVoices[character]}
+                        Voice: {getVoice(characterVoices[character])?.name || characterVoices[character]}
                       </div>
                     </div>
                   </div>
                 </div>
               ))}
+              {recordedSpeakers.map((speaker) => (
+                <div key={speaker} className="p-3 rounded-lg bg-black/20 border border-white/10">
+                  <div className="flex items-center gap-3">
+                    <div className="relative h-16 w-16 rounded-md overflow-hidden border border-white/20 flex-shrink-0">
+                      {characterImages[speaker] ? (
+                        <img src={characterImages[speaker].url} alt={speaker} className="h-full w-full object-cover" />
+                      ) : (
+                        <div className="h-full w-full flex items-center justify-center bg-gray-700 text-white text-xs">Loading...</div>
+                      )}
+                    </div>
+                    <div className="flex-1 space-y-1">
+                      <div className="font-medium text-white/90">{speaker}</div>
+                      <select value={speakerVoices[speaker] || ''} onChange={(e) => assignSpeakerVoice(speaker, e.target.value)} className="rounded-md bg-white/10 border border-white/15 px-2 py-1 text-xs text-white">
+                        {voices.map((voice) => <option key={voice} value={voice}>{getVoice(voice)?.name || voice}</option>)}
+                      </select>
+                    </div>
+                  </div>
+                </div>
+              ))}
             </div>
         </div>
 
@@ -1265,17 +1400,31 @@ if (plan === 'free' && watermarkLogo && watermarkLogo.complete) {
             rows={8} 
             className="w-full rounded-lg bg-white/10 border border-white/15 p-3 text-sm text-white placeholder-white/50 resize-none font-mono" 
             placeholder="[SHAWN]: Welcome to the helpdesk, how can I help you?&#10;[BRITTANY]: I can't access my email account.&#10;[SHAWN]: Let me check your account status first."
-            maxLength={PLAN_LIMITS[userPlan].maxChars} 
+            maxLength={PLANS[userPlan].maxChars} 
           />
           <div className="flex items-center gap-2 mt-2">
-            <button onClick={generateTTS} disabled={isTtsBusy || !ttsText.trim() || ttsText.trim().length > PLAN_LIMITS[userPlan].maxChars || detectedCharacters.length === 0} className="px-4 py-2 rounded-lg text-sm bg-green-500/90 hover:bg-green-500 text-black border border-green-300 font-medium disabled:opacity-60 disabled:cursor-not-allowed">
+            <button onClick={generateTTS} disabled={isTtsBusy || !ttsText.trim() || ttsText.trim().length > PLANS[userPlan].maxChars || detectedCharacters.length === 0} className="px-4 py-2 rounded-lg text-sm bg-green-500/90 hover:bg-green-500 text-black border border-green-300 font-medium disabled:opacity-60 disabled:cursor-not-allowed">
               {isTtsBusy ? 'Generating Audio…' : 'Generate Audio'}
             </button>
+            {isTtsBusy && ttsProgress?.total > 0 && (
+              <div className="flex-1 max-w-[280px]">
+                <div className="h-2 rounded-full bg-white/10 overflow-hidden">
+                  <div className="h-full bg-green-500/90 transition-all" style={{ width: `${Math.round((ttsProgress.completed / ttsProgress.total) * 100)}%` }} />
+                </div>
+                <div className="text-[10px] text-white/60 mt-1">
+                  {ttsProgress.completed < ttsProgress.total ? `Line ${ttsProgress.completed} of ${ttsProgress.total}` : 'Merging audio…'}
+                </div>
+              </div>
+            )}
             <div className="text-xs ml-auto">
-              <div className={`${ttsText.trim().length > PLAN_LIMITS[userPlan].maxChars ? 'text-red-400' : 'text-white/60'}`}>
-                {ttsText.trim().length} / {PLAN_LIMITS[userPlan].maxChars}
+              <div className={`${ttsText.trim().length > PLANS[userPlan].maxChars ? 'text-red-400' : 'text-white/60'}`}>
+                {ttsText.trim().length} / {PLANS[userPlan].maxChars}
+              </div>
+              <div className="text-white/50 text-[10px]">
+                {usage?.metrics?.ttsCharacters
+                  ? `${usage.metrics.ttsCharacters.remaining} left this month (${userPlan})`
+                  : `${userPlan} limit`}
               </div>
-              <div className="text-white/50 text-[10px]">{userPlan} limit</div>
             </div>
           </div>
         </div>
@@ -1296,14 +1445,96 @@ if (plan === 'free' && watermarkLogo && watermarkLogo.complete) {
         </div>
 
         <div className="mb-4">
-          <button onClick={exportMP4} disabled={isExporting || exportSupported === false || !segments.length} className="w-full px-4 py-3 rounded-lg bg-green-500/90 hover:bg-green-500 text-black text-lg font-bold disabled:opacity-60 disabled:cursor-not-allowed border border-green-300" title={!segments.length ? 'Transcribe audio first' : undefined}>
+          <div className="text-sm font-medium mb-2 text-white/90">Word Highlight</div>
+          <div className="flex gap-2 items-center text-xs">
+            {Object.entries(HIGHLIGHT_MODES).map(([mode, label]) => (
+              <button key={mode} onClick={() => setCaptionHighlight(mode)} className={`px-2 py-1 rounded transition-colors ${captionHighlight === mode ? 'bg-yellow-500/90 text-black font-medium' : 'bg-white/15 hover:bg-white/25 text-white/90'}`}>
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="mb-4">
+          <div className="text-sm font-medium mb-2 text-white/90">Background Music</div>
+          <div className="flex flex-wrap gap-2 items-center text-xs text-white/80">
+            <select value={musicUpload ? '' : musicBed} onChange={(e) => { setMusicBed(e.target.value); setMusicUpload(null); }} className="rounded-md bg-white/10 border border-white/15 px-2 py-1 text-white">
+              <option value="">{musicUpload ? musicUpload.name : 'No music'}</option>
+              {musicBeds.map((bed) => <option key={bed.id} value={bed.id}>{bed.name}</option>)}
+            </select>
+            <label className="px-2 py-1 rounded bg-white/15 hover:bg-white/25 cursor-pointer">
+              Upload…
+              <input type="file" accept="audio/*" className="hidden" onChange={(e) => { setMusicUpload(e.target.files?.[0] || null); e.target.value = ''; }} />
+            </label>
+            {[['introDb', 'Intro dB', -60, 0, 1], ['underDb', 'Under voice dB', -60, 0, 1], ['outroSeconds', 'Outro s', 0, 30, 0.5]].map(([key, label, min, max, step]) => (
+              <label key={key} className="flex items-center gap-1">
+                {label}
+                <input type="number" min={min} max={max} step={step} value={musicLevels[key]} onChange={(e) => setMusicLevels((m) => ({ ...m, [key]: Number(e.target.value) }))} className="w-16 rounded bg-white/10 border border-white/15 px-1 py-0.5 text-white" />
+              </label>
+            ))}
+            <button onClick={applyMusic} disabled={isMixing || !audioUrl || (!musicBed && !musicUpload)} className="px-2 py-1 rounded bg-yellow-500/90 text-black font-medium disabled:opacity-60 disabled:cursor-not-allowed">
+              {isMixing ? 'Mixing…' : 'Add Music'}
+            </button>
+            {audioUrl && audioUrl === mixRef.current.mixedUrl && (
+              <button onClick={removeMusic} className="px-2 py-1 rounded bg-white/15 hover:bg-white/25">Remove</button>
+            )}
+          </div>
+        </div>
+
+        <div className="mb-4">
+          <div className="mb-2 flex flex-wrap gap-2 items-center justify-center text-xs text-white/80">
+            <label className="flex items-center gap-1">
+              Format
+              <select value={selectedFormat} onChange={(e) => setSelectedFormat(e.target.value)} disabled={isExporting} className="rounded-md bg-white/10 border border-white/15 px-2 py-1 text-white">
+                {Object.entries(ASPECT_RATIOS).map(([key, ratio]) => <option key={key} value={key}>{ratio.name}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-1">
+              Resolution
+              <select value={selectedResolution} onChange={(e) => setSelectedResolution(e.target.value)} disabled={isExporting} className="rounded-md bg-white/10 border border-white/15 px-2 py-1 text-white">
+                {Object.keys(RESOLUTIONS).map((key) => <option key={key} value={key}>{key === '4k' ? '4K' : key}</option>)}
+              </select>
+            </label>
+            <span className="opacity-60">{WIDTH}×{HEIGHT}</span>
+          </div>
+          <button onClick={exportMP4} disabled={isExporting || !segments.length} className="w-full px-4 py-3 rounded-lg bg-green-500/90 hover:bg-green-500 text-black text-lg font-bold disabled:opacity-60 disabled:cursor-not-allowed border border-green-300" title={!segments.length ? 'Transcribe audio first' : undefined}>
             Export MP4 Video
           </button>
           {isExporting && (
             <div className="mt-2 text-sm text-white/70 text-center">
-              {phase === 'render' ? `Rendering… ${renderPct}%` : 'Encoding on server… (can take a minute)'}
+              {phase === 'render' ? `Rendering… ${renderPct}%` : phase === 'server' ? 'Rendering on server… (can take a minute)' : 'Encoding on server… (can take a minute)'}
             </div>
           )}
+          <div className="mt-2 flex flex-wrap gap-2 items-center justify-center text-xs text-white/80">
+            <span>Captions</span>
+            {Object.keys(SUBTITLE_FORMATS).map((format) => (
+              <button key={format} onClick={() => downloadSubtitles(format)} disabled={!segments.length} className="px-2 py-1 rounded bg-white/15 hover:bg-white/25 font-medium disabled:opacity-60 disabled:cursor-not-allowed">
+                {format.toUpperCase()}
+              </button>
+            ))}
+            {[['maxLineChars', 'Chars/line', 10, 100, 1], ['maxLines', 'Lines', 1, 4, 1], ['maxCharsPerSecond', 'Chars/s', 5, 40, 1]].map(([key, label, min, max, step]) => (
+              <label key={key} className="flex items-center gap-1">
+                {label}
+                <input type="number" min={min} max={max} step={step} value={subtitleOptions[key]} onChange={(e) => setSubtitleOptions((o) => ({ ...o, [key]: Number(e.target.value) }))} className="w-14 rounded bg-white/10 border border-white/15 px-1 py-0.5 text-white" />
+              </label>
+            ))}
+          </div>
+          <div className="mt-2 flex flex-wrap gap-2 items-center justify-center text-xs text-white/80">
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={embedCaptions} onChange={(e) => setEmbedCaptions(e.target.checked)} />
+              Caption track in MP4
+            </label>
+            <label className="flex items-center gap-1" title="Draws every frame on the server instead of recording in real time">
+              <input type="checkbox" checked={renderOnServer || exportSupported === false} disabled={exportSupported === false} onChange={(e) => setRenderOnServer(e.target.checked)} />
+              Render on server
+            </label>
+            <input type="text" value={videoMeta.title} onChange={(e) => setVideoMeta((m) => ({ ...m, title: e.target.value }))} placeholder="Title" maxLength={200} className="w-40 rounded bg-white/10 border border-white/15 px-1 py-0.5 text-white" />
+            <input type="text" value={videoMeta.description} onChange={(e) => setVideoMeta((m) => ({ ...m, description: e.target.value }))} placeholder="Description" maxLength={2000} className="w-56 rounded bg-white/10 border border-white/15 px-1 py-0.5 text-white" />
+            <label className="flex items-center gap-1">
+              Language
+              <input type="text" value={videoMeta.language} onChange={(e) => setVideoMeta((m) => ({ ...m, language: e.target.value }))} maxLength={8} className="w-12 rounded bg-white/10 border border-white/15 px-1 py-0.5 text-white" />
+            </label>
+          </div>
         </div>
 
         <div className="p-3 rounded-lg bg-black/20 border border-white/10">
@@ -0,0 +1,23 @@
+// lib/admin.js
+// Shared-secret guard for operator endpoints: callers send the
+// ADMIN_TOKEN value in an x-admin-token header.
+import { timingSafeEqual } from "crypto";
+import { NextResponse } from "next/server";
+
+/**
+ * Returns an error response when the request is not authorized, else null.
+ */
+export function requireAdmin(req) {
+  const expected = process.env.ADMIN_TOKEN?.trim();
+  if (!expected) {
+    return NextResponse.json({ error: "Admin endpoints are disabled" }, { status: 404 });
+  }
+
+  const provided = Buffer.from(req.headers.get("x-admin-token") || "");
+  const secret = Buffer.from(expected);
+  if (provided.length !== secret.length || !timingSafeEqual(provided, secret)) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  return null;
+}
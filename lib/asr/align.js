@@ -0,0 +1,254 @@
+// lib/asr/align.js
+// Script alignment: timings for a script we already know, so captions
+// show the script's own spelling instead of a transcription.
+//   energy - offline default. Finds pauses with silencedetect, snaps line
+//            boundaries to them and splits each line's voiced time
+//            between its words by estimated syllables.
+//   asr    - transcribes with an ASR provider and anchors script words to
+//            recognized words, interpolating the ones it missed.
+// Line ranges come from the TTS speaker timings when the caller has them.
+import { promises as fs } from "fs";
+import path from "path";
+import { probeDuration, detectSilences } from "../audio/ffmpeg";
+import { transcribeAudio } from "./providers";
+import { ASRError } from "./errors";
+
+export const ALIGNERS = ['energy', 'asr'];
+
+// Emotion tags like "(excited)" steer the voice but are not spoken
+const EMOTION_TAG = /\([A-Za-z][A-Za-z\s'-]{0,40}\)/g;
+
+// How far (as a share of the two lines' average length) a line boundary may move to land in a pause
+const SNAP_TOLERANCE = 0.5;
+// Recognized words searched ahead of the current position for each script word
+const ANCHOR_WINDOW = 8;
+
+/* ------------------ TEXT ------------------ */
+export function captionText(text) {
+  return String(text || '').replace(EMOTION_TAG, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function splitWords(text) {
+  return text ? text.split(' ') : [];
+}
+
+// Rough spoken length of a written word: vowel groups, plus digits read out
+function wordWeight(word) {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  const silentE = letters.length > 3 && /[^aeiou]e$/.test(letters) ? 1 : 0;
+  const syllables = (letters.match(/[aeiouy]+/g) || []).length - silentE;
+  const digits = (word.match(/\d/g) || []).length;
+  return Math.max(1, syllables) + digits * 1.5;
+}
+
+function matchKey(word) {
+  return word.toLowerCase().replace(/[^a-z0-9']/g, '');
+}
+
+const round = (t) => Math.round(t * 1000) / 1000;
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+/* ------------------ SPEECH CLOCK ------------------ */
+// Voiced stretches of [start, end] once the silences are cut out
+function voicedRegions(silences, start, end) {
+  const regions = [];
+  let cursor = start;
+  for (const s of silences) {
+    if (s.end <= start || s.start >= end) continue;
+    if (s.start > cursor) regions.push({ start: cursor, end: s.start });
+    cursor = Math.max(cursor, s.end);
+  }
+  if (cursor < end) regions.push({ start: cursor, end });
+  // Nothing above the noise floor: treat the whole range as speech
+  return regions.length ? regions : [{ start, end }];
+}
+
+// Map seconds of voiced time to real time; at a pause, starts land
+// after it and ends before it
+function clockToTime(regions, clock, preferStart) {
+  let remaining = clock;
+  for (let i = 0; i < regions.length; i++) {
+    const length = regions[i].end - regions[i].start;
+    const last = i === regions.length - 1;
+    if (remaining < length || (remaining === length && !preferStart) || last) {
+      return Math.min(regions[i].end, regions[i].start + remaining);
+    }
+    remaining -= length;
+  }
+  return regions[regions.length - 1].end;
+}
+
+// Split the line's voiced time between its words by weight; pauses
+// inside the line are skipped over rather than shared out
+function spreadWords(words, start, end, silences) {
+  if (!words.length) return [];
+  const regions = voicedRegions(silences, start, end);
+  const voiced = sum(regions.map((r) => r.end - r.start));
+  const weights = words.map(wordWeight);
+  const total = sum(weights);
+
+  let acc = 0;
+  return words.map((word, i) => {
+    const from = (acc / total) * voiced;
+    acc += weights[i];
+    const to = (acc / total) * voiced;
+    return {
+      word,
+      start: round(clockToTime(regions, from, true)),
+      end: round(clockToTime(regions, to, false)),
+    };
+  });
+}
+
+/* ------------------ LINE RANGES ------------------ */
+function rangesFromTimings(lineCount, timings) {
+  if (!Array.isArray(timings)) return null;
+  const ranges = [];
+  for (let i = 0; i < lineCount; i++) {
+    const t = timings.find((entry) => entry.lineIndex === i);
+    if (!t || !(t.endTime > t.startTime)) return null;
+    ranges.push({ start: t.startTime, end: t.endTime });
+  }
+  return ranges;
+}
+
+// Split the voiced time between lines by weight, moving each boundary
+// into a nearby pause when there is one
+function estimateLineRanges(lineWords, duration, silences) {
+  const regions = voicedRegions(silences, 0, duration);
+  const voiced = sum(regions.map((r) => r.end - r.start));
+  const lineWeights = lineWords.map((words) => sum(words.map(wordWeight)));
+  const total = sum(lineWeights) || 1;
+  const lineVoiced = lineWeights.map((w) => (w / total) * voiced);
+
+  const gaps = [];
+  let clock = 0;
+  regions.forEach((r, i) => {
+    clock += r.end - r.start;
+    if (i < regions.length - 1) gaps.push({ clock, start: r.end, end: regions[i + 1].start });
+  });
+
+  const ranges = [];
+  let boundaryClock = 0;
+  let lastClock = 0;
+  let lineStart = regions[0].start;
+  for (let i = 0; i < lineWords.length; i++) {
+    boundaryClock += lineVoiced[i];
+    if (i === lineWords.length - 1) {
+      ranges.push({ start: lineStart, end: regions[regions.length - 1].end });
+      break;
+    }
+    const tolerance = SNAP_TOLERANCE * (lineVoiced[i] + lineVoiced[i + 1]) / 2;
+    const gap = gaps
+      .filter((g) => g.clock > lastClock && Math.abs(g.clock - boundaryClock) <= tolerance)
+      .sort((a, b) => Math.abs(a.clock - boundaryClock) - Math.abs(b.clock - boundaryClock))[0];
+    if (gap) {
+      ranges.push({ start: lineStart, end: gap.start });
+      lineStart = gap.end;
+      lastClock = gap.clock;
+    } else {
+      ranges.push({ start: lineStart, end: clockToTime(regions, boundaryClock, false) });
+      lineStart = clockToTime(regions, boundaryClock, true);
+      lastClock = boundaryClock;
+    }
+  }
+  return ranges;
+}
+
+/* ------------------ ALIGNERS ------------------ */
+// Each aligner returns one { start, end, words } per line
+
+async function alignEnergy(filePath, lineWords, duration, timings) {
+  const silences = (await detectSilences(filePath)) || [];
+  const ranges = rangesFromTimings(lineWords.length, timings) || estimateLineRanges(lineWords, duration, silences);
+  return ranges.map(({ start, end }, i) => ({ start, end, words: spreadWords(lineWords[i], start, end, silences) }));
+}
+
+async function alignWithASR(filePath, lineWords, duration, { provider, language }) {
+  const buffer = await fs.readFile(filePath);
+  const transcription = await transcribeAudio(buffer, { provider, language, fileName: path.basename(filePath) });
+  const heard = transcription.words;
+
+  // Anchor each script word to the next matching recognized word
+  const script = lineWords.flatMap((words, line) => words.map((word) => ({ word, line, start: null, end: null })));
+  let j = 0;
+  for (const item of script) {
+    const key = matchKey(item.word);
+    if (!key) continue;
+    for (let k = j; k < Math.min(heard.length, j + ANCHOR_WINDOW); k++) {
+      if (matchKey(heard[k].word) === key) {
+        item.start = heard[k].start;
+        item.end = heard[k].end;
+        j = k + 1;
+        break;
+      }
+    }
+  }
+  const anchored = script.filter((item) => item.start !== null).length;
+  console.log(`ASR alignment anchored ${anchored}/${script.length} script words`);
+
+  // Spread unanchored runs over the time between their anchored neighbours
+  for (let i = 0; i < script.length; i++) {
+    if (script[i].start !== null) continue;
+    let k = i;
+    while (k < script.length && script[k].start === null) k++;
+    const from = i > 0 ? script[i - 1].end : (heard[0]?.start ?? 0);
+    const to = k < script.length ? script[k].start : Math.max(from, heard[heard.length - 1]?.end ?? duration);
+    const run = script.slice(i, k);
+    const weights = run.map((item) => wordWeight(item.word));
+    const total = sum(weights);
+    let acc = 0;
+    run.forEach((item, n) => {
+      item.start = from + (acc / total) * (to - from);
+      acc += weights[n];
+      item.end = from + (acc / total) * (to - from);
+    });
+    i = k - 1;
+  }
+
+  return lineWords.map((_, line) => {
+    const words = script
+      .filter((item) => item.line === line)
+      .map((item) => ({ word: item.word, start: round(item.start), end: round(item.end) }));
+    return { start: words[0]?.start ?? 0, end: words[words.length - 1]?.end ?? 0, words };
+  });
+}
+
+/* ------------------ PUBLIC API ------------------ */
+/**
+ * Align `lines` (script text, one entry per spoken line) to the audio at
+ * `filePath`. `timings` ([{ lineIndex, startTime, endTime }]) pins each
+ * line when known. Returns { aligner, duration, lines, words } where every
+ * line is { index, text, start, end, words: [{ word, start, end }] } and
+ * `text` is the caption text (emotion tags removed). The energy aligner's
+ * word timings are estimates within each measured line; the asr aligner's
+ * come from recognized words where it could anchor them.
+ */
+export async function alignScript(filePath, lines, { aligner = 'energy', timings, provider, language } = {}) {
+  const duration = await probeDuration(filePath);
+  if (!duration) {
+    throw new ASRError('Could not measure audio duration', {
+      code: 'invalid_audio',
+      status: 400,
+      userMessage: 'Invalid audio format or corrupted file',
+    });
+  }
+
+  const texts = lines.map(captionText);
+  const lineWords = texts.map(splitWords);
+  console.log(`Aligning ${lines.length} lines (${sum(lineWords.map((w) => w.length))} words) with the ${aligner} aligner`);
+
+  const aligned = aligner === 'asr'
+    ? await alignWithASR(filePath, lineWords, duration, { provider, language })
+    : await alignEnergy(filePath, lineWords, duration, timings);
+
+  const result = aligned.map(({ start, end, words }, index) => ({
+    index,
+    text: texts[index],
+    start: round(start),
+    end: round(end),
+    words,
+  }));
+
+  return { aligner, duration, lines: result, words: result.flatMap((line) => line.words) };
+}
@@ -0,0 +1,144 @@
+// lib/asr/chunked.js
+// Transcription of recordings too large for one provider request. The
+// audio is cut near silences into overlapping chunks, the chunks are
+// transcribed in parallel, and the results are stitched back onto the
+// full timeline. Each chunk owns the span between its cut points; words
+// and segments it heard in the overlap belong to its neighbour.
+import { promises as fs } from "fs";
+import path from "path";
+import { runFFmpeg, probeDuration, detectSilences } from "../audio/ffmpeg";
+import { mapWithConcurrency } from "../async";
+import { transcribeAudio, attachWords } from "./providers";
+import { ASRError } from "./errors";
+
+// ~10 minutes of 16 kHz mono at 48 kbps is about 3.6MB, far below the 25MB upload cap
+const CHUNK_SECONDS = Math.max(60, Number(process.env.ASR_CHUNK_SECONDS || 600));
+const CUT_SEARCH_SECONDS = 30;   // look this far around the target for a pause
+const OVERLAP_SECONDS = 2;
+const CONCURRENCY = Math.max(1, Number(process.env.ASR_CONCURRENCY || 3));
+
+const round = (t) => Math.round(t * 1000) / 1000;
+
+/* ------------------ PLANNING ------------------ */
+// Cut points at the middle of the pause nearest each target, else at the target
+function planCuts(duration, silences) {
+  const cuts = [0];
+  while (duration - cuts[cuts.length - 1] > CHUNK_SECONDS + CUT_SEARCH_SECONDS) {
+    const target = cuts[cuts.length - 1] + CHUNK_SECONDS;
+    const pause = silences
+      .filter((s) => Number.isFinite(s.end))
+      .map((s) => (s.start + s.end) / 2)
+      .filter((mid) => Math.abs(mid - target) <= CUT_SEARCH_SECONDS)
+      .sort((a, b) => Math.abs(a - target) - Math.abs(b - target))[0];
+    cuts.push(pause ?? target);
+  }
+  cuts.push(duration);
+  return cuts.slice(0, -1).map((from, i) => ({
+    index: i,
+    from,
+    to: cuts[i + 1],
+    start: Math.max(0, from - OVERLAP_SECONDS),
+    end: Math.min(duration, cuts[i + 1] + OVERLAP_SECONDS),
+  }));
+}
+
+async function extractChunk(filePath, chunk, outputPath) {
+  const result = await runFFmpeg([
+    '-hide_banner',
+    '-ss', chunk.start.toFixed(3),
+    '-t', (chunk.end - chunk.start).toFixed(3),
+    '-i', filePath,
+    '-ac', '1',
+    '-ar', '16000',
+    '-c:a', 'libmp3lame',
+    '-b:a', '48k',
+    '-y',
+    outputPath
+  ]);
+  if (!result.success) {
+    throw new ASRError(`Chunk ${chunk.index + 1} extraction failed: ${result.stderr}`, {
+      code: 'invalid_audio',
+      status: 400,
+      userMessage: 'Invalid audio format or corrupted file',
+    });
+  }
+}
+
+/* ------------------ MERGING ------------------ */
+const owns = (chunk, item) => {
+  const mid = (item.start + item.end) / 2;
+  return mid >= chunk.from && mid < chunk.to;
+};
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^a-z0-9']/g, '');
+}
+
+// A word heard at the end of one chunk and the start of the next can land on both sides of the cut
+function dropBoundaryDuplicates(words) {
+  return words
+    .filter((word, i) => {
+      const prev = words[i - 1];
+      return !(prev && prev.chunk !== word.chunk &&
+        normalizeWord(prev.word) === normalizeWord(word.word) && word.start - prev.start < 0.3);
+    })
+    .map(({ chunk: _chunk, ...word }) => word);
+}
+
+/**
+ * Transcribe the audio at `filePath` in chunks. Accepts the same options
+ * as transcribeAudio and returns the same shape plus `chunks`.
+ */
+export async function transcribeInChunks(filePath, options = {}) {
+  const duration = await probeDuration(filePath);
+  if (!duration) {
+    throw new ASRError('Could not measure audio duration', {
+      code: 'invalid_audio',
+      status: 400,
+      userMessage: 'Invalid audio format or corrupted file',
+    });
+  }
+
+  const silences = (await detectSilences(filePath, { minSeconds: 0.3 })) || [];
+  const chunks = planCuts(duration, silences);
+  console.log(`Transcribing ${duration.toFixed(1)}s in ${chunks.length} chunks (concurrency ${CONCURRENCY})`);
+
+  const base = filePath.replace(/\.[^.]+$/, '');
+  const results = await mapWithConcurrency(chunks, CONCURRENCY, async (chunk) => {
+    const chunkPath = `${base}_chunk${chunk.index}.mp3`;
+    try {
+      await extractChunk(filePath, chunk, chunkPath);
+      const result = await transcribeAudio(await fs.readFile(chunkPath), {
+        ...options,
+        fileName: path.basename(chunkPath),
+        mimeType: 'audio/mpeg',
+      });
+      console.log(`Chunk ${chunk.index + 1}/${chunks.length} (${chunk.from.toFixed(1)}-${chunk.to.toFixed(1)}s): ${result.segments.length} segments`);
+      return result;
+    } finally {
+      await fs.unlink(chunkPath).catch(() => {});
+    }
+  });
+
+  // Shift onto the full timeline and keep what each chunk owns
+  const shift = (item, offset) => ({ ...item, start: round(item.start + offset), end: round(item.end + offset) });
+  const words = dropBoundaryDuplicates(results.flatMap((result, i) =>
+    result.words
+      .map((word) => ({ ...shift(word, chunks[i].start), chunk: i }))
+      .filter((word) => owns(chunks[i], word))));
+  const segments = results.flatMap((result, i) =>
+    result.segments
+      .map(({ words: _words, ...segment }) => shift(segment, chunks[i].start))
+      .filter((segment) => owns(chunks[i], segment)))
+    .map((segment, id) => ({ ...segment, id }));
+
+  return {
+    text: segments.map((segment) => segment.text).join(' '),
+    duration,
+    segments: attachWords(segments, words),
+    words,
+    provider: results[0].provider,
+    model: results[0].model,
+    chunks: chunks.length,
+  };
+}
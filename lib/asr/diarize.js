@@ -0,0 +1,211 @@
+// lib/asr/diarize.js
+// Speaker diarization (who spoke when) for recorded conversations.
+// Every diarizer implements:
+//   name, isConfigured(), diarize(wavPath, { speakers }) -> [{ start, end, speaker }]
+// The local diarizer runs DIARIZATION_COMMAND (default: scripts/diarize.py,
+// a pyannote pipeline) with the WAV path and optional speaker count, and
+// reads JSON turns or RTTM lines from its stdout. It is only offered when
+// set up: DIARIZATION_COMMAND is set, or HF_TOKEN is for the default script.
+import { spawn } from "child_process";
+import { promises as fs } from "fs";
+import path from "path";
+import { runFFmpeg } from "../audio/ffmpeg";
+import { ASRError } from "./errors";
+
+const TIMEOUT_MS = Math.max(10000, Number(process.env.DIARIZATION_TIMEOUT_MS || 10 * 60 * 1000));
+export const MAX_SPEAKERS = 8;
+
+/* ------------------ OUTPUT PARSING ------------------ */
+// RTTM: SPEAKER <file> <chan> <start> <duration> <NA> <NA> <label> <NA> <NA>
+function parseTurns(stdout) {
+  const trimmed = stdout.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    return (Array.isArray(data) ? data : data.turns || []).map((t) => ({
+      start: Number(t.start),
+      end: Number(t.end),
+      speaker: String(t.speaker),
+    }));
+  }
+  return trimmed
+    .split('\n')
+    .filter((line) => line.startsWith('SPEAKER'))
+    .map((line) => {
+      const fields = line.trim().split(/\s+/);
+      const start = Number(fields[3]);
+      return { start, end: start + Number(fields[4]), speaker: fields[7] };
+    });
+}
+
+/* ------------------ LOCAL COMMAND ------------------ */
+function diarizationCommand() {
+  const configured = process.env.DIARIZATION_COMMAND?.trim();
+  if (configured) return configured.split(/\s+/);
+  return ['python3', path.join(process.cwd(), 'scripts', 'diarize.py')];
+}
+
+function runCommand(args) {
+  const [command, ...baseArgs] = diarizationCommand();
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, [...baseArgs, ...args], { timeout: TIMEOUT_MS });
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(new ASRError(`Diarization ${signal ? `stopped by ${signal}` : `failed with code ${code}`}: ${stderr.slice(-300)}`, {
+          code: 'diarization_failed',
+          userMessage: 'Speaker detection failed',
+        }));
+      }
+    });
+
+    child.on('error', (error) => {
+      reject(new ASRError(`Diarization spawn error: ${error.message}`, {
+        code: 'provider_unavailable',
+        status: 503,
+        userMessage: 'Speaker detection is not installed',
+      }));
+    });
+  });
+}
+
+const localDiarizer = {
+  name: 'local',
+
+  isConfigured() {
+    if (process.env.DIARIZATION_DISABLED === '1') return false;
+    return Boolean(process.env.DIARIZATION_COMMAND?.trim() || process.env.HF_TOKEN?.trim());
+  },
+
+  async diarize(wavPath, { speakers } = {}) {
+    console.log(`Running local diarization on ${path.basename(wavPath)}${speakers ? ` (${speakers} speakers)` : ''}`);
+    const stdout = await runCommand(speakers ? [wavPath, String(speakers)] : [wavPath]);
+    return parseTurns(stdout);
+  },
+};
+
+export const DIARIZERS = {
+  [localDiarizer.name]: localDiarizer,
+};
+
+/* ------------------ LABELING ------------------ */
+function overlap(a, b) {
+  return Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start));
+}
+
+// Turn with the most overlap, else the nearest one
+function speakerFor(item, turns) {
+  let best = null;
+  let bestScore = -Infinity;
+  for (const turn of turns) {
+    const score = overlap(item, turn) || -Math.min(Math.abs(turn.start - item.end), Math.abs(item.start - turn.end));
+    if (score > bestScore) {
+      best = turn;
+      bestScore = score;
+    }
+  }
+  return best?.speaker ?? null;
+}
+
+/**
+ * Label transcription segments with speakers. A segment whose words change
+ * speaker part-way is split at the change. Raw diarizer labels are renamed
+ * "SPEAKER 1", "SPEAKER 2"... in order of first appearance.
+ * Returns { segments, speakers }.
+ */
+export function labelSpeakers(segments, turns) {
+  const names = new Map();
+  const rename = (label) => {
+    if (label === null) return null;
+    if (!names.has(label)) names.set(label, `SPEAKER ${names.size + 1}`);
+    return names.get(label);
+  };
+
+  const labeled = [];
+  for (const segment of segments) {
+    const words = segment.words || [];
+    const textWords = segment.text.split(/\s+/);
+    if (!words.length) {
+      labeled.push({ ...segment, speaker: rename(speakerFor(segment, turns)) });
+      continue;
+    }
+
+    // Runs of consecutive words with the same speaker
+    const runs = [];
+    words.forEach((word, i) => {
+      const speaker = speakerFor(word, turns);
+      const last = runs[runs.length - 1];
+      if (last && last.speaker === speaker) last.to = i + 1;
+      else runs.push({ speaker, from: i, to: i + 1 });
+    });
+
+    // Keep the segment's punctuated text when its words line up one-to-one
+    const aligned = textWords.length === words.length;
+    for (const run of runs) {
+      const runWords = words.slice(run.from, run.to);
+      labeled.push({
+        ...segment,
+        start: runs.length > 1 ? runWords[0].start : segment.start,
+        end: runs.length > 1 ? runWords[runWords.length - 1].end : segment.end,
+        text: runs.length === 1 ? segment.text
+          : (aligned ? textWords.slice(run.from, run.to) : runWords.map((w) => w.word)).join(' '),
+        words: runWords,
+        speaker: rename(run.speaker),
+      });
+    }
+  }
+
+  return {
+    segments: labeled.map((segment, id) => ({ ...segment, id })),
+    speakers: [...names.values()],
+  };
+}
+
+/* ------------------ PUBLIC API ------------------ */
+/**
+ * Diarize the audio at `filePath` and label `segments` with speakers.
+ * `speakers` is an optional expected speaker count.
+ */
+export async function diarizeSegments(filePath, segments, { provider, speakers } = {}) {
+  const name = provider || process.env.DIARIZATION_PROVIDER?.trim() || 'local';
+  const diarizer = DIARIZERS[name];
+  if (!diarizer || !diarizer.isConfigured()) {
+    throw new ASRError(`Diarization provider ${name} is not available`, {
+      code: 'not_configured',
+      status: 503,
+      userMessage: 'Speaker detection is not configured',
+    });
+  }
+
+  // Diarization models expect 16 kHz mono WAV
+  const wavPath = filePath.replace(/\.[^.]+$/, '') + '_diarize.wav';
+  const converted = await runFFmpeg(['-hide_banner', '-i', filePath, '-ac', '1', '-ar', '16000', '-c:a', 'pcm_s16le', '-y', wavPath]);
+  if (!converted.success) {
+    throw new ASRError(`Audio conversion failed: ${converted.stderr}`, {
+      code: 'invalid_audio',
+      status: 400,
+      userMessage: 'Invalid audio format or corrupted file',
+    });
+  }
+
+  try {
+    const turns = (await diarizer.diarize(wavPath, { speakers }))
+      .filter((t) => Number.isFinite(t.start) && t.end > t.start && t.speaker);
+    console.log(`Diarization found ${new Set(turns.map((t) => t.speaker)).size} speakers in ${turns.length} turns`);
+    if (!turns.length) return { segments, speakers: [] };
+    return labelSpeakers(segments, turns);
+  } finally {
+    await fs.unlink(wavPath).catch(() => {});
+  }
+}
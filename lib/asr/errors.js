@@ -0,0 +1,14 @@
+// lib/asr/errors.js
+// Classified speech-to-text errors, mirroring lib/tts/errors.js so the
+// transcription route can pick an HTTP status without parsing messages.
+
+export class ASRError extends Error {
+  constructor(message, { code = 'asr_failed', status = 500, retryable = false, userMessage } = {}) {
+    super(message);
+    this.name = 'ASRError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.userMessage = userMessage || 'Transcription failed';
+  }
+}
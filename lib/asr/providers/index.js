@@ -0,0 +1,105 @@
+// lib/asr/providers/index.js
+// Speech-to-text provider registry. Every adapter implements:
+//   name, model, isConfigured(),
+//   transcribe(buffer, { fileName, mimeType, language })
+//     -> { text, duration, segments: [{ start, end, text }], words: [{ word, start, end }] }
+import { openaiProvider } from "./openai";
+import { whisperCppProvider } from "./whisper-cpp";
+import { ASRError } from "../errors";
+
+export const ASR_PROVIDERS = {
+  [openaiProvider.name]: openaiProvider,
+  [whisperCppProvider.name]: whisperCppProvider,
+};
+
+// Preferred order when ASR_PROVIDER is not set
+const DEFAULT_CHAIN = ['openai', 'whisper-cpp'];
+
+export function getASRProvider(name) {
+  return ASR_PROVIDERS[String(name || '').trim().toLowerCase()] || null;
+}
+
+/**
+ * Pick the transcription provider.
+ * Order: explicit request -> ASR_PROVIDER -> default chain.
+ */
+export function resolveASRProvider(requested) {
+  if (requested) {
+    const provider = getASRProvider(requested);
+    if (!provider) {
+      throw new ASRError(`Unknown ASR provider: ${requested}. Must be one of: ${Object.keys(ASR_PROVIDERS).join(', ')}`, {
+        code: 'invalid_provider',
+        status: 400,
+        userMessage: `Unknown transcription provider: ${requested}`,
+      });
+    }
+    if (!provider.isConfigured()) {
+      throw new ASRError(`ASR provider ${provider.name} is not configured`, {
+        code: 'not_configured',
+        status: 503,
+        userMessage: 'Transcription service configuration error',
+      });
+    }
+    return provider;
+  }
+
+  for (const name of [process.env.ASR_PROVIDER?.trim().toLowerCase(), ...DEFAULT_CHAIN]) {
+    const provider = getASRProvider(name);
+    if (provider && provider.isConfigured()) return provider;
+  }
+
+  throw new ASRError('No configured ASR provider', {
+    code: 'not_configured',
+    status: 503,
+    userMessage: 'Transcription service configuration error',
+  });
+}
+
+// Attach word timings to the segment each word starts in
+export function attachWords(segments, words) {
+  if (!words.length) return segments;
+  let w = 0;
+  return segments.map((segment, i) => {
+    const next = segments[i + 1];
+    const own = [];
+    while (w < words.length && (!next || words[w].start < next.start)) {
+      own.push(words[w]);
+      w++;
+    }
+    return { ...segment, words: own };
+  });
+}
+
+/**
+ * Transcribe audio with the resolved provider.
+ * Returns { text, duration, segments, words, provider, model }; segments
+ * are trimmed, numbered and carry their own `words`.
+ */
+export async function transcribeAudio(buffer, options = {}) {
+  const provider = resolveASRProvider(options.provider);
+  console.log(`[${provider.name}] Transcribing ${buffer.length} bytes`);
+
+  const result = await provider.transcribe(buffer, options);
+
+  const words = (result.words || [])
+    .map((word) => ({ word: (word.word || '').trim(), start: word.start || 0, end: word.end || 0 }))
+    .filter((word) => word.word.length > 0);
+
+  const segments = (result.segments || [])
+    .map((segment, index) => ({
+      id: index,
+      start: segment.start || 0,
+      end: segment.end || 1,
+      text: (segment.text || '').trim(),
+    }))
+    .filter((segment) => segment.text.length > 0);
+
+  return {
+    text: (result.text || '').trim(),
+    duration: result.duration || 0,
+    segments: attachWords(segments, words),
+    words,
+    provider: provider.name,
+    model: provider.model,
+  };
+}
@@ -0,0 +1,76 @@
+// lib/asr/providers/openai.js
+// OpenAI Whisper API adapter (cloud, segment and word timestamps)
+import { ASRError } from "../errors";
+
+const OPENAI_TRANSCRIBE_URL = 'https://api.openai.com/v1/audio/transcriptions';
+const REQUEST_TIMEOUT_MS = 55000;
+
+function httpError(status, body) {
+  const message = `OpenAI API error: ${status} - ${body.slice(0, 300)}`;
+  if (status === 413) {
+    return new ASRError(message, { code: 'too_large', status: 413, userMessage: 'Audio file too large for transcription' });
+  }
+  if (status === 400) {
+    return new ASRError(message, { code: 'invalid_audio', status: 400, userMessage: 'Invalid audio format or corrupted file' });
+  }
+  if (status === 429 || status >= 500) {
+    return new ASRError(message, {
+      code: 'provider_unavailable',
+      status: 503,
+      retryable: true,
+      userMessage: 'Transcription service temporarily unavailable',
+    });
+  }
+  return new ASRError(message, { code: 'provider_rejected', status: 503, userMessage: 'Transcription service temporarily unavailable' });
+}
+
+export const openaiProvider = {
+  name: 'openai',
+  model: 'whisper-1',
+
+  isConfigured() {
+    return !!process.env.OPENAI_API_KEY;
+  },
+
+  async transcribe(buffer, { fileName = 'audio.webm', mimeType, language } = {}) {
+    // Multipart form built by hand: more reliable than the SDK for Blob uploads
+    const form = new FormData();
+    form.append('file', new Blob([buffer], { type: mimeType || 'audio/mpeg' }), fileName);
+    form.append('model', this.model);
+    form.append('response_format', 'verbose_json');
+    form.append('timestamp_granularities[]', 'word');
+    form.append('timestamp_granularities[]', 'segment');
+    if (language) form.append('language', language);
+
+    let response;
+    try {
+      response = await fetch(OPENAI_TRANSCRIBE_URL, {
+        method: 'POST',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        headers: {
+          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+        },
+        body: form,
+      });
+    } catch (error) {
+      throw new ASRError(`OpenAI request failed: ${error.message}`, {
+        code: 'provider_unavailable',
+        status: 503,
+        retryable: true,
+        userMessage: 'Transcription service temporarily unavailable',
+      });
+    }
+
+    if (!response.ok) {
+      throw httpError(response.status, await response.text());
+    }
+
+    const data = await response.json();
+    return {
+      text: data.text || '',
+      duration: data.duration || 0,
+      segments: (data.segments || []).map((s) => ({ start: s.start, end: s.end, text: s.text })),
+      words: (data.words || []).map((w) => ({ word: w.word, start: w.start, end: w.end })),
+    };
+  },
+};
@@ -0,0 +1,131 @@
+// lib/asr/providers/whisper-cpp.js
+// Local whisper.cpp adapter - audio never leaves the machine.
+// Needs the whisper.cpp CLI (WHISPER_CPP_PATH, default "whisper-cli")
+// and a ggml model file (WHISPER_MODEL_PATH).
+import { spawn } from "child_process";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { runFFmpeg, probeDuration } from "../../audio/ffmpeg";
+import { ASRError } from "../errors";
+
+const TIMEOUT_MS = Math.max(10000, Number(process.env.WHISPER_TIMEOUT_MS || 10 * 60 * 1000));
+const THREADS = Math.max(1, Number(process.env.WHISPER_THREADS || Math.min(4, os.cpus().length)));
+
+function findWhisperPath() {
+  return process.env.WHISPER_CPP_PATH?.trim() || 'whisper-cli';
+}
+
+function runWhisper(args) {
+  return new Promise((resolve, reject) => {
+    const whisper = spawn(findWhisperPath(), args, { timeout: TIMEOUT_MS });
+    let stderr = '';
+
+    whisper.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    whisper.on('close', (code, signal) => {
+      if (code === 0) {
+        resolve();
+      } else if (signal) {
+        reject(new ASRError(`whisper.cpp stopped by ${signal} after ${TIMEOUT_MS}ms`, {
+          code: 'timeout',
+          status: 504,
+          userMessage: 'Transcription timed out',
+        }));
+      } else {
+        reject(new ASRError(`whisper.cpp failed with code ${code}: ${stderr.slice(-300)}`, { code: 'provider_failed' }));
+      }
+    });
+
+    whisper.on('error', (error) => {
+      reject(new ASRError(`whisper.cpp spawn error: ${error.message}`, {
+        code: 'provider_unavailable',
+        status: 503,
+        userMessage: 'Local transcription engine is not installed',
+      }));
+    });
+  });
+}
+
+// Tokens are sub-word pieces; a leading space starts a new word and
+// bracketed tokens ([_BEG_], [_TT_50]) are timing markers
+function tokensToWords(tokens) {
+  const words = [];
+  for (const token of tokens || []) {
+    const text = token.text || '';
+    if (!text.trim() || /^\s*\[_/.test(text)) continue;
+    const start = token.offsets.from / 1000;
+    const end = token.offsets.to / 1000;
+    const last = words[words.length - 1];
+    if (last && !text.startsWith(' ')) {
+      last.word += text;
+      last.end = end;
+    } else {
+      words.push({ word: text.trim(), start, end });
+    }
+  }
+  return words;
+}
+
+export const whisperCppProvider = {
+  name: 'whisper-cpp',
+  get model() {
+    return path.basename(process.env.WHISPER_MODEL_PATH?.trim() || 'ggml-model.bin', '.bin');
+  },
+
+  isConfigured() {
+    return !!process.env.WHISPER_MODEL_PATH?.trim();
+  },
+
+  async transcribe(buffer, { fileName = 'audio.webm', language } = {}) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whisper-'));
+    // Fixed name, so an upload called audio.wav cannot collide with wavPath
+    const inputPath = path.join(workDir, `input${path.extname(fileName).replace(/[^.\w]/g, '')}`);
+    const wavPath = path.join(workDir, 'audio.wav');
+    const outBase = path.join(workDir, 'out');
+
+    try {
+      await fs.writeFile(inputPath, buffer);
+
+      // whisper.cpp reads 16 kHz mono WAV only
+      const converted = await runFFmpeg(['-hide_banner', '-i', inputPath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', '-y', wavPath]);
+      if (!converted.success) {
+        throw new ASRError(`Audio conversion failed: ${converted.stderr}`, {
+          code: 'invalid_audio',
+          status: 400,
+          userMessage: 'Invalid audio format or corrupted file',
+        });
+      }
+
+      console.log(`Running whisper.cpp (${this.model}, ${THREADS} threads) on ${fileName}`);
+      await runWhisper([
+        '-m', process.env.WHISPER_MODEL_PATH.trim(),
+        '-f', wavPath,
+        '-l', language || 'auto',
+        '-t', String(THREADS),
+        '-ojf',
+        '-of', outBase,
+        '-np',
+      ]);
+
+      const output = JSON.parse(await fs.readFile(`${outBase}.json`, 'utf8'));
+      const items = output.transcription || [];
+      const segments = items.map((item) => ({
+        start: item.offsets.from / 1000,
+        end: item.offsets.to / 1000,
+        text: item.text || '',
+      }));
+
+      return {
+        text: segments.map((s) => s.text.trim()).filter(Boolean).join(' '),
+        duration: (await probeDuration(wavPath)) || segments[segments.length - 1]?.end || 0,
+        segments,
+        words: items.flatMap((item) => tokensToWords(item.tokens)),
+      };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  },
+};
@@ -0,0 +1,59 @@
+// lib/async.js
+// Small async helpers shared by the API routes
+
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Map over items with at most `limit` calls in flight.
+ * Results keep the input order. The first rejection stops scheduling
+ * further items; the map rejects with it once the calls already in flight
+ * have settled, so callers can clean up after every one of them.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  async function worker() {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  const settled = await Promise.allSettled(workers);
+  const rejected = settled.find((outcome) => outcome.status === 'rejected');
+  if (rejected) throw rejected.reason;
+  return results;
+}
+
+/**
+ * Retry `fn` with exponential backoff and full jitter.
+ * Only errors flagged `retryable` are retried; a `retryAfterMs` on the
+ * error (e.g. from a Retry-After header) overrides the computed delay.
+ */
+export async function withRetry(fn, { retries = 3, baseDelayMs = 500, maxDelayMs = 8000, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (!error?.retryable || attempt >= retries) throw error;
+
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const delay = Number.isFinite(error.retryAfterMs)
+        ? Math.min(maxDelayMs * 4, error.retryAfterMs)
+        : Math.round(Math.random() * backoff);
+
+      onRetry?.(error, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,178 @@
+// lib/audio/encode.js
+// Final output encoding: container/codec, sample rate, channels and an
+// optional two-pass EBU R128 loudness normalization (ffmpeg loudnorm).
+import { runFFmpeg } from "./ffmpeg";
+
+export const OUTPUT_FORMATS = {
+  mp3: { ext: 'mp3', contentType: 'audio/mpeg', codecArgs: ['-c:a', 'libmp3lame', '-q:a', '2'] },
+  wav: { ext: 'wav', contentType: 'audio/wav', codecArgs: ['-c:a', 'pcm_s16le'] },
+  ogg: { ext: 'ogg', contentType: 'audio/ogg', codecArgs: ['-c:a', 'libopus', '-b:a', '96k'] },
+  m4a: { ext: 'm4a', contentType: 'audio/mp4', codecArgs: ['-c:a', 'aac', '-b:a', '160k', '-movflags', '+faststart'] },
+  flac: { ext: 'flac', contentType: 'audio/flac', codecArgs: ['-c:a', 'flac'] },
+};
+
+const FORMAT_ALIASES = { opus: 'ogg', aac: 'm4a', mp4: 'm4a' };
+
+export const SAMPLE_RATES = [16000, 22050, 24000, 44100, 48000];
+// libopus only encodes at these rates
+const OPUS_SAMPLE_RATES = [16000, 24000, 48000];
+
+export const DEFAULT_SAMPLE_RATE = 44100;
+export const DEFAULT_CHANNELS = 2;
+
+export const DEFAULT_LOUDNESS = { targetLufs: -16, truePeak: -1.5, lra: 11 };
+
+export function resolveFormat(name) {
+  const key = String(name || 'mp3').trim().toLowerCase();
+  return OUTPUT_FORMATS[FORMAT_ALIASES[key] || key] ? (FORMAT_ALIASES[key] || key) : null;
+}
+
+/**
+ * Validate and fill in output options from a request payload.
+ * Returns { errors, output } where output is
+ * { format, sampleRate, channels, loudness: null | { targetLufs, truePeak, lra } }.
+ */
+export function parseOutputOptions(payload) {
+  const errors = [];
+
+  const format = resolveFormat(payload.format);
+  if (!format) {
+    errors.push(`Format must be one of: ${[...Object.keys(OUTPUT_FORMATS), ...Object.keys(FORMAT_ALIASES)].join(', ')}`);
+  }
+
+  let sampleRate = payload.sampleRate === undefined ? null : Number(payload.sampleRate);
+  if (sampleRate !== null && !SAMPLE_RATES.includes(sampleRate)) {
+    errors.push(`Sample rate must be one of: ${SAMPLE_RATES.join(', ')}`);
+  }
+  if (format === 'ogg') {
+    if (sampleRate !== null && !OPUS_SAMPLE_RATES.includes(sampleRate)) {
+      errors.push(`Ogg/Opus sample rate must be one of: ${OPUS_SAMPLE_RATES.join(', ')}`);
+    }
+    sampleRate = sampleRate ?? 48000;
+  }
+
+  const channels = payload.channels === undefined ? null : Number(payload.channels);
+  if (channels !== null && channels !== 1 && channels !== 2) {
+    errors.push('Channels must be 1 or 2');
+  }
+
+  let loudness = null;
+  if (payload.loudness) {
+    const opts = typeof payload.loudness === 'object' ? payload.loudness : {};
+    loudness = {
+      targetLufs: opts.targetLufs === undefined ? DEFAULT_LOUDNESS.targetLufs : Number(opts.targetLufs),
+      truePeak: opts.truePeak === undefined ? DEFAULT_LOUDNESS.truePeak : Number(opts.truePeak),
+      lra: opts.lra === undefined ? DEFAULT_LOUDNESS.lra : Number(opts.lra),
+    };
+    if (!(loudness.targetLufs >= -70 && loudness.targetLufs <= -5)) {
+      errors.push('Loudness targetLufs must be between -70 and -5');
+    }
+    if (!(loudness.truePeak >= -9 && loudness.truePeak <= 0)) {
+      errors.push('Loudness truePeak must be between -9 and 0 dBTP');
+    }
+    if (!(loudness.lra >= 1 && loudness.lra <= 50)) {
+      errors.push('Loudness lra must be between 1 and 50');
+    }
+  }
+
+  return { errors, output: { format: format || 'mp3', sampleRate, channels, loudness } };
+}
+
+// True when the provider's MP3 can be returned untouched
+export function isPassthrough(output) {
+  return output.format === 'mp3' && !output.sampleRate && !output.channels && !output.loudness;
+}
+
+/* ------------------ LOUDNESS ------------------ */
+// loudnorm prints a JSON block at the end of stderr
+function parseLoudnormJson(stderr) {
+  const start = stderr.lastIndexOf('{');
+  const end = stderr.lastIndexOf('}');
+  if (start === -1 || end < start) return null;
+  try {
+    return JSON.parse(stderr.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+function loudnormFilter({ targetLufs, truePeak, lra }) {
+  return `loudnorm=I=${targetLufs}:TP=${truePeak}:LRA=${lra}`;
+}
+
+async function measureLoudness(inputPath, loudness) {
+  const result = await runFFmpeg([
+    '-hide_banner',
+    '-i', inputPath,
+    '-af', `${loudnormFilter(loudness)}:print_format=json`,
+    '-f', 'null',
+    '-'
+  ], { stderrLimit: 4000 });
+
+  return result.success ? parseLoudnormJson(result.stderr) : null;
+}
+
+/* ------------------ ENCODE ------------------ */
+/**
+ * Encode `inputPath` into `outputPath` with the requested output options.
+ * With loudness set, a measurement pass feeds a linear second pass.
+ * Resolves with { success, stderr, loudness } where loudness reports the
+ * normalized output's integrated LUFS, true peak and LRA.
+ */
+export async function encodeOutput(inputPath, outputPath, output) {
+  const format = OUTPUT_FORMATS[output.format] || OUTPUT_FORMATS.mp3;
+  const sampleRate = output.sampleRate || DEFAULT_SAMPLE_RATE;
+  const channels = output.channels || DEFAULT_CHANNELS;
+
+  const filters = [];
+  if (output.loudness) {
+    const measured = await measureLoudness(inputPath, output.loudness);
+    if (measured) {
+      filters.push(
+        `${loudnormFilter(output.loudness)}` +
+        `:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}` +
+        `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}` +
+        `:offset=${measured.target_offset}:linear=true:print_format=json`
+      );
+    } else {
+      console.warn('Loudness measurement failed, using single-pass loudnorm');
+      filters.push(`${loudnormFilter(output.loudness)}:print_format=json`);
+    }
+  }
+
+  const result = await runFFmpeg([
+    '-hide_banner',
+    '-i', inputPath,
+    ...(filters.length ? ['-af', filters.join(',')] : []),
+    '-ar', String(sampleRate),
+    '-ac', String(channels),
+    ...format.codecArgs,
+    '-y',
+    outputPath
+  ], { stderrLimit: output.loudness ? 4000 : 500 });
+
+  let loudness = null;
+  if (result.success && output.loudness) {
+    const report = parseLoudnormJson(result.stderr);
+    if (report) {
+      loudness = {
+        integrated: Number(report.output_i),
+        truePeak: Number(report.output_tp),
+        lra: Number(report.output_lra),
+        target: output.loudness.targetLufs,
+      };
+    }
+  }
+
+  return { success: result.success, stderr: result.stderr.slice(-500), loudness };
+}
+
+export function loudnessHeaders(loudness) {
+  if (!loudness) return {};
+  return {
+    "X-Loudness-Integrated": String(loudness.integrated),
+    "X-Loudness-True-Peak": String(loudness.truePeak),
+    "X-Loudness-LRA": String(loudness.lra),
+    "X-Loudness-Target": String(loudness.target),
+  };
+}
@@ -0,0 +1,170 @@
+// lib/audio/ffmpeg.js
+// Shared FFmpeg process helpers for the audio routes
+import { spawn } from "child_process";
+
+export function findFFmpegPath() {
+  return process.env.FFMPEG_PATH?.trim() || 'ffmpeg';
+}
+
+export function findFFprobePath() {
+  return process.env.FFPROBE_PATH?.trim() || 'ffprobe';
+}
+
+/**
+ * Run FFmpeg with the given arguments.
+ * Optional `input` buffer is written to stdin (use `-i pipe:0`).
+ * `stderrLimit` controls how much of the stderr tail is kept.
+ * Resolves (never rejects) with { success, stdout, stderr }.
+ */
+export function runFFmpeg(args, { input, stderrLimit = 500 } = {}) {
+  const ffmpegPath = findFFmpegPath();
+
+  return new Promise((resolve) => {
+    const ffmpeg = spawn(ffmpegPath, args);
+    const stdout = [];
+    let stderr = '';
+
+    ffmpeg.stdout.on('data', (data) => {
+      stdout.push(data);
+    });
+
+    ffmpeg.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffmpeg.on('close', (code) => {
+      resolve({
+        success: code === 0,
+        stdout: Buffer.concat(stdout),
+        stderr: stderr.slice(-stderrLimit),
+      });
+    });
+
+    ffmpeg.on('error', (error) => {
+      console.error('FFmpeg spawn error:', error);
+      resolve({ success: false, stdout: Buffer.alloc(0), stderr: `Spawn error: ${error.message}` });
+    });
+
+    if (input) {
+      ffmpeg.stdin.on('error', () => {});
+      ffmpeg.stdin.end(input);
+    } else {
+      ffmpeg.stdin.end();
+    }
+  });
+}
+
+/**
+ * Measure a media file's duration in seconds with ffprobe.
+ * Resolves with null when the file cannot be probed.
+ */
+export function probeDuration(filePath) {
+  return new Promise((resolve) => {
+    const ffprobe = spawn(findFFprobePath(), [
+      '-v', 'error',
+      '-show_entries', 'format=duration',
+      '-of', 'default=noprint_wrappers=1:nokey=1',
+      filePath
+    ]);
+    let stdout = '';
+    let stderr = '';
+
+    ffprobe.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    ffprobe.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffprobe.on('close', (code) => {
+      const duration = parseFloat(stdout.trim());
+      if (code === 0 && Number.isFinite(duration)) {
+        resolve(duration);
+      } else {
+        console.warn('ffprobe failed for', filePath, stderr.slice(-300));
+        resolve(null);
+      }
+    });
+
+    ffprobe.on('error', (error) => {
+      console.error('ffprobe spawn error:', error);
+      resolve(null);
+    });
+  });
+}
+
+/**
+ * Probe the first audio stream: { duration, sampleRate, channels }.
+ * Resolves with null when the file cannot be probed.
+ */
+export function probeAudio(filePath) {
+  return new Promise((resolve) => {
+    const ffprobe = spawn(findFFprobePath(), [
+      '-v', 'error',
+      '-select_streams', 'a:0',
+      '-show_entries', 'stream=sample_rate,channels:format=duration',
+      '-of', 'json',
+      filePath
+    ]);
+    let stdout = '';
+    let stderr = '';
+
+    ffprobe.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    ffprobe.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffprobe.on('close', (code) => {
+      try {
+        const info = JSON.parse(stdout);
+        const stream = info.streams?.[0];
+        const duration = parseFloat(info.format?.duration);
+        if (code === 0 && stream && Number.isFinite(duration)) {
+          resolve({ duration, sampleRate: Number(stream.sample_rate), channels: Number(stream.channels) });
+          return;
+        }
+      } catch {}
+      console.warn('ffprobe failed for', filePath, stderr.slice(-300));
+      resolve(null);
+    });
+
+    ffprobe.on('error', (error) => {
+      console.error('ffprobe spawn error:', error);
+      resolve(null);
+    });
+  });
+}
+
+/**
+ * Find silent stretches with FFmpeg's silencedetect filter.
+ * Resolves with [{ start, end }] in seconds, or null if FFmpeg failed.
+ */
+export async function detectSilences(filePath, { noiseDb = -35, minSeconds = 0.12 } = {}) {
+  const result = await runFFmpeg([
+    '-hide_banner',
+    '-nostats',
+    '-i', filePath,
+    '-af', `silencedetect=noise=${noiseDb}dB:d=${minSeconds}`,
+    '-f', 'null',
+    '-'
+  ], { stderrLimit: Infinity });
+
+  if (!result.success) {
+    console.warn('Silence detection failed for', filePath, result.stderr.slice(-300));
+    return null;
+  }
+
+  const silences = [];
+  for (const line of result.stderr.split('\n')) {
+    const start = line.match(/silence_start:\s*(-?[\d.]+)/);
+    if (start) silences.push({ start: Math.max(0, parseFloat(start[1])), end: null });
+    const end = line.match(/silence_end:\s*([\d.]+)/);
+    if (end && silences.length) silences[silences.length - 1].end = parseFloat(end[1]);
+  }
+  // A file that ends in silence reports no final silence_end
+  return silences.map((s) => ({ start: s.start, end: s.end ?? Infinity }));
+}
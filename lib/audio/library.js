@@ -0,0 +1,39 @@
+// lib/audio/library.js
+// Local audio asset libraries (music beds, sound effects): a directory of
+// audio files addressed by file name without extension.
+import { promises as fs } from "fs";
+import path from "path";
+
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.ogg', '.m4a', '.flac'];
+
+function displayName(file) {
+  return path.parse(file).name.replace(/[-_]+/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+/**
+ * Audio files in `dir` as [{ id, name, file, url }].
+ * Files under public/ are also playable in the browser via `url`.
+ */
+export async function listAudioLibrary(dir) {
+  let names = [];
+  try {
+    names = await fs.readdir(dir);
+  } catch {
+    return [];
+  }
+
+  const publicDir = path.join(process.cwd(), 'public');
+  return names
+    .filter((name) => AUDIO_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+    .sort()
+    .map((name) => {
+      const file = path.join(dir, name);
+      const relative = path.relative(publicDir, file);
+      return {
+        id: path.parse(name).name.toLowerCase(),
+        name: displayName(name),
+        file,
+        url: relative.startsWith('..') ? null : `/${relative.split(path.sep).join('/')}`,
+      };
+    });
+}
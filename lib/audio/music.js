@@ -0,0 +1,173 @@
+// lib/audio/music.js
+// Background music beds mixed under dialogue. The bed plays at an intro
+// level, ducks to a lower level around each known speech range, and keeps
+// playing for an outro tail after the last line before fading out.
+import path from "path";
+import { runFFmpeg, probeDuration } from "./ffmpeg";
+import { listAudioLibrary } from "./library";
+
+export const MUSIC_DIR =
+  process.env.MUSIC_LIBRARY_DIR?.trim() || path.join(process.cwd(), 'public', 'music');
+
+export const DEFAULT_MUSIC = {
+  introDb: -12,       // level before the first line and in gaps
+  underDb: -26,       // level while someone is speaking
+  outroSeconds: 3,    // music tail after the last line
+  fadeInSeconds: 1.5,
+  fadeOutSeconds: 2.5,
+};
+
+// Ramp into and out of the ducked level around each speech range
+const DUCK_ATTACK = 0.15;
+const DUCK_RELEASE = 0.4;
+const DEFAULT_SAMPLE_RATE = 44100;
+
+/* ------------------ LIBRARY ------------------ */
+export function listMusicBeds() {
+  return listAudioLibrary(MUSIC_DIR);
+}
+
+export async function findMusicBed(id) {
+  const beds = await listMusicBeds();
+  return beds.find((bed) => bed.id === String(id).toLowerCase()) || null;
+}
+
+/* ------------------ OPTIONS ------------------ */
+function inRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Validate music options ({ bed?, introDb?, underDb?, outroSeconds?,
+ * fadeInSeconds?, fadeOutSeconds? }). Returns { errors, music } where music
+ * is null when no bed was requested.
+ */
+export function parseMusicOptions(raw, { requireBed = true } = {}) {
+  const errors = [];
+  if (raw === undefined || raw === null || raw === false) return { errors, music: null };
+  if (typeof raw !== 'object') {
+    return { errors: ['Music must be an object'], music: null };
+  }
+
+  const music = { ...DEFAULT_MUSIC };
+  if (raw.bed !== undefined) {
+    if (typeof raw.bed !== 'string' || !/^[\w\- ]{1,80}$/.test(raw.bed)) {
+      errors.push('Music bed must be a library id');
+    } else {
+      music.bed = raw.bed;
+    }
+  } else if (requireBed) {
+    errors.push('Music bed is required');
+  }
+
+  const limits = {
+    introDb: [-60, 0],
+    underDb: [-60, 0],
+    outroSeconds: [0, 30],
+    fadeInSeconds: [0, 10],
+    fadeOutSeconds: [0, 10],
+  };
+  for (const [key, [min, max]] of Object.entries(limits)) {
+    if (raw[key] === undefined) continue;
+    if (!inRange(raw[key], min, max)) {
+      errors.push(`Music ${key} must be a number between ${min} and ${max}`);
+    } else {
+      music[key] = raw[key];
+    }
+  }
+
+  return { errors, music };
+}
+
+/* ------------------ DUCKING ------------------ */
+// Merge ranges whose ramps would overlap so the music does not pump between lines
+function mergeRanges(ranges) {
+  const sorted = ranges
+    .filter((r) => Number.isFinite(r.start) && Number.isFinite(r.end) && r.end > r.start)
+    .sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const { start, end } of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && start - last.end <= DUCK_ATTACK + DUCK_RELEASE) {
+      last.end = Math.max(last.end, end);
+    } else {
+      merged.push({ start, end });
+    }
+  }
+  return merged;
+}
+
+const dbToGain = (db) => Math.pow(10, db / 20).toFixed(5);
+
+// volume filter expression: intro gain, ramping to the under gain inside speech
+function duckingExpression(ranges, music) {
+  const intro = dbToGain(music.introDb);
+  const under = dbToGain(music.underDb);
+  const merged = mergeRanges(ranges);
+  if (!merged.length) return intro;
+
+  const terms = merged.map(({ start, end }) => {
+    const rampStart = (start - DUCK_ATTACK).toFixed(3);
+    const rampEnd = (end + DUCK_RELEASE).toFixed(3);
+    return `clip(min((t-${rampStart})/${DUCK_ATTACK},(${rampEnd}-t)/${DUCK_RELEASE}),0,1)`;
+  });
+  const duck = terms.reduce((acc, term) => `max(${acc},${term})`);
+  return `${intro}+(${under}-${intro})*${duck}`;
+}
+
+/* ------------------ MIX ------------------ */
+/**
+ * Mix `musicPath` under `voicePath` into a PCM WAV at `outputPath`.
+ * `speechRanges` ([{ start, end }] in seconds) drive the ducking; without
+ * them the voice itself keys a sidechain compressor instead. Both inputs
+ * are conformed to `sampleRate`, the rate the caller renders at.
+ * Resolves with { success, stderr, duration }.
+ */
+export async function mixMusicBed(voicePath, musicPath, outputPath, music, speechRanges = [], { sampleRate } = {}) {
+  const voiceDuration = await probeDuration(voicePath);
+  if (!voiceDuration) {
+    return { success: false, stderr: 'Could not measure voice duration', duration: null };
+  }
+
+  const total = voiceDuration + music.outroSeconds;
+  const fadeOut = Math.min(music.fadeOutSeconds, total);
+  const rate = sampleRate || DEFAULT_SAMPLE_RATE;
+  const conform = `aresample=${rate},aformat=sample_fmts=fltp:sample_rates=${rate}:channel_layouts=stereo`;
+  const bedFades = [
+    music.fadeInSeconds > 0 ? `afade=t=in:st=0:d=${music.fadeInSeconds}` : null,
+    fadeOut > 0 ? `afade=t=out:st=${(total - fadeOut).toFixed(3)}:d=${fadeOut}` : null,
+    `atrim=0:${total.toFixed(3)}`,
+  ].filter(Boolean).join(',');
+
+  let graph;
+  if (speechRanges.length) {
+    graph = [
+      `[0:a]${conform},apad=whole_dur=${total.toFixed(3)}[voice]`,
+      `[1:a]${conform},volume='${duckingExpression(speechRanges, music)}':eval=frame,${bedFades}[bed]`,
+      `[voice][bed]amix=inputs=2:duration=first:normalize=0[out]`,
+    ];
+  } else {
+    graph = [
+      `[0:a]${conform},apad=whole_dur=${total.toFixed(3)},asplit=2[voice][key]`,
+      `[1:a]${conform},volume=${music.introDb}dB,${bedFades}[raw]`,
+      `[raw][key]sidechaincompress=threshold=0.02:ratio=${Math.max(2, Math.round(music.introDb - music.underDb))}:attack=${DUCK_ATTACK * 1000}:release=${DUCK_RELEASE * 1000}[bed]`,
+      `[voice][bed]amix=inputs=2:duration=first:normalize=0[out]`,
+    ];
+  }
+
+  console.log(`Mixing music bed under ${voiceDuration.toFixed(2)}s of voice (${speechRanges.length ? `${speechRanges.length} speech ranges` : 'sidechain'})`);
+
+  const result = await runFFmpeg([
+    '-hide_banner',
+    '-i', voicePath,
+    '-stream_loop', '-1',
+    '-i', musicPath,
+    '-filter_complex', graph.join(';'),
+    '-map', '[out]',
+    '-c:a', 'pcm_s16le',
+    '-y',
+    outputPath
+  ]);
+
+  return { success: result.success, stderr: result.stderr, duration: total };
+}
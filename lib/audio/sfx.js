@@ -0,0 +1,101 @@
+// lib/audio/sfx.js
+// Sound-effect cues from scripts ([SFX: phone-ring]). Effects come from a
+// local library and are either placed inline between lines or overlaid
+// under a line.
+import path from "path";
+import { runFFmpeg } from "./ffmpeg";
+import { listAudioLibrary } from "./library";
+
+export const SFX_DIR =
+  process.env.SFX_LIBRARY_DIR?.trim() || path.join(process.cwd(), 'public', 'sfx');
+
+const MAX_CUES_PER_SEGMENT = 10;
+const OVERLAY_FADE_OUT = 0.3;
+const DEFAULT_SAMPLE_RATE = 44100;
+
+/* ------------------ LIBRARY ------------------ */
+export function listSoundEffects() {
+  return listAudioLibrary(SFX_DIR);
+}
+
+/**
+ * Validate the `sfx` cues of every segment against the library.
+ * Cue shape: { name, overlay?: boolean, gain?: dB, after?: boolean }.
+ * Returns an error string or null.
+ */
+export async function validateSfxCues(segments) {
+  const cued = segments.filter((segment) => segment.sfx !== undefined);
+  if (!cued.length) return null;
+
+  const known = new Set((await listSoundEffects()).map((effect) => effect.id));
+
+  for (const segment of cued) {
+    if (!Array.isArray(segment.sfx) || segment.sfx.length > MAX_CUES_PER_SEGMENT) {
+      return `Segment sfx must be an array of up to ${MAX_CUES_PER_SEGMENT} cues`;
+    }
+    for (const cue of segment.sfx) {
+      if (!cue || typeof cue.name !== 'string') {
+        return 'Each sfx cue must have a name';
+      }
+      if (!known.has(cue.name.toLowerCase())) {
+        const available = [...known];
+        return `Unknown sound effect: ${cue.name}. ${available.length ? `Available: ${available.join(', ')}` : 'The effects library is empty'}`;
+      }
+      if (cue.gain !== undefined && !(typeof cue.gain === 'number' && cue.gain >= -30 && cue.gain <= 12)) {
+        return `Sound effect gain for ${cue.name} must be between -30 and 12 dB`;
+      }
+      if (cue.overlay && cue.after) {
+        return `Sound effect ${cue.name} cannot be both overlaid and after a line`;
+      }
+    }
+  }
+
+  return null;
+}
+
+export async function findSoundEffect(name) {
+  const effects = await listSoundEffects();
+  return effects.find((effect) => effect.id === String(name).toLowerCase()) || null;
+}
+
+/* ------------------ OVERLAY ------------------ */
+/**
+ * Mix overlay effects onto `inputPath`, writing a PCM WAV to `outputPath`.
+ * Each overlay { file, start, duration, gain } starts at `start` seconds and
+ * is cut (with a short fade) after `duration` so it stays under its line.
+ * Everything is conformed to `sampleRate`, the rate the caller renders at.
+ * Resolves with { success, stderr }.
+ */
+export async function overlaySoundEffects(inputPath, outputPath, overlays, { sampleRate } = {}) {
+  const rate = sampleRate || DEFAULT_SAMPLE_RATE;
+  const conform = `aresample=${rate},aformat=sample_fmts=fltp:sample_rates=${rate}:channel_layouts=stereo`;
+  const inputs = ['-i', inputPath];
+  const chains = [`[0:a]${conform}[base]`];
+  const labels = ['[base]'];
+
+  overlays.forEach((overlay, i) => {
+    inputs.push('-i', overlay.file);
+    const delayMs = Math.round(overlay.start * 1000);
+    const filters = [
+      conform,
+      `atrim=0:${overlay.duration.toFixed(3)}`,
+      `afade=t=out:st=${Math.max(0, overlay.duration - OVERLAY_FADE_OUT).toFixed(3)}:d=${OVERLAY_FADE_OUT}`,
+      overlay.gain ? `volume=${overlay.gain}dB` : null,
+      `adelay=${delayMs}|${delayMs}`,
+    ].filter(Boolean);
+    chains.push(`[${i + 1}:a]${filters.join(',')}[fx${i}]`);
+    labels.push(`[fx${i}]`);
+  });
+
+  chains.push(`${labels.join('')}amix=inputs=${labels.length}:duration=first:normalize=0[out]`);
+
+  return runFFmpeg([
+    '-hide_banner',
+    ...inputs,
+    '-filter_complex', chains.join(';'),
+    '-map', '[out]',
+    '-c:a', 'pcm_s16le',
+    '-y',
+    outputPath
+  ]);
+}
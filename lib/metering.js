@@ -0,0 +1,168 @@
+// lib/metering.js
+// Per-user usage metering and plan quota enforcement.
+// Usage is kept in a JSON file (METERING_DB_PATH) keyed by billing period
+// (calendar month, UTC) and user. Callers are identified by a signed
+// session (lib/session.js) or their IP; plans are assigned server-side
+// through the admin usage endpoint or PRO_USER_IDS. Nothing the client
+// sends about its own id or plan is trusted. X-Forwarded-For is only read
+// behind TRUSTED_PROXY_COUNT proxies that each append the address they saw.
+import { promises as fs } from "fs";
+import path from "path";
+import { NextResponse } from "next/server";
+import { PLANS, DEFAULT_PLAN, METRIC_LABELS, getPlan } from "./plans";
+import { sessionUserId } from "./session";
+
+const DB_PATH =
+  process.env.METERING_DB_PATH?.trim() ||
+  path.join(process.env.NODE_ENV === 'production' ? '/tmp' : path.join(process.cwd(), '.next'), 'usage.json');
+
+// Route bundles may each load their own copy of this module; share one store per process
+const store = globalThis.__scenaryozeMetering || (globalThis.__scenaryozeMetering = {
+  data: null,
+  loading: null,
+  write: Promise.resolve(),
+});
+
+/* ------------------ PERSISTENCE ------------------ */
+async function load() {
+  if (store.data) return store.data;
+  if (!store.loading) {
+    store.loading = fs.readFile(DB_PATH, 'utf8')
+      .then((raw) => JSON.parse(raw))
+      .catch((error) => {
+        if (error.code !== 'ENOENT') console.warn('Usage store unreadable, starting empty:', error.message);
+        return {};
+      })
+      .then((data) => {
+        store.data = { users: {}, usage: {}, ...data };
+        return store.data;
+      });
+  }
+  return store.loading;
+}
+
+// Writes are chained so the file always ends with the latest state
+function save() {
+  const snapshot = JSON.stringify(store.data);
+  store.write = store.write
+    .then(() => fs.mkdir(path.dirname(DB_PATH), { recursive: true }))
+    .then(() => fs.writeFile(`${DB_PATH}.tmp`, snapshot))
+    .then(() => fs.rename(`${DB_PATH}.tmp`, DB_PATH))
+    .catch((error) => console.warn('Usage store write failed:', error.message));
+  return store.write;
+}
+
+/* ------------------ PERIODS ------------------ */
+export function currentPeriod(now = new Date()) {
+  return now.toISOString().slice(0, 7); // YYYY-MM
+}
+
+function periodEnd(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+/* ------------------ IDENTITY ------------------ */
+function trustedProxyCount() {
+  const count = Number.parseInt(process.env.TRUSTED_PROXY_COUNT || '0', 10);
+  return Number.isFinite(count) && count > 0 ? count : 0;
+}
+
+// The address the outermost trusted proxy saw. Entries left of it are
+// written by the client and never used; without trusted proxies only the
+// platform-reported address counts, and unknown callers share one key.
+function clientAddress(req) {
+  const proxies = trustedProxyCount();
+  if (proxies > 0) {
+    const hops = (req.headers.get('x-forwarded-for') || '').split(',').map((s) => s.trim()).filter(Boolean);
+    const hop = hops[Math.max(0, hops.length - proxies)];
+    if (hop) return hop.slice(0, 64);
+  }
+  return req.ip || 'unknown';
+}
+
+function proUserIds() {
+  return new Set((process.env.PRO_USER_IDS || '').split(',').map((s) => s.trim()).filter(Boolean));
+}
+
+/**
+ * Identify the caller from a verified session, else by client IP.
+ * Anonymous callers always get the default plan, so a stored or
+ * PRO_USER_IDS plan is only reachable with a session for that id.
+ * Returns { userId, plan }.
+ */
+export async function resolveUser(req) {
+  const sessionId = sessionUserId(req)?.slice(0, 128);
+  if (sessionId) return { userId: sessionId, plan: await getUserPlan(sessionId) };
+
+  return { userId: `anon:${clientAddress(req)}`, plan: getPlan(DEFAULT_PLAN) };
+}
+
+export async function getUserPlan(userId) {
+  const data = await load();
+  const assigned = data.users[userId]?.plan;
+  return getPlan(assigned || (proUserIds().has(userId) ? 'pro' : DEFAULT_PLAN));
+}
+
+export async function setUserPlan(userId, plan) {
+  const data = await load();
+  data.users[userId] = { ...data.users[userId], plan: getPlan(plan), updatedAt: new Date().toISOString() };
+  await save();
+  return data.users[userId];
+}
+
+/* ------------------ USAGE ------------------ */
+export async function getUsage({ userId, plan }) {
+  const data = await load();
+  const period = currentPeriod();
+  const used = data.usage[period]?.[userId] || {};
+  const metrics = {};
+  for (const [metric, limit] of Object.entries(PLANS[plan].quotas)) {
+    const value = used[metric] || 0;
+    metrics[metric] = { used: value, limit, remaining: Math.max(0, limit - value) };
+  }
+  return { userId, plan, period, resetsAt: periodEnd().toISOString(), metrics };
+}
+
+export async function recordUsage({ userId }, metric, amount) {
+  if (!(amount > 0)) return;
+  const data = await load();
+  const period = currentPeriod();
+  const periodUsage = data.usage[period] || (data.usage[period] = {});
+  const userUsage = periodUsage[userId] || (periodUsage[userId] = {});
+  userUsage[metric] = Math.round(((userUsage[metric] || 0) + amount) * 1000) / 1000;
+  await save();
+}
+
+/**
+ * Check that `amount` more of `metric` fits in the caller's allowance.
+ * Returns null when allowed, else a 402 (free plan: upgrade) or
+ * 429 (paid plan: wait for the next period) JSON response.
+ */
+export async function checkQuota(identity, metric, amount) {
+  const usage = await getUsage(identity);
+  const { used, limit, remaining } = usage.metrics[metric];
+  if (used + amount <= limit && remaining > 0) return null;
+
+  const paid = identity.plan !== DEFAULT_PLAN;
+  const retryAfter = Math.ceil((Date.parse(usage.resetsAt) - Date.now()) / 1000);
+  console.warn(`Quota exceeded: ${identity.userId} (${identity.plan}) ${metric} used=${used} requested=${amount} limit=${limit}`);
+
+  return NextResponse.json({
+    error: `Monthly ${METRIC_LABELS[metric]} allowance exceeded for the ${PLANS[identity.plan].displayName} plan`,
+    code: 'quota_exceeded',
+    metric,
+    plan: identity.plan,
+    limit,
+    used,
+    requested: amount,
+    remaining,
+    period: usage.period,
+    resetsAt: usage.resetsAt,
+  }, {
+    status: paid ? 429 : 402,
+    headers: {
+      "X-Quota-Remaining": String(remaining),
+      ...(paid && { "Retry-After": String(retryAfter) }),
+    },
+  });
+}
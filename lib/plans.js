@@ -0,0 +1,29 @@
+// lib/plans.js
+// Plan limits shared by the client and the API routes.
+//   maxChars - longest script accepted in one TTS request
+//   quotas   - allowance per user per calendar month (UTC)
+
+export const PLANS = {
+  free: {
+    displayName: 'Free',
+    maxChars: 50000,
+    quotas: { ttsCharacters: 20000, transcriptionMinutes: 30, videoConversions: 10 },
+  },
+  pro: {
+    displayName: 'Pro',
+    maxChars: 50000,
+    quotas: { ttsCharacters: 500000, transcriptionMinutes: 600, videoConversions: 300 },
+  },
+};
+
+export const DEFAULT_PLAN = 'free';
+
+export const METRIC_LABELS = {
+  ttsCharacters: 'TTS characters',
+  transcriptionMinutes: 'transcription minutes',
+  videoConversions: 'video conversions',
+};
+
+export function getPlan(name) {
+  return PLANS[name] ? name : DEFAULT_PLAN;
+}
@@ -0,0 +1,59 @@
+// lib/render/codecs.js
+// WebCodecs encoder choices for the browser export, shared by the page
+// (support detection) and the export worker (encoder setup).
+/* global VideoEncoder, AudioEncoder */
+
+export const SAMPLE_RATE = 48000;      // Opus only runs at 48 kHz; AAC is happy with it too
+export const VIDEO_BITRATE = 3000000;  // for a 1080x1080 frame; see videoBitrate
+export const AUDIO_BITRATE = 128000;
+
+// H.264 High, Main, then Baseline
+const VIDEO_PROFILES = ['avc1.6400', 'avc1.4d00', 'avc1.42e0'];
+// Level 4.0 holds up to 8192 macroblocks a frame (1080p); 5.1 covers 4K
+const LEVEL_40_MACROBLOCKS = 8192;
+// [WebCodecs codec, mp4-muxer codec]
+const AUDIO_CODECS = [['mp4a.40.2', 'aac'], ['opus', 'opus']];
+
+/**
+ * Video bitrate for a frame size: VIDEO_BITRATE scaled by pixel count,
+ * so 1080x1920 gets ~5 Mbps and 4K ~21 Mbps. Also used by MediaRecorder.
+ */
+export function videoBitrate(width, height) {
+  return Math.round((VIDEO_BITRATE * width * height) / (1080 * 1080) / 100000) * 100000;
+}
+
+function avcLevel(width, height) {
+  const macroblocks = Math.ceil(width / 16) * Math.ceil(height / 16);
+  return macroblocks <= LEVEL_40_MACROBLOCKS ? '28' : '33';
+}
+
+/**
+ * First H.264 encoder configuration the browser supports at this size,
+ * or null.
+ */
+export async function pickVideoConfig(width, height, framerate) {
+  if (typeof VideoEncoder === 'undefined') return null;
+  const level = avcLevel(width, height);
+  for (const profile of VIDEO_PROFILES) {
+    const config = { codec: profile + level, width, height, framerate, bitrate: videoBitrate(width, height), avc: { format: 'avc' } };
+    try {
+      if ((await VideoEncoder.isConfigSupported(config)).supported) return config;
+    } catch {}
+  }
+  return null;
+}
+
+/**
+ * First audio encoder configuration the browser supports, as
+ * { config, muxCodec }, or null.
+ */
+export async function pickAudioConfig(numberOfChannels) {
+  if (typeof AudioEncoder === 'undefined') return null;
+  for (const [codec, muxCodec] of AUDIO_CODECS) {
+    const config = { codec, sampleRate: SAMPLE_RATE, numberOfChannels, bitrate: AUDIO_BITRATE };
+    try {
+      if ((await AudioEncoder.isConfigSupported(config)).supported) return { config, muxCodec };
+    } catch {}
+  }
+  return null;
+}
@@ -0,0 +1,13 @@
+// lib/render/errors.js
+// Classified video rendering errors, mirroring lib/tts/errors.js so the
+// render route can pick an HTTP status without parsing messages.
+
+export class RenderError extends Error {
+  constructor(message, { code = 'render_failed', status = 500, userMessage } = {}) {
+    super(message);
+    this.name = 'RenderError';
+    this.code = code;
+    this.status = status;
+    this.userMessage = userMessage || 'Video rendering failed';
+  }
+}
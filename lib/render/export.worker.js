@@ -0,0 +1,142 @@
+// lib/render/export.worker.js
+// WebCodecs export worker (started by lib/render/webcodecs.js). Encodes the
+// decoded audio, then draws each frame with the shared drawFrame on an
+// OffscreenCanvas and encodes it, muxing both tracks into an in-memory MP4.
+//   in:  { type: 'start', width, height, fps, sampleRate, duration, channels, scene, images }
+//   out: { type: 'progress', percent } ... { type: 'done', buffer } | { type: 'error', message }
+/* global VideoEncoder, AudioEncoder, VideoFrame, AudioData */
+import { Muxer, ArrayBufferTarget } from "mp4-muxer";
+import {
+  PRESETS, gradientAtTime, slideForTime, frameLayout, computeCaptionMetrics, createBarSmoother, drawFrame,
+} from "./frame";
+import { createSpectrum } from "./spectrum";
+import { pickVideoConfig, pickAudioConfig } from "./codecs";
+
+const AUDIO_CHUNK_FRAMES = 4800;   // 100ms at 48 kHz
+const KEYFRAME_SECONDS = 2;
+const MAX_ENCODE_QUEUE = 4;
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/* ------------------ AUDIO ------------------ */
+async function encodeAudio(muxer, { config }, channels, sampleRate) {
+  let failure = null;
+  const encoder = new AudioEncoder({
+    output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+    error: (error) => { failure = error; },
+  });
+  encoder.configure(config);
+
+  const length = channels[0].length;
+  for (let start = 0; start < length && !failure; start += AUDIO_CHUNK_FRAMES) {
+    const frames = Math.min(AUDIO_CHUNK_FRAMES, length - start);
+    // f32-planar: each channel's samples back to back
+    const data = new Float32Array(frames * channels.length);
+    channels.forEach((channel, c) => data.set(channel.subarray(start, start + frames), c * frames));
+    const audioData = new AudioData({
+      format: 'f32-planar',
+      sampleRate,
+      numberOfFrames: frames,
+      numberOfChannels: channels.length,
+      timestamp: Math.round((start / sampleRate) * 1e6),
+      data,
+    });
+    encoder.encode(audioData);
+    audioData.close();
+    while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) await nextTick();
+  }
+
+  await encoder.flush();
+  encoder.close();
+  if (failure) throw failure;
+}
+
+/* ------------------ VIDEO ------------------ */
+async function encodeFrames(muxer, config, { width, height, fps, sampleRate, duration, channels, scene, images }) {
+  let failure = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: (error) => { failure = error; },
+  });
+  encoder.configure(config);
+
+  // Bars follow the mono mix, as the browser analyser does
+  const mono = channels.length === 1 ? channels[0] : channels[0].map((v, i) => (v + channels[1][i]) / 2);
+  const spectrum = createSpectrum(mono, sampleRate);
+  const smoothBars = createBarSmoother();
+
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const layout = frameLayout(width, height);
+  const segs = scene.segs.length ? scene.segs : [{ start: 0, end: duration, text: scene.transcriptText || '' }];
+  const metrics = computeCaptionMetrics(ctx, segs, scene.transcriptText, layout, { characters: scene.speakers.length > 0 });
+  const slides = images.slides.map((img) => ({ img }));
+
+  const totalFrames = Math.ceil(duration * fps);
+  const frameDuration = Math.round(1e6 / fps);
+  let lastPct = -1;
+
+  for (let i = 0; i < totalFrames && !failure; i++) {
+    const t = i / fps;
+    drawFrame(ctx, t, {
+      layout,
+      grad: scene.autoBg ? gradientAtTime(t, duration, scene.presetIdx) : PRESETS[scene.presetIdx],
+      segs,
+      transcriptText: scene.transcriptText,
+      metrics,
+      bars: smoothBars(spectrum(t)),
+      art: slideForTime(t, duration, slides),
+      artOpacity: scene.artOpacity,
+      speakers: scene.speakers,
+      characterImages: images.characters,
+      highlight: scene.highlight,
+      plan: scene.plan,
+      watermarkLogo: images.watermark,
+    });
+
+    const frame = new VideoFrame(canvas, { timestamp: Math.round((i * 1e6) / fps), duration: frameDuration });
+    encoder.encode(frame, { keyFrame: i % (fps * KEYFRAME_SECONDS) === 0 });
+    frame.close();
+    while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) await nextTick();
+
+    const pct = Math.floor((i / totalFrames) * 99);
+    if (pct !== lastPct) {
+      lastPct = pct;
+      self.postMessage({ type: 'progress', percent: pct });
+    }
+  }
+
+  await encoder.flush();
+  encoder.close();
+  if (failure) throw failure;
+}
+
+/* ------------------ ENTRY ------------------ */
+async function run(job) {
+  const video = await pickVideoConfig(job.width, job.height, job.fps);
+  const audio = await pickAudioConfig(job.channels.length);
+  if (!video || !audio) throw new Error('This browser cannot encode H.264 video with AAC or Opus audio');
+
+  const muxer = new Muxer({
+    target: new ArrayBufferTarget(),
+    video: { codec: 'avc', width: job.width, height: job.height, frameRate: job.fps },
+    audio: { codec: audio.muxCodec, numberOfChannels: job.channels.length, sampleRate: job.sampleRate },
+    fastStart: 'in-memory',
+    firstTimestampBehavior: 'offset',
+  });
+
+  await encodeAudio(muxer, audio, job.channels, job.sampleRate);
+  await encodeFrames(muxer, video, job);
+  muxer.finalize();
+  return muxer.target.buffer;
+}
+
+self.onmessage = async ({ data }) => {
+  if (data?.type !== 'start') return;
+  try {
+    const buffer = await run(data);
+    self.postMessage({ type: 'done', buffer }, [buffer]);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error?.message || String(error) });
+  }
+};
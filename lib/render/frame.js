@@ -0,0 +1,507 @@
+// lib/render/frame.js
+// The video frame renderer, shared by the browser export (MediaRecorder
+// capture or the WebCodecs worker) and the server renderer
+// (lib/render/video.js, @napi-rs/canvas).
+// Everything here draws on a 2D context and reads only its arguments, so
+// the same time `t` gives the same frame on both sides.
+
+export const FPS = 30;
+export const MAX_LINES = 5;
+
+export const PRESETS = [
+  ['#0d1117', '#1f2937'],
+  ['#111827', '#2563eb'],
+  ['#1f2937', '#10b981'],
+  ['#3b0764', '#f43f5e'],
+  ['#0f172a', '#9333ea'],
+  ['#7c2d12', '#d97706'],
+  ['#0c4a6e', '#22d3ee'],
+  ['#111827', '#f59e0b'],
+  ['#0f172a', '#14b8a6'],
+];
+
+const CAPTION_FONT = 'Inter, system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
+
+/* ============================= FORMATS ============================= */
+
+export const ASPECT_RATIOS = {
+  '9:16': { w: 9, h: 16, name: 'Vertical (9:16)' },
+  '16:9': { w: 16, h: 9, name: 'Landscape (16:9)' },
+  '4:5':  { w: 4, h: 5, name: 'Portrait (4:5)' },
+  '1:1':  { w: 1, h: 1, name: 'Square (1:1)' },
+};
+
+// Length of the short side
+export const RESOLUTIONS = { '720p': 720, '1080p': 1080, '4k': 2160 };
+
+export const DEFAULT_ASPECT = '1:1';
+export const DEFAULT_RESOLUTION = '1080p';
+
+/**
+ * Frame size for an aspect ratio and resolution, e.g. ('9:16', '1080p')
+ * gives 1080x1920. Dimensions are even, as H.264 requires. Unknown keys
+ * fall back to the defaults.
+ */
+export function formatSize(aspect, resolution) {
+  const ratio = ASPECT_RATIOS[aspect] || ASPECT_RATIOS[DEFAULT_ASPECT];
+  const short = RESOLUTIONS[resolution] || RESOLUTIONS[DEFAULT_RESOLUTION];
+  const even = (n) => Math.round(n / 2) * 2;
+  return ratio.w <= ratio.h
+    ? { width: short, height: even((short * ratio.h) / ratio.w) }
+    : { width: even((short * ratio.w) / ratio.h), height: short };
+}
+
+/* ============================== UTILS ============================== */
+
+export function splitWords(s) {
+  return s.trim().replace(/\s+/g, ' ').split(' ').filter(Boolean);
+}
+
+function wrapCaption(ctx, text, maxWidth) {
+  const words = (text || '').split(' ').filter(Boolean);
+  const lines = [];
+  let cur = '';
+  for (const w of words) {
+    const test = cur ? cur + ' ' + w : w;
+    const m = ctx.measureText(test);
+    if (m.width <= maxWidth || !cur) cur = test;
+    else {
+      lines.push(cur);
+      cur = w;
+    }
+  }
+  if (cur) lines.push(cur);
+  return lines;
+}
+
+function roundedRectPath(g, x, y, w, h, r) {
+  const rr = Math.min(r, w / 2, h / 2);
+  g.beginPath();
+  g.moveTo(x + rr, y);
+  g.arcTo(x + w, y, x + w, y + rr, rr);
+  g.arcTo(x + w, y + h, x + w - rr, y + h, rr);
+  g.arcTo(x, y + h, x, y + h - rr, rr);
+  g.arcTo(x, y, x + rr, y, rr);
+  g.closePath();
+}
+
+function roundedRectFill(g, x, y, w, h, r) {
+  roundedRectPath(g, x, y, w, h, r);
+  g.fill();
+}
+
+function hexToRgb(hex) {
+  const m = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+  if (!m) return { r: 0, g: 0, b: 0 };
+  return { r: parseInt(m[1], 16), g: parseInt(m[2], 16), b: parseInt(m[3], 16) };
+}
+
+function mixHex(a, b, t) {
+  const A = hexToRgb(a), B = hexToRgb(b);
+  const r = Math.round(A.r + (B.r - A.r) * t);
+  const g = Math.round(A.g + (B.g - A.g) * t);
+  const bl = Math.round(A.b + (B.b - A.b) * t);
+  return `rgb(${r},${g},${bl})`;
+}
+
+export function gradientAtTime(t, dur, startIdx) {
+  if (!dur || !isFinite(dur)) return PRESETS[startIdx];
+  const total = PRESETS.length;
+  const progress = Math.min(Math.max(t / dur, 0), 1) * total;
+  const i0 = Math.floor(progress) % total;
+  const i1 = (i0 + 1) % total;
+  const frac = progress - Math.floor(progress);
+  const [a0, a1] = PRESETS[i0];
+  const [b0, b1] = PRESETS[i1];
+  return [mixHex(a0, b0, frac), mixHex(a1, b1, frac)];
+}
+
+function drawImageCoverRounded(ctx, img, dx, dy, dW, dH, radius = 28, opacity = 1) {
+  ctx.save();
+  roundedRectPath(ctx, dx, dy, dW, dH, radius);
+  ctx.clip();
+  const iW = img.width, iH = img.height;
+  if (!iW || !iH) {
+    ctx.restore();
+    return;
+  }
+  const scale = Math.max(dW / iW, dH / iH);
+  const rW = iW * scale, rH = iH * scale;
+  const x = dx + (dW - rW) / 2;
+  const y = dy + (dH - rH) / 2;
+  ctx.globalAlpha = Math.max(0, Math.min(1, opacity));
+  ctx.drawImage(img, x, y, rW, rH);
+  ctx.restore();
+}
+
+export function slideForTime(t, totalDuration, slides) {
+  if (!slides.length) return null;
+  if (!isFinite(totalDuration) || totalDuration <= 0) return slides[0].img;
+  const per = totalDuration / slides.length;
+  const idx = Math.min(slides.length - 1, Math.floor(t / per));
+  return slides[idx]?.img ?? null;
+}
+
+const EPS = 1e-3;
+export function segmentIndexAtTime(segs, t, holdGapSec = 0.05, leadInSec = 0.03, tailOutSec = 0.06) {
+  if (!segs.length) return -1;
+  if (!Number.isFinite(t) || t < 0) t = 0;
+  for (let i = 0; i < segs.length; i++) {
+    const s = segs[i];
+    if (t >= s.start - leadInSec - EPS && t <= s.end + tailOutSec + EPS) return i;
+    if (t < s.start - EPS) {
+      const prev = i - 1;
+      if (prev >= 0) {
+        const gap = s.start - segs[prev].end;
+        return gap <= holdGapSec + EPS ? prev : -1;
+      }
+      return -1;
+    }
+  }
+  const last = segs[segs.length - 1];
+  const tailGap = t - last.end;
+  return tailGap <= holdGapSec + EPS ? segs.length - 1 : -1;
+}
+
+/* ============= WORD HIGHLIGHTING ============= */
+
+export const HIGHLIGHT_MODES = { none: 'Off', color: 'Color', scale: 'Scale', underline: 'Underline' };
+export const HIGHLIGHT_COLOR = '#f5c445';
+
+/**
+ * Index (into the caption's words) of the word being spoken at `t`, or -1.
+ * Uses Whisper word timings when present; otherwise words are spread over
+ * the segment in proportion to their length.
+ */
+export function activeWordIndex(seg, t) {
+  const words = splitWords(seg?.text || '');
+  if (!words.length || t < seg.start) return -1;
+
+  if (seg.words?.length) {
+    let i = -1;
+    while (i + 1 < seg.words.length && seg.words[i + 1].start <= t) i++;
+    if (i === -1) return -1;
+    // Timings may tokenize differently from the caption text; map proportionally
+    return seg.words.length === words.length ? i : Math.min(words.length - 1, Math.floor((i * words.length) / seg.words.length));
+  }
+
+  const progress = (t - seg.start) / Math.max(EPS, seg.end - seg.start);
+  const total = words.reduce((sum, w) => sum + w.length, 0);
+  let acc = 0;
+  for (let i = 0; i < words.length; i++) {
+    acc += words[i].length;
+    if (acc / total > progress) return i;
+  }
+  return words.length - 1;
+}
+
+/**
+ * Draw one wrapped caption line word by word so the active word can be
+ * colored, scaled or underlined. `firstWord` is the caption-wide index of
+ * the line's first word; `x` is the left edge, or the center when the
+ * context is center-aligned.
+ */
+function drawCaptionLine(ctx, line, x, y, { firstWord, activeWord, mode, size }) {
+  if (mode === 'none' || activeWord < 0) {
+    ctx.fillText(line, x, y);
+    return;
+  }
+  const align = ctx.textAlign;
+  const baseFill = ctx.fillStyle;
+  const space = ctx.measureText(' ').width;
+  let cursor = align === 'center' ? x - ctx.measureText(line).width / 2 : x;
+  ctx.textAlign = 'left';
+
+  line.split(' ').forEach((word, i) => {
+    const w = ctx.measureText(word).width;
+    if (firstWord + i === activeWord) {
+      ctx.save();
+      ctx.fillStyle = mode === 'color' ? HIGHLIGHT_COLOR : baseFill;
+      if (mode === 'scale') {
+        const cx = cursor + w / 2;
+        const cy = ctx.textBaseline === 'top' ? y + size / 2 : y;
+        ctx.translate(cx, cy);
+        ctx.scale(1.15, 1.15);
+        ctx.translate(-cx, -cy);
+      }
+      ctx.fillText(word, cursor, y);
+      if (mode === 'underline') {
+        ctx.fillStyle = HIGHLIGHT_COLOR;
+        const underlineY = ctx.textBaseline === 'top' ? y + size * 1.02 : y + size * 0.52;
+        ctx.fillRect(cursor, underlineY, w, Math.max(3, size * 0.07));
+      }
+      ctx.restore();
+    } else {
+      ctx.fillText(word, cursor, y);
+    }
+    cursor += w + space;
+  });
+
+  ctx.textAlign = align;
+}
+
+/* ============= LAYOUT ============= */
+
+/**
+ * Where everything goes in a frame of this size. Sizes scale with `unit`
+ * (1 at 1080p, measured on the short side) and every region sits inside
+ * the title-safe area; 9:16 keeps extra room at the top and bottom for
+ * the players' own overlays.
+ *   safe      - { x, y, w, h } title-safe area
+ *   watermark - free-plan logo, top right of the safe area
+ *   waveform  - { art, bars, caption }: stacked, or artwork beside bars
+ *               and captions in landscape frames
+ *   character - { panel, caption }: portrait beside the caption, or
+ *               above it in portrait frames
+ * All regions are { x, y, w, h } rects.
+ */
+export function frameLayout(width, height) {
+  const unit = Math.min(width, height) / 1080;
+  const tall = height / width >= 1.5;
+  const landscape = width > height;
+  const gap = Math.round(48 * unit);
+
+  const marginX = Math.round(width * 0.06);
+  const marginTop = Math.round(height * (tall ? 0.08 : 0.05));
+  const marginBottom = Math.round(height * (tall ? 0.14 : 0.08));
+  const safe = { x: marginX, y: marginTop, w: width - 2 * marginX, h: height - marginTop - marginBottom };
+  const safeBottom = safe.y + safe.h;
+
+  const logoW = Math.round(248 * unit);
+  const logoH = Math.round(logoW * 0.45);
+  const watermark = { x: safe.x + safe.w - logoW, y: safe.y, w: logoW, h: logoH };
+
+  // Below the watermark band
+  const contentTop = watermark.y + watermark.h + Math.round(24 * unit);
+  const contentH = safeBottom - contentTop;
+  const barsH = Math.round(150 * unit);
+
+  let waveform;
+  if (landscape) {
+    const artW = Math.round(Math.min(contentH, safe.w * 0.4));
+    const textX = safe.x + artW + gap;
+    const textW = safe.x + safe.w - textX;
+    const captionY = contentTop + barsH + gap;
+    waveform = {
+      art: { x: safe.x, y: contentTop, w: artW, h: contentH },
+      bars: { x: textX, y: contentTop, w: textW, h: barsH },
+      caption: { x: textX, y: captionY, w: textW, h: safeBottom - captionY },
+    };
+  } else {
+    const captionH = Math.round(contentH * 0.36);
+    const captionY = safeBottom - captionH;
+    const barsY = captionY - gap - barsH;
+    waveform = {
+      art: { x: safe.x, y: contentTop, w: safe.w, h: Math.max(0, barsY - gap - contentTop) },
+      bars: { x: safe.x, y: barsY, w: safe.w, h: barsH },
+      caption: { x: safe.x, y: captionY, w: safe.w, h: captionH },
+    };
+  }
+
+  let character;
+  if (height > width) {
+    const panelH = Math.round(height * 0.5);
+    const captionY = Math.max(panelH + gap, contentTop);
+    character = {
+      panel: { x: 0, y: 0, w: width, h: panelH },
+      caption: { x: safe.x, y: captionY, w: safe.w, h: safeBottom - captionY },
+    };
+  } else {
+    const splitX = Math.round(width / 2);
+    const halfW = width - splitX;
+    character = {
+      panel: { x: 0, y: 0, w: splitX, h: height },
+      caption: { x: splitX + Math.round(halfW * 0.075), y: contentTop, w: Math.round(halfW * 0.85), h: contentH },
+    };
+  }
+
+  return { width, height, unit, safe, watermark, waveform, character };
+}
+
+/**
+ * One caption size for the whole video: the largest that fits every
+ * segment in MAX_LINES lines of the caption box for this layout mode
+ * (`characters` for the character layout). Returns { size, lineHeight }.
+ */
+export function computeCaptionMetrics(ctx, segs, fallbackText, layout, { characters = false } = {}) {
+  const box = characters ? layout.character.caption : layout.waveform.caption;
+  const minSize = Math.round(56 * layout.unit);
+  const maxSize = Math.round(220 * layout.unit);
+  const texts = segs?.map((s) => (s.text || '').trim()).filter(Boolean) ?? [];
+  if (!texts.length) texts.push((fallbackText || '').trim() || 'Record or upload audio');
+  const sizeFor = (text) => {
+    let lo = minSize, hi = maxSize, best = minSize;
+    while (lo <= hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      const lh = Math.round(mid * 1.14);
+      ctx.font = `bold ${mid}px ${CAPTION_FONT}`;
+      const lines = wrapCaption(ctx, text, box.w);
+      const ok = lines.length <= MAX_LINES && (lines.length - 1) * lh + mid <= box.h;
+      if (ok) {
+        best = mid;
+        lo = mid + 2;
+      } else {
+        hi = mid - 2;
+      }
+    }
+    return best;
+  };
+  let uniform = maxSize;
+  for (const txt of texts) uniform = Math.min(uniform, sizeFor(txt));
+  const lineHeight = Math.round(uniform * 1.14);
+  return { size: uniform, lineHeight };
+}
+
+/* ============= WAVEFORM BARS ============= */
+
+/**
+ * Turn successive byte spectra (AnalyserNode.getByteFrequencyData, or the
+ * offline equivalent in lib/render/spectrum.js) into 64 smoothed bar
+ * heights in 0..1. Stateful: call once per frame, in order.
+ */
+export function createBarSmoother() {
+  const BINS = 64;
+  const smooth = new Float32Array(BINS);
+  let rollingMax = 0.35;
+  const decay = 0.965;
+  return (fft) => {
+    const n = fft.length;
+    let tickMax = 0;
+    const out = new Array(BINS);
+    for (let i = 0; i < BINS; i++) {
+      const start = Math.floor(Math.pow(i / BINS, 2) * n);
+      const end = Math.max(start + 1, Math.floor(Math.pow((i + 1) / BINS, 2) * n));
+      let sum = 0, c = 0;
+      for (let k = start; k < end; k++) { sum += fft[k]; c++; }
+      const avg = (sum / Math.max(1, c)) / 255;
+      if (avg > tickMax) tickMax = avg;
+      const target = Math.pow(avg, 0.85);
+      smooth[i] = smooth[i] * 0.6 + target * 0.4;
+      out[i] = smooth[i];
+    }
+    rollingMax = Math.max(rollingMax * decay, tickMax);
+    for (let i = 0; i < BINS; i++) {
+      out[i] = out[i] / Math.max(0.18, rollingMax);
+      out[i] = Math.min(1, Math.max(0.06, out[i]));
+    }
+    return out;
+  };
+}
+
+/* ============= FRAME ============= */
+
+/**
+ * Draw the frame at time `t`.
+ *   layout          - frameLayout(width, height); positions everything
+ *   grad            - [top, bottom] background colours
+ *   segs            - caption segments, with `speaker` in character mode
+ *   metrics         - computeCaptionMetrics(...) for these segments and layout mode
+ *   bars, art, artOpacity - waveform heights and slide image (waveform layout)
+ *   speakers        - character names in order; any makes it a character layout
+ *   characterImages - { speaker: image }
+ *   highlight       - key of HIGHLIGHT_MODES
+ *   plan, watermarkLogo - free-plan watermark
+ */
+export function drawFrame(ctx, t, {
+  layout, grad, segs, transcriptText, metrics, bars, art, artOpacity = 1,
+  speakers = [], characterImages = {}, highlight = 'none', plan, watermarkLogo,
+}) {
+  const { width: WIDTH, height: HEIGHT, unit } = layout;
+  const { size: CAP_SIZE, lineHeight: CAP_LH } = metrics;
+
+  // Background gradient
+  const g = ctx.createLinearGradient(0, 0, 0, HEIGHT);
+  g.addColorStop(0, grad[0]);
+  g.addColorStop(1, grad[1]);
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+  if (speakers.length) {
+    const { panel, caption } = layout.character;
+    const idx = segmentIndexAtTime(segs, t);
+    const currentSeg = idx === -1 ? null : segs[idx];
+    const speaker = currentSeg?.speaker || speakers[0];
+    const characterImg = characterImages[speaker];
+
+    // Character image fills its panel
+    if (characterImg && characterImg.complete !== false) {
+      drawImageCoverRounded(ctx, characterImg, panel.x, panel.y, panel.w, panel.h, 0, 1);
+    }
+
+    // Caption block centred in the caption box
+    if (currentSeg?.text) {
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      ctx.font = `bold ${CAP_SIZE}px ${CAPTION_FONT}`;
+      ctx.fillStyle = '#fff';
+      ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+      ctx.shadowBlur = 12 * unit;
+      ctx.shadowOffsetX = 0;
+      ctx.shadowOffsetY = 2 * unit;
+
+      // Every line is shown; the uniform size keeps them on the frame
+      const lines = wrapCaption(ctx, splitWords(currentSeg.text).join(' '), caption.w);
+      const activeWord = activeWordIndex(currentSeg, t);
+      const blockH = (lines.length - 1) * CAP_LH + CAP_SIZE;
+      const textStartY = caption.y + Math.max(0, (caption.h - blockH) / 2);
+
+      let firstWord = 0;
+      for (let i = 0; i < lines.length; i++) {
+        const y = textStartY + i * CAP_LH;
+        drawCaptionLine(ctx, lines[i], caption.x, y, { firstWord, activeWord, mode: highlight, size: CAP_SIZE });
+        firstWord += lines[i].split(' ').length;
+      }
+
+      ctx.shadowColor = 'transparent';
+      ctx.shadowBlur = 0;
+    }
+  } else {
+    // Waveform layout: artwork, bars and centred captions
+    const { art: artBox, bars: barBox, caption } = layout.waveform;
+    const bins = Math.min(64, bars?.length || 64);
+    const gap = barBox.w / 96;
+    const barW = (barBox.w - (bins - 1) * gap) / bins;
+    const midY = barBox.y + barBox.h / 2;
+
+    if (art && artBox.h > 40 * unit) {
+      drawImageCoverRounded(ctx, art, artBox.x, artBox.y, artBox.w, artBox.h, 28 * unit, artOpacity);
+    }
+
+    if (bars?.length) {
+      ctx.fillStyle = '#f5c445';
+      for (let i = 0; i < bins; i++) {
+        const v = Math.max(0.08, Math.min(1, bars[i]));
+        const h = v * barBox.h;
+        const x = barBox.x + i * (barW + gap);
+        const y = midY - h / 2;
+        roundedRectFill(ctx, x, y, barW, h, 14 * unit);
+      }
+    }
+
+    const idx = segmentIndexAtTime(segs, t);
+    const raw = idx === -1 ? '' : (segs[idx]?.text || transcriptText || 'Record or upload audio').trim();
+
+    if (raw) {
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.font = `bold ${CAP_SIZE}px ${CAPTION_FONT}`;
+      ctx.fillStyle = '#fff';
+      const lines = wrapCaption(ctx, splitWords(raw).join(' '), caption.w).slice(0, MAX_LINES);
+      const activeWord = idx === -1 ? -1 : activeWordIndex(segs[idx], t);
+      const blockH = (lines.length - 1) * CAP_LH;
+      const startY = caption.y + (caption.h - blockH) / 2;
+      let firstWord = 0;
+      for (let i = 0; i < lines.length; i++) {
+        const y = startY + i * CAP_LH;
+        drawCaptionLine(ctx, lines[i], caption.x + caption.w / 2, y, { firstWord, activeWord, mode: highlight, size: CAP_SIZE });
+        firstWord += lines[i].split(' ').length;
+      }
+    }
+  }
+
+  // Watermark logo, top right
+  if (plan === 'free' && watermarkLogo && watermarkLogo.complete !== false) {
+    const { x, y, w, h } = layout.watermark;
+    ctx.drawImage(watermarkLogo, x, y, w, h);
+  }
+}
@@ -0,0 +1,99 @@
+// lib/render/spectrum.js
+// Offline stand-in for the Web Audio AnalyserNode the browser export reads
+// its waveform bars from. Same algorithm as getByteFrequencyData: the last
+// fftSize samples before `t`, Blackman window, FFT, magnitude smoothing
+// across calls, then decibels scaled onto 0..255. createSpectrum reads a
+// fully decoded track; createAnalyser takes one window at a time, so a
+// streamed decode never has to hold the whole track.
+
+// In-place iterative radix-2 FFT over separate real/imaginary arrays
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(step * k);
+        const sin = Math.sin(step * k);
+        const a = start + k;
+        const b = a + half;
+        const tr = re[b] * cos - im[b] * sin;
+        const ti = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+/**
+ * The analyser on its own: feed it the fftSize samples that end at each
+ * frame (oldest first) and it returns byteFrequencyData as a
+ * Uint8Array(fftSize / 2). Stateful like the AnalyserNode: call it once
+ * per frame, in order. The returned array is reused between calls.
+ */
+export function createAnalyser({
+  fftSize = 1024,
+  smoothingTimeConstant = 0.6,
+  minDecibels = -100,
+  maxDecibels = -30,
+} = {}) {
+  const bins = fftSize / 2;
+  const window = new Float32Array(fftSize);
+  for (let i = 0; i < fftSize; i++) {
+    const x = i / fftSize;
+    window[i] = 0.42 - 0.5 * Math.cos(2 * Math.PI * x) + 0.08 * Math.cos(4 * Math.PI * x);
+  }
+  const smoothed = new Float32Array(bins);
+  const re = new Float32Array(fftSize);
+  const im = new Float32Array(fftSize);
+  const out = new Uint8Array(bins);
+  const range = maxDecibels - minDecibels;
+
+  return (frame) => {
+    for (let i = 0; i < fftSize; i++) {
+      re[i] = frame[i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let k = 0; k < bins; k++) {
+      const magnitude = Math.hypot(re[k], im[k]) / fftSize;
+      smoothed[k] = smoothingTimeConstant * smoothed[k] + (1 - smoothingTimeConstant) * magnitude;
+      const db = 20 * Math.log10(smoothed[k] || 1e-12);
+      out[k] = Math.max(0, Math.min(255, Math.floor((255 * (db - minDecibels)) / range)));
+    }
+    return out;
+  };
+}
+
+/**
+ * `samples` is the whole track as mono Float32Array PCM at `sampleRate`.
+ * Returns byteFrequencyData(t) -> Uint8Array(fftSize / 2). Stateful like
+ * the AnalyserNode: call it with increasing `t`.
+ */
+export function createSpectrum(samples, sampleRate, options = {}) {
+  const fftSize = options.fftSize || 1024;
+  const analyse = createAnalyser(options);
+  const frame = new Float32Array(fftSize);
+
+  return (t) => {
+    const end = Math.min(samples.length, Math.round(t * sampleRate));
+    for (let i = 0; i < fftSize; i++) {
+      const index = end - fftSize + i;
+      frame[i] = index >= 0 ? samples[index] : 0;
+    }
+    return analyse(frame);
+  };
+}
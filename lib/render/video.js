@@ -0,0 +1,295 @@
+// lib/render/video.js
+// Server-side video renderer. Draws every frame with the same drawFrame as
+// the browser export (lib/render/frame.js) on a @napi-rs/canvas surface,
+// computes the waveform bars from an offline FFT of the audio as it is
+// decoded, and pipes raw RGBA frames straight into ffmpeg. Nothing runs in real
+// time, so a render takes as long as drawing and encoding do.
+import { spawn } from "child_process";
+import { promises as fs } from "fs";
+import path from "path";
+import { createCanvas, loadImage, GlobalFonts } from "@napi-rs/canvas";
+import { findFFmpegPath, probeDuration } from "../audio/ffmpeg";
+import { getVoice } from "../voices";
+import { exportMuxArgs } from "../video/metadata";
+import {
+  FPS, PRESETS, gradientAtTime, slideForTime, frameLayout, computeCaptionMetrics, createBarSmoother, drawFrame,
+} from "./frame";
+import { createAnalyser } from "./spectrum";
+import { RenderError } from "./errors";
+
+/* ------------------ CONFIG ------------------ */
+const SAMPLE_RATE = 44100;   // analyser rate in most browsers
+const FFT_SIZE = 1024;       // matches the browser AnalyserNode setup
+const MAX_SECONDS = Math.max(60, Number(process.env.RENDER_MAX_SECONDS || 30 * 60));
+const X264_PRESET = process.env.RENDER_X264_PRESET?.trim() || 'veryfast';
+const PUBLIC_DIR = path.join(process.cwd(), 'public');
+const WATERMARK_PATH = path.join(PUBLIC_DIR, 'scenaryoze-logo.png');
+
+// Captions ask for Inter first; register a bundled copy when one is configured
+if (process.env.RENDER_FONT_PATH?.trim()) {
+  GlobalFonts.registerFromPath(process.env.RENDER_FONT_PATH.trim(), 'Inter');
+}
+
+/* ------------------ INPUTS ------------------ */
+/**
+ * Decode `audioPath` to mono f32 PCM as the render goes. Only the last
+ * `windowSize` samples are kept, so memory stays flat whatever the length.
+ *   window(endSample) - resolves with those samples ending at `endSample`
+ *                       (oldest first, zeros before the start)
+ *   close()           - stop the decoder
+ */
+function openMonoStream(audioPath, windowSize) {
+  const decoder = spawn(findFFmpegPath(), [
+    '-hide_banner', '-loglevel', 'error',
+    '-i', audioPath,
+    '-ac', '1', '-ar', String(SAMPLE_RATE),
+    '-f', 'f32le', 'pipe:1'
+  ]);
+  let stderr = '';
+  decoder.stderr.on('data', (data) => {
+    stderr = (stderr + data.toString()).slice(-1000);
+  });
+  const exited = new Promise((resolve) => {
+    decoder.on('close', (code) => resolve(code));
+    decoder.on('error', (error) => {
+      stderr += `Spawn error: ${error.message}`;
+      resolve(-1);
+    });
+  });
+
+  const chunks = decoder.stdout[Symbol.asyncIterator]();
+  const ring = new Float32Array(windowSize);
+  const frame = new Float32Array(windowSize);
+  let pending = Buffer.alloc(0);   // decoded bytes not consumed yet
+  let total = 0;                   // samples consumed
+  let ended = false;
+
+  async function advanceTo(endSample) {
+    while (total < endSample && !ended) {
+      if (pending.length < 4) {
+        const { value, done } = await chunks.next();
+        if (done) {
+          ended = true;
+          if ((await exited) !== 0) {
+            throw new RenderError(`Audio decode failed: ${stderr}`, {
+              code: 'invalid_audio',
+              status: 400,
+              userMessage: 'Invalid audio format or corrupted file',
+            });
+          }
+          break;
+        }
+        pending = pending.length ? Buffer.concat([pending, value]) : value;
+        continue;
+      }
+      const count = Math.min(endSample - total, Math.floor(pending.length / 4));
+      for (let i = 0; i < count; i++) ring[(total + i) % windowSize] = pending.readFloatLE(i * 4);
+      total += count;
+      pending = pending.subarray(count * 4);
+    }
+  }
+
+  return {
+    async window(endSample) {
+      await advanceTo(endSample);
+      // Past the end of the audio the window stays on its last samples
+      for (let i = 0; i < windowSize; i++) {
+        const index = total - windowSize + i;
+        frame[i] = index >= 0 ? ring[index % windowSize] : 0;
+      }
+      return frame;
+    },
+    close() {
+      if (decoder.exitCode === null) decoder.kill('SIGKILL');
+    },
+  };
+}
+
+async function loadOptionalImage(source) {
+  try {
+    return await loadImage(source);
+  } catch (error) {
+    console.warn('Render image failed to load:', typeof source === 'string' ? source : 'buffer', error.message);
+    return null;
+  }
+}
+
+// { speaker: image } from each speaker's voice portrait in public/
+async function loadCharacterImages(speakers, voices) {
+  const images = {};
+  for (const speaker of speakers) {
+    const voice = getVoice(voices[speaker]) || getVoice(speaker);
+    if (!voice?.image) continue;
+    const image = await loadOptionalImage(path.join(PUBLIC_DIR, voice.image));
+    if (image) images[speaker] = image;
+  }
+  return images;
+}
+
+/* ------------------ ENCODER ------------------ */
+// `mux` holds the optional caption/metadata files (see lib/video/metadata)
+function startEncoder(audioPath, outputPath, { width, height, mux }) {
+  const extras = exportMuxArgs(2, { ...mux, hasAudio: true });
+  const args = [
+    '-hide_banner',
+    '-f', 'rawvideo',
+    '-pix_fmt', 'rgba',
+    '-s', `${width}x${height}`,
+    '-framerate', String(FPS),
+    '-i', 'pipe:0',
+    '-i', audioPath,
+    ...extras.inputs,
+    '-map', '0:v:0',
+    '-map', '1:a:0',
+    ...extras.outputs,
+    '-c:v', 'libx264',
+    '-preset', X264_PRESET,
+    '-crf', '23',
+    '-pix_fmt', 'yuv420p',
+    '-c:a', 'aac',
+    '-b:a', '128k',
+    '-af', 'afade=t=in:st=0:d=0.3',     // same fade-in as /api/convert-mp4
+    '-shortest',
+    '-movflags', '+faststart',
+    '-y',
+    outputPath
+  ];
+  console.log(`Starting render encoder: ${findFFmpegPath()} ${args.join(' ')}`);
+
+  const ffmpeg = spawn(findFFmpegPath(), args);
+  let stderr = '';
+  ffmpeg.stderr.on('data', (data) => {
+    stderr = (stderr + data.toString()).slice(-2000);
+  });
+  ffmpeg.stdin.on('error', () => {});   // EPIPE when ffmpeg exits early; `done` reports it
+
+  const done = new Promise((resolve) => {
+    ffmpeg.on('close', (code) => resolve({ success: code === 0, stderr: stderr.slice(-1000) }));
+    ffmpeg.on('error', (error) => resolve({ success: false, stderr: `Spawn error: ${error.message}` }));
+  });
+
+  let exited = false;
+  done.then(() => { exited = true; });
+
+  // Resolves once ffmpeg can take more; false when it has gone away
+  const write = (chunk) => new Promise((resolve) => {
+    if (exited || ffmpeg.stdin.destroyed) return resolve(false);
+    if (ffmpeg.stdin.write(chunk)) return resolve(true);
+    const onDrain = () => { ffmpeg.stdin.off('close', onClose); resolve(true); };
+    const onClose = () => { ffmpeg.stdin.off('drain', onDrain); resolve(false); };
+    ffmpeg.stdin.once('drain', onDrain);
+    ffmpeg.stdin.once('close', onClose);
+  });
+
+  const abort = () => { if (!exited) ffmpeg.kill('SIGKILL'); };
+  return { write, end: () => ffmpeg.stdin.end(), abort, done };
+}
+
+/* ------------------ PUBLIC API ------------------ */
+/**
+ * Render an MP4 of `audioPath` to `outputPath`.
+ * Options mirror the browser export:
+ *   segments, transcriptText  - captions ({ start, end, text, words?, speaker? })
+ *   width, height             - frame size (default 1080x1080; see formatSize in ./frame)
+ *   presetIdx, autoBg         - background gradient (autoBg cycles the presets)
+ *   highlight                 - word highlight mode
+ *   speakers, voices          - character layout: speaker order and { speaker: voiceId }
+ *   artworkPaths, artOpacity  - slides for the waveform layout
+ *   plan                      - 'free' adds the watermark
+ *   subtitlePath, metadataPath, language - caption track and container metadata
+ *   onProgress(percent)
+ * Returns { duration, frames, seconds }.
+ */
+export async function renderVideo(audioPath, outputPath, {
+  segments = [], transcriptText = '', width = 1080, height = 1080,
+  presetIdx = 1, autoBg = true, highlight = 'none',
+  speakers = [], voices = {}, artworkPaths = [], artOpacity = 1,
+  plan = 'free', subtitlePath, metadataPath, language, onProgress,
+} = {}) {
+  const started = Date.now();
+  const duration = await probeDuration(audioPath);
+  if (!duration) {
+    throw new RenderError('Could not measure audio duration', {
+      code: 'invalid_audio',
+      status: 400,
+      userMessage: 'Invalid audio format or corrupted file',
+    });
+  }
+  if (duration > MAX_SECONDS) {
+    throw new RenderError(`Audio is ${duration.toFixed(0)}s, over the ${MAX_SECONDS}s render limit`, {
+      code: 'too_long',
+      status: 400,
+      userMessage: `Audio is too long to render. Maximum is ${Math.floor(MAX_SECONDS / 60)} minutes`,
+    });
+  }
+
+  const smoothBars = createBarSmoother();
+
+  const [characterImages, watermarkLogo, artworks] = await Promise.all([
+    loadCharacterImages(speakers, voices),
+    plan === 'free' ? loadOptionalImage(WATERMARK_PATH) : null,
+    Promise.all(artworkPaths.map(async (p) => loadOptionalImage(await fs.readFile(p)))),
+  ]);
+  const slides = artworks.filter(Boolean).map((img) => ({ img }));
+
+  const layout = frameLayout(width, height);
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const segs = segments.length ? segments : [{ start: 0, end: duration, text: transcriptText || '' }];
+  const metrics = computeCaptionMetrics(ctx, segs, transcriptText, layout, { characters: speakers.length > 0 });
+  const preset = Math.min(PRESETS.length - 1, Math.max(0, presetIdx));
+
+  const totalFrames = Math.ceil(duration * FPS);
+  console.log(`Rendering ${totalFrames} frames (${duration.toFixed(1)}s at ${FPS}fps, ${width}x${height})`);
+
+  const audio = openMonoStream(audioPath, FFT_SIZE);
+  const analyse = createAnalyser({ fftSize: FFT_SIZE });
+  const encoder = startEncoder(audioPath, outputPath, { width, height, mux: { subtitlePath, metadataPath, language } });
+  let lastPct = -1;
+  try {
+    for (let frame = 0; frame < totalFrames; frame++) {
+      const t = frame / FPS;
+      const bars = smoothBars(analyse(await audio.window(Math.round(t * SAMPLE_RATE))));
+      drawFrame(ctx, t, {
+        layout,
+        grad: autoBg ? gradientAtTime(t, duration, preset) : PRESETS[preset],
+        segs,
+        transcriptText,
+        metrics,
+        bars,
+        art: slideForTime(t, duration, slides),
+        artOpacity,
+        speakers,
+        characterImages,
+        highlight,
+        plan,
+        watermarkLogo,
+      });
+
+      const { data } = ctx.getImageData(0, 0, width, height);
+      if (!(await encoder.write(Buffer.from(data.buffer, data.byteOffset, data.byteLength)))) break;
+
+      const pct = Math.floor((frame / totalFrames) * 99);
+      if (pct !== lastPct) {
+        lastPct = pct;
+        onProgress?.(pct);
+      }
+    }
+  } catch (error) {
+    encoder.abort();
+    throw error;
+  } finally {
+    audio.close();
+  }
+  encoder.end();
+
+  const result = await encoder.done;
+  if (!result.success) {
+    throw new RenderError(`Render encode failed: ${result.stderr}`, { code: 'encode_failed' });
+  }
+
+  const seconds = (Date.now() - started) / 1000;
+  console.log(`Rendered ${duration.toFixed(1)}s of video in ${seconds.toFixed(1)}s (${(duration / seconds).toFixed(2)}x realtime)`);
+  onProgress?.(100);
+  return { duration, frames: totalFrames, seconds };
+}
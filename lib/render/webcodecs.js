@@ -0,0 +1,87 @@
+// lib/render/webcodecs.js
+// Browser export through WebCodecs: the audio is decoded up front with an
+// OfflineAudioContext, then a worker (export.worker.js) draws every frame
+// on an OffscreenCanvas with the shared drawFrame, encodes with
+// VideoEncoder/AudioEncoder and muxes an MP4. Frame-exact, faster than
+// real time, and unaffected by the tab being hidden.
+
+import { SAMPLE_RATE, pickVideoConfig, pickAudioConfig } from "./codecs";
+
+/**
+ * Whether this browser can take the WebCodecs path. Resolves { ok, reason }.
+ */
+export async function webCodecsSupport(width, height, framerate) {
+  if (typeof window === 'undefined' || typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+    return { ok: false, reason: 'Missing Worker or OffscreenCanvas.' };
+  }
+  if (typeof VideoEncoder === 'undefined' || typeof AudioEncoder === 'undefined' || typeof OfflineAudioContext === 'undefined') {
+    return { ok: false, reason: 'Missing WebCodecs encoders.' };
+  }
+  if (!(await pickVideoConfig(width, height, framerate))) return { ok: false, reason: 'No supported H.264 encoder.' };
+  if (!(await pickAudioConfig(2))) return { ok: false, reason: 'No supported AAC or Opus encoder.' };
+  return { ok: true };
+}
+
+// Anything drawable becomes an ImageBitmap so it can be transferred to the worker
+async function toBitmap(image) {
+  if (!image) return null;
+  try {
+    return await createImageBitmap(image);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Render and encode an MP4 in a worker.
+ *   audio           - ArrayBuffer of the encoded audio file
+ *   width, height, fps
+ *   scene           - drawFrame options that survive structured cloning:
+ *                     { segs, transcriptText, presetIdx, autoBg, highlight, speakers, artOpacity, plan }
+ *   images          - { characters: { speaker: image }, slides: [image], watermark }
+ *   onProgress(percent)
+ * Resolves with the MP4 Blob.
+ */
+export async function encodeVideoInWorker({ audio, width, height, fps, scene, images, onProgress }) {
+  const decoded = await new OfflineAudioContext(1, 1, SAMPLE_RATE).decodeAudioData(audio);
+  const channels = Array.from({ length: Math.min(2, decoded.numberOfChannels) }, (_, i) => decoded.getChannelData(i).slice());
+  console.log(`WebCodecs export: ${decoded.duration.toFixed(1)}s, ${channels.length} channel(s) at ${SAMPLE_RATE}Hz`);
+
+  const characters = {};
+  for (const [speaker, image] of Object.entries(images.characters || {})) {
+    const bitmap = await toBitmap(image);
+    if (bitmap) characters[speaker] = bitmap;
+  }
+  const slides = (await Promise.all((images.slides || []).map(toBitmap))).filter(Boolean);
+  const watermark = await toBitmap(images.watermark);
+
+  const worker = new Worker(new URL('./export.worker.js', import.meta.url), { type: 'module' });
+  try {
+    const buffer = await new Promise((resolve, reject) => {
+      worker.onmessage = ({ data }) => {
+        if (data.type === 'progress') onProgress?.(data.percent);
+        else if (data.type === 'done') resolve(data.buffer);
+        else if (data.type === 'error') reject(new Error(data.message));
+      };
+      worker.onerror = (event) => reject(new Error(event.message || 'Export worker failed'));
+      worker.postMessage(
+        {
+          type: 'start',
+          width,
+          height,
+          fps,
+          sampleRate: SAMPLE_RATE,
+          duration: decoded.duration,
+          channels,
+          scene,
+          images: { characters, slides, watermark },
+        },
+        [...channels.map((c) => c.buffer), ...Object.values(characters), ...slides, ...(watermark ? [watermark] : [])]
+      );
+    });
+    onProgress?.(100);
+    return new Blob([buffer], { type: 'video/mp4' });
+  } finally {
+    worker.terminate();
+  }
+}
@@ -0,0 +1,56 @@
+// lib/session.js
+// Signed session tokens: the only way a caller is known by a user id.
+// Tokens are issued by /api/admin/sessions (or any service holding
+// SESSION_SECRET) and sent as `Authorization: Bearer <token>` or in the
+// scenaryoze_session cookie. Format: base64url(userId).expiresAt.signature
+import { createHmac, timingSafeEqual } from "crypto";
+
+export const SESSION_COOKIE = 'scenaryoze_session';
+const DEFAULT_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+function sessionSecret() {
+  return process.env.SESSION_SECRET?.trim() || null;
+}
+
+function sign(payload, secret) {
+  return createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Issue a token for `userId`, valid for `ttlSeconds`.
+ * Returns { token, expiresAt }, or null when SESSION_SECRET is not set.
+ */
+export function signSession(userId, ttlSeconds = DEFAULT_TTL_SECONDS) {
+  const secret = sessionSecret();
+  if (!secret) return null;
+  const expiresAt = Math.floor(Date.now() / 1000) + Math.max(60, Math.floor(ttlSeconds));
+  const payload = `${Buffer.from(userId).toString('base64url')}.${expiresAt}`;
+  return { token: `${payload}.${sign(payload, secret)}`, expiresAt: new Date(expiresAt * 1000).toISOString() };
+}
+
+/**
+ * The user id a token was issued for, or null when it is malformed,
+ * expired, badly signed or sessions are disabled.
+ */
+export function verifySession(token) {
+  const secret = sessionSecret();
+  const parts = String(token || '').split('.');
+  if (!secret || parts.length !== 3) return null;
+
+  const [encodedId, expiresAt, signature] = parts;
+  const expected = Buffer.from(sign(`${encodedId}.${expiresAt}`, secret));
+  const provided = Buffer.from(signature);
+  if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) return null;
+  if (!(Number(expiresAt) * 1000 > Date.now())) return null;
+
+  const userId = Buffer.from(encodedId, 'base64url').toString().trim();
+  return userId || null;
+}
+
+/**
+ * The verified user id of a request's bearer token or session cookie, else null.
+ */
+export function sessionUserId(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.get('authorization') || '')?.[1];
+  return verifySession(bearer || req.cookies?.get?.(SESSION_COOKIE)?.value);
+}
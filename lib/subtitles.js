@@ -0,0 +1,304 @@
+// lib/subtitles.js
+// Sidecar caption files (SRT, WebVTT, ASS) built from normalized caption
+// segments [{ start, end, text, words?, speaker? }]. Shared by the client's
+// download buttons and /api/subtitles, so both produce identical files.
+//
+// Segments are cut into cues that fit the line-length and line-count
+// limits, then cue ends are stretched (never past the next cue) until the
+// text can be read at the configured characters-per-second.
+
+export const SUBTITLE_FORMATS = {
+  srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { extension: 'vtt', mimeType: 'text/vtt' },
+  ass: { extension: 'ass', mimeType: 'text/x-ssa' },
+};
+
+export const DEFAULT_SUBTITLE_OPTIONS = {
+  maxLineChars: 42,       // characters per line
+  maxLines: 2,            // lines per cue
+  maxCharsPerSecond: 17,  // reading speed
+  minDuration: 1,         // seconds a cue stays up
+  maxDuration: 7,
+  minGap: 0.08,           // seconds between consecutive cues
+};
+
+// [min, max] accepted for each option
+export const SUBTITLE_LIMITS = {
+  maxLineChars: [10, 100],
+  maxLines: [1, 4],
+  maxCharsPerSecond: [5, 40],
+  minDuration: [0.2, 5],
+  maxDuration: [1, 20],
+  minGap: [0, 1],
+};
+
+// [min, max] accepted for each numeric ASS style field
+export const ASS_STYLE_LIMITS = {
+  width: [16, 7680],
+  height: [16, 7680],
+  fontSize: [8, 400],
+  marginV: [0, 4000],
+};
+const MAX_FONT_NAME = 64;
+
+// Fallback ASS colours for speakers without one
+const SPEAKER_PALETTE = ['#FFFFFF', '#F5C445', '#7DD3FC', '#86EFAC', '#F9A8D4', '#FDBA74', '#C4B5FD', '#FCA5A5'];
+
+/**
+ * Clamp caller-supplied options to SUBTITLE_LIMITS; anything missing or
+ * not a number keeps its default.
+ */
+export function parseSubtitleOptions(input) {
+  const options = { ...DEFAULT_SUBTITLE_OPTIONS };
+  if (!input || typeof input !== 'object') return options;
+  for (const [key, [min, max]] of Object.entries(SUBTITLE_LIMITS)) {
+    const value = Number(input[key]);
+    if (input[key] !== undefined && input[key] !== null && Number.isFinite(value)) {
+      options[key] = Math.min(max, Math.max(min, value));
+    }
+  }
+  options.maxLineChars = Math.round(options.maxLineChars);
+  options.maxLines = Math.round(options.maxLines);
+  options.maxDuration = Math.max(options.maxDuration, options.minDuration);
+  return options;
+}
+
+/**
+ * ASS styling from caller-supplied options: numbers clamped to
+ * ASS_STYLE_LIMITS, a plain font name and string colours only. Anything
+ * missing or invalid is left out so toASS picks its default.
+ */
+export function parseAssStyle(input) {
+  const style = {};
+  if (!input || typeof input !== 'object') return style;
+  for (const [key, [min, max]] of Object.entries(ASS_STYLE_LIMITS)) {
+    const value = Number(input[key]);
+    if (input[key] !== undefined && input[key] !== null && Number.isFinite(value)) {
+      style[key] = Math.round(Math.min(max, Math.max(min, value)));
+    }
+  }
+  // Commas separate style fields; control characters would break the line
+  const font = typeof input.font === 'string' ? input.font.replace(/[,\p{Cc}]/gu, ' ').trim().slice(0, MAX_FONT_NAME) : '';
+  if (font) style.font = font;
+  if (input.speakerColors && typeof input.speakerColors === 'object' && !Array.isArray(input.speakerColors)) {
+    style.speakerColors = Object.fromEntries(
+      Object.entries(input.speakerColors).filter(([, color]) => typeof color === 'string')
+    );
+  }
+  return style;
+}
+
+/* ------------------ LINE WRAPPING ------------------ */
+function greedyWrap(tokens, width) {
+  const lines = [];
+  let line = '';
+  for (const token of tokens) {
+    if (line && line.length + 1 + token.length > width) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Wrap text into as few lines of at most `maxLineChars` as possible, with
+ * the lines kept close to equal length. A word longer than a line keeps a
+ * line to itself.
+ */
+export function wrapCaption(text, maxLineChars) {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const fallback = greedyWrap(tokens, maxLineChars);
+  const lineCount = fallback.length;
+  if (lineCount < 2) return fallback;
+  for (let width = Math.ceil(text.length / lineCount); width < maxLineChars; width++) {
+    const lines = greedyWrap(tokens, width);
+    if (lines.length <= lineCount) return lines;
+  }
+  return fallback;
+}
+
+/* ------------------ CUES ------------------ */
+function cleanSegments(segments) {
+  return (Array.isArray(segments) ? segments : [])
+    .filter((s) => s && Number.isFinite(Number(s.start)) && Number.isFinite(Number(s.end)) && typeof s.text === 'string')
+    .map((s) => ({
+      start: Math.max(0, Number(s.start)),
+      end: Math.max(Number(s.start), Number(s.end)),
+      text: s.text.replace(/\s+/g, ' ').trim(),
+      words: Array.isArray(s.words) ? s.words : null,
+      speaker: typeof s.speaker === 'string' && s.speaker.trim() ? s.speaker.trim() : null,
+    }))
+    .filter((s) => s.text)
+    .sort((a, b) => a.start - b.start);
+}
+
+// Break before a token when the cue is at least half full and the previous token ends a sentence
+const SENTENCE_END = /[.!?…]["')\]]*$/;
+
+function splitSegment(segment, options) {
+  const tokens = segment.text.split(' ');
+  const span = segment.end - segment.start;
+  // Word timings are only trusted when they line up one-to-one with the text
+  const timed = segment.words && segment.words.length === tokens.length
+    && segment.words.every((w) => Number.isFinite(w.start) && Number.isFinite(w.end));
+
+  // Untimed tokens share the segment's span in proportion to their length
+  const totalChars = tokens.reduce((sum, t) => sum + t.length + 1, 0);
+  let charsBefore = 0;
+  const times = tokens.map((token, i) => {
+    if (timed) return { start: segment.words[i].start, end: segment.words[i].end };
+    const start = segment.start + (charsBefore / totalChars) * span;
+    charsBefore += token.length + 1;
+    return { start, end: segment.start + (charsBefore / totalChars) * span };
+  });
+
+  const capacity = options.maxLineChars * options.maxLines;
+  const cues = [];
+  let from = 0;
+  for (let i = 1; i <= tokens.length; i++) {
+    const atEnd = i === tokens.length;
+    const text = tokens.slice(from, i).join(' ');
+    const next = atEnd ? null : tokens.slice(from, i + 1).join(' ');
+    const overflows = next !== null && (
+      wrapCaption(next, options.maxLineChars).length > options.maxLines ||
+      times[i].end - times[from].start > options.maxDuration
+    );
+    const sentenceBreak = !atEnd && SENTENCE_END.test(tokens[i - 1]) && text.length >= capacity / 2;
+    if (atEnd || overflows || sentenceBreak) {
+      cues.push({
+        start: times[from].start,
+        end: times[i - 1].end,
+        lines: wrapCaption(text, options.maxLineChars),
+        speaker: segment.speaker,
+      });
+      from = i;
+    }
+  }
+  return cues;
+}
+
+/**
+ * Cut segments into timed cues:
+ *   [{ index, start, end, lines: [string], speaker }]
+ */
+export function buildCues(segments, options = DEFAULT_SUBTITLE_OPTIONS) {
+  const cues = cleanSegments(segments).flatMap((segment) => splitSegment(segment, options));
+
+  cues.forEach((cue, i) => {
+    const next = cues[i + 1];
+    const limit = next ? next.start - options.minGap : Infinity;
+    const chars = cue.lines.join(' ').length;
+    const wanted = Math.min(options.maxDuration, Math.max(options.minDuration, chars / options.maxCharsPerSecond));
+    // Stretch short cues up to the next one; trim cues that run into it
+    cue.end = Math.min(Math.max(cue.end, cue.start + wanted), limit);
+    if (cue.end <= cue.start) cue.end = cue.start + Math.min(options.minDuration, 0.1);
+  });
+
+  return cues.map((cue, index) => ({ index: index + 1, ...cue }));
+}
+
+/* ------------------ TIMESTAMPS ------------------ */
+function clock(seconds, fractionDigits, separator, hourDigits = 2) {
+  const scale = 10 ** fractionDigits;
+  const total = Math.round(Math.max(0, seconds) * scale);
+  const fraction = total % scale;
+  const whole = Math.floor(total / scale);
+  const h = Math.floor(whole / 3600);
+  const m = Math.floor((whole % 3600) / 60);
+  const s = whole % 60;
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(h, hourDigits)}:${pad(m)}:${pad(s)}${separator}${pad(fraction, fractionDigits)}`;
+}
+
+/* ------------------ SRT ------------------ */
+export function toSRT(cues) {
+  return cues
+    .map((cue) => `${cue.index}\n${clock(cue.start, 3, ',')} --> ${clock(cue.end, 3, ',')}\n${cue.lines.join('\n')}\n`)
+    .join('\n');
+}
+
+/* ------------------ WEBVTT ------------------ */
+const escapeVTT = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Speakers become voice spans (<v Name>) so players can style or announce them
+export function toVTT(cues) {
+  const body = cues.map((cue) => {
+    const text = cue.lines.map(escapeVTT).join('\n');
+    const voice = cue.speaker ? `<v ${escapeVTT(cue.speaker)}>` : '';
+    return `${cue.index}\n${clock(cue.start, 3, '.')} --> ${clock(cue.end, 3, '.')}\n${voice}${text}\n`;
+  });
+  return ['WEBVTT\n', ...body].join('\n');
+}
+
+/* ------------------ ASS ------------------ */
+// #RRGGBB -> &H00BBGGRR
+function assColor(hex, fallback = '#FFFFFF') {
+  const match = /^#?([0-9a-f]{6})$/i.exec(String(hex || '')) || /^#?([0-9a-f]{6})$/i.exec(fallback);
+  const [, rgb] = match;
+  return `&H00${rgb.slice(4, 6)}${rgb.slice(2, 4)}${rgb.slice(0, 2)}`.toUpperCase();
+}
+
+const assName = (name) => name.replace(/,/g, ' ');
+const assText = (text) => text.replace(/[{}]/g, '').replace(/\\/g, '/');
+
+/**
+ * Styled ASS with one style per speaker. `style` sets the canvas size
+ * (width, height), font, fontSize, bottom margin and `speakerColors`
+ * ({ name: '#RRGGBB' }); speakers without a colour take one from a palette.
+ * Callers pass untrusted options through parseAssStyle first.
+ */
+export function toASS(cues, style = {}) {
+  const width = Math.round(style.width || 1920);
+  const height = Math.round(style.height || 1080);
+  const font = assName(style.font || 'Arial');
+  const fontSize = Math.round(style.fontSize || height / 18);
+  const marginV = Math.round(style.marginV ?? height / 20);
+  const speakerColors = style.speakerColors || {};
+
+  const speakers = [...new Set(cues.map((cue) => cue.speaker).filter(Boolean))];
+  const styleName = (speaker) => (speaker ? `Speaker${speakers.indexOf(speaker) + 1}` : 'Default');
+  const styleLine = (name, color) =>
+    `Style: ${name},${font},${fontSize},${assColor(color)},&H000000FF,&H00000000,&H80000000,-1,0,0,0,100,100,0,0,1,3,1,2,60,60,${marginV},1`;
+
+  return [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    'WrapStyle: 2',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    styleLine('Default', '#FFFFFF'),
+    ...speakers.map((speaker, i) => styleLine(styleName(speaker), speakerColors[speaker] || SPEAKER_PALETTE[i % SPEAKER_PALETTE.length])),
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...cues.map((cue) =>
+      `Dialogue: 0,${clock(cue.start, 2, '.', 1)},${clock(cue.end, 2, '.', 1)},${styleName(cue.speaker)},${cue.speaker ? assName(cue.speaker) : ''},0,0,0,,${cue.lines.map(assText).join('\\N')}`),
+    '',
+  ].join('\n');
+}
+
+/* ------------------ PUBLIC API ------------------ */
+/**
+ * Build a subtitle file. `options` holds the cue limits (see
+ * DEFAULT_SUBTITLE_OPTIONS) plus ASS styling (see toASS).
+ * Returns { content, extension, mimeType, cues } or throws on an unknown format.
+ */
+export function formatSubtitles(segments, format, options = {}) {
+  const spec = SUBTITLE_FORMATS[String(format || '').toLowerCase()];
+  if (!spec) {
+    throw new Error(`Unknown subtitle format: ${format}. Must be one of: ${Object.keys(SUBTITLE_FORMATS).join(', ')}`);
+  }
+  const cues = buildCues(segments, parseSubtitleOptions(options));
+  const content = spec.extension === 'srt' ? toSRT(cues)
+    : spec.extension === 'vtt' ? toVTT(cues)
+    : toASS(cues, parseAssStyle(options));
+  return { content, extension: spec.extension, mimeType: spec.mimeType, cues: cues.length };
+}
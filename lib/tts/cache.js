@@ -0,0 +1,221 @@
+// lib/tts/cache.js
+// Sharded, content-addressed disk cache for synthesized audio
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+
+export const CACHE_DIR =
+  (process.env.TTS_CACHE_DIR?.trim()) ||
+  path.join(process.env.NODE_ENV === 'production' ? '/tmp' : process.cwd(), 
+           process.env.NODE_ENV === 'production' ? 'tts-cache' : '.next/tts-cache');
+
+const TTL_HOURS = Number(process.env.TTS_CACHE_TTL_HOURS || 720);
+export const TTL_MS = TTL_HOURS * 60 * 60 * 1000;
+
+export function sha256(s) {
+  return createHash("sha256").update(s).digest("hex");
+}
+
+export function shardPath(root, hash, ext) {
+  const a = hash.slice(0, 2) || "00";
+  const b = hash.slice(2, 4) || "00";
+  return path.join(root, a, b, `${hash}.${ext}`);
+}
+
+/* ------------------ STATS ------------------ */
+// Lookups since process start; shared across route bundles like the job store
+const counters = globalThis.__scenaryozeTtsCacheStats || (globalThis.__scenaryozeTtsCacheStats = {
+  hits: 0,
+  misses: 0,
+  lastSweep: null,
+  sweeping: null,
+});
+
+export const MAX_BYTES = Number(process.env.TTS_CACHE_MAX_MB || 1024) * 1024 * 1024;
+const SWEEP_INTERVAL_MS = Number(process.env.TTS_CACHE_SWEEP_MINUTES || 30) * 60 * 1000;
+
+function metaPath(filePath) {
+  return filePath.replace(/\.[^./]+$/, '.json');
+}
+
+/* ------------------ READ / WRITE ------------------ */
+export async function readFreshFileIfAny(p) {
+  try {
+    const st = await fs.stat(p);
+    const age = Date.now() - st.mtimeMs;
+    if (age <= TTL_MS && st.size > 0) {
+      const data = await fs.readFile(p);
+      // Bump atime explicitly (noatime mounts) so size eviction is least-recently-used
+      fs.utimes(p, new Date(), st.mtime).catch(() => {});
+      counters.hits++;
+      return data;
+    }
+  } catch {}
+  counters.misses++;
+  return null;
+}
+
+/**
+ * Store an entry plus a JSON sidecar describing it ({ voice, userId, provider })
+ * so it can be purged selectively. Kicks off a throttled background sweep.
+ */
+export async function writeCacheFile(filePath, data, meta = {}) {
+  try {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, data);
+    await fs.writeFile(metaPath(filePath), JSON.stringify({
+      ...meta,
+      bytes: data.length,
+      createdAt: new Date().toISOString(),
+    }));
+  } catch (error) {
+    console.warn('Cache write failed:', error);
+  }
+
+  if (!counters.lastSweep || Date.now() - counters.lastSweep.finishedAt > SWEEP_INTERVAL_MS) {
+    sweepCache().catch((error) => console.warn('Cache sweep failed:', error.message));
+  }
+}
+
+/* ------------------ ENUMERATION ------------------ */
+// Every audio entry under CACHE_DIR as { path, bytes, mtimeMs, atimeMs }
+async function listEntries() {
+  const entries = [];
+  const walk = async (dir) => {
+    let names;
+    try {
+      names = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const dirent of names) {
+      const full = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        await walk(full);
+      } else if (!dirent.name.endsWith('.json')) {
+        try {
+          const st = await fs.stat(full);
+          entries.push({ path: full, bytes: st.size, mtimeMs: st.mtimeMs, atimeMs: st.atimeMs });
+        } catch {}
+      }
+    }
+  };
+  await walk(CACHE_DIR);
+  return entries;
+}
+
+async function readMeta(entry) {
+  try {
+    return JSON.parse(await fs.readFile(metaPath(entry.path), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+async function removeEntry(entry) {
+  await fs.unlink(entry.path).catch(() => {});
+  await fs.unlink(metaPath(entry.path)).catch(() => {});
+}
+
+/* ------------------ SWEEPER ------------------ */
+/**
+ * Delete expired entries, then evict least-recently-used entries until the
+ * cache fits in MAX_BYTES. Concurrent callers share one run.
+ */
+export function sweepCache() {
+  if (counters.sweeping) return counters.sweeping;
+
+  counters.sweeping = (async () => {
+    const startedAt = Date.now();
+    const entries = await listEntries();
+    let expired = 0;
+    let evicted = 0;
+    let freedBytes = 0;
+
+    const live = [];
+    for (const entry of entries) {
+      if (startedAt - entry.mtimeMs > TTL_MS) {
+        await removeEntry(entry);
+        expired++;
+        freedBytes += entry.bytes;
+      } else {
+        live.push(entry);
+      }
+    }
+
+    let totalBytes = live.reduce((sum, e) => sum + e.bytes, 0);
+    live.sort((a, b) => a.atimeMs - b.atimeMs);
+    for (const entry of live) {
+      if (totalBytes <= MAX_BYTES) break;
+      await removeEntry(entry);
+      evicted++;
+      totalBytes -= entry.bytes;
+      freedBytes += entry.bytes;
+    }
+
+    counters.lastSweep = { finishedAt: Date.now(), expired, evicted, freedBytes, remainingBytes: totalBytes };
+    console.log(`TTS cache sweep: ${expired} expired, ${evicted} evicted, ${freedBytes} bytes freed`);
+    return counters.lastSweep;
+  })().finally(() => {
+    counters.sweeping = null;
+  });
+
+  return counters.sweeping;
+}
+
+/* ------------------ ADMIN ------------------ */
+const AGE_BUCKETS = [
+  ['<1h', 60 * 60 * 1000],
+  ['1h-1d', 24 * 60 * 60 * 1000],
+  ['1d-7d', 7 * 24 * 60 * 60 * 1000],
+  ['7d-30d', 30 * 24 * 60 * 60 * 1000],
+  ['>30d', Infinity],
+];
+
+export async function getCacheStats() {
+  const entries = await listEntries();
+  const now = Date.now();
+  const ages = Object.fromEntries(AGE_BUCKETS.map(([label]) => [label, 0]));
+  for (const entry of entries) {
+    const age = now - entry.mtimeMs;
+    const [label] = AGE_BUCKETS.find(([, max]) => age < max);
+    ages[label]++;
+  }
+
+  const lookups = counters.hits + counters.misses;
+  return {
+    entries: entries.length,
+    bytes: entries.reduce((sum, e) => sum + e.bytes, 0),
+    maxBytes: MAX_BYTES,
+    ttlHours: TTL_HOURS,
+    hits: counters.hits,
+    misses: counters.misses,
+    hitRate: lookups ? Math.round((counters.hits / lookups) * 1000) / 1000 : null,
+    ageHistogram: ages,
+    lastSweep: counters.lastSweep,
+  };
+}
+
+/**
+ * Remove entries matching { voice, userId }; with no filter, everything.
+ * Per-line entries are shared across users and carry no userId.
+ */
+export async function purgeCache({ voice, userId } = {}) {
+  const entries = await listEntries();
+  let removed = 0;
+  let freedBytes = 0;
+
+  for (const entry of entries) {
+    if (voice || userId) {
+      const meta = await readMeta(entry);
+      if (voice && meta.voice !== voice) continue;
+      if (userId && meta.userId !== userId) continue;
+    }
+    await removeEntry(entry);
+    removed++;
+    freedBytes += entry.bytes;
+  }
+
+  console.log(`TTS cache purge (${JSON.stringify({ voice, userId })}): ${removed} entries, ${freedBytes} bytes`);
+  return { removed, freedBytes };
+}
@@ -0,0 +1,86 @@
+// lib/tts/errors.js
+// Classified TTS errors. Providers and the pipeline throw TTSError so the
+// route can decide on retries and HTTP status without parsing messages.
+
+export class TTSError extends Error {
+  constructor(message, { code = 'tts_failed', status = 500, retryable = false, retryAfterMs, userMessage } = {}) {
+    super(message);
+    this.name = 'TTSError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    this.userMessage = userMessage || 'TTS generation failed';
+  }
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : undefined;
+}
+
+/**
+ * Classify a non-2xx provider response.
+ */
+export function providerHttpError(providerName, response) {
+  const status = response.status;
+  const message = `${providerName} API error: ${status}`;
+
+  if (status === 429) {
+    return new TTSError(message, {
+      code: 'provider_rate_limited',
+      status: 429,
+      retryable: true,
+      retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+      userMessage: 'TTS service is temporarily busy, please try again',
+    });
+  }
+
+  if (status === 401 || status === 402 || status === 403) {
+    return new TTSError(message, {
+      code: 'provider_auth',
+      status: 503,
+      userMessage: 'TTS service configuration error',
+    });
+  }
+
+  if (status === 408 || status >= 500) {
+    return new TTSError(message, {
+      code: 'provider_unavailable',
+      status: 503,
+      retryable: true,
+      retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+      userMessage: 'TTS service is temporarily unavailable, please try again',
+    });
+  }
+
+  return new TTSError(message, {
+    code: 'provider_rejected',
+    status: 422,
+    userMessage: 'TTS service rejected the text, please try different text',
+  });
+}
+
+/**
+ * Classify a thrown fetch/network error.
+ */
+export function providerNetworkError(providerName, error) {
+  if (error?.name === 'TimeoutError' || error?.name === 'AbortError') {
+    return new TTSError(`${providerName} request timed out`, {
+      code: 'provider_timeout',
+      status: 504,
+      retryable: true,
+      userMessage: 'TTS generation timed out, please try again',
+    });
+  }
+  return new TTSError(`${providerName} request failed: ${error?.message}`, {
+    code: 'provider_unavailable',
+    status: 503,
+    retryable: true,
+    userMessage: 'TTS service is temporarily unavailable, please try again',
+  });
+}
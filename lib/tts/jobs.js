@@ -0,0 +1,211 @@
+// lib/tts/jobs.js
+// Background multi-voice TTS jobs with per-segment progress.
+// Job state lives in memory for live progress events and is mirrored to
+// disk so status and audio outlive a browser refresh.
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { TEMP_DIR, generateMultiVoiceAudio } from "./pipeline";
+import { OUTPUT_FORMATS } from "../audio/encode";
+import { recordUsage } from "../metering";
+
+const JOBS_DIR = path.join(TEMP_DIR, 'tts-jobs');
+const JOB_TTL_MS = Number(process.env.TTS_JOB_TTL_HOURS || 24) * 60 * 60 * 1000;
+const JOB_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// Route bundles may each load their own copy of this module; share one store per process
+const store = globalThis.__scenaryozeTtsJobs || (globalThis.__scenaryozeTtsJobs = {
+  jobs: new Map(),
+  writes: new Map(),
+  emitter: new EventEmitter(),
+});
+store.emitter.setMaxListeners(0);
+
+/* ------------------ PERSISTENCE ------------------ */
+function jobFile(id) {
+  return path.join(JOBS_DIR, `${id}.json`);
+}
+
+function audioFile(job) {
+  return path.join(JOBS_DIR, `${job.id}.${OUTPUT_FORMATS[job.format]?.ext || 'mp3'}`);
+}
+
+// Serialize writes per job so a slow write never overwrites a newer state
+function persist(job) {
+  const snapshot = JSON.stringify(job);
+  const previous = store.writes.get(job.id) || Promise.resolve();
+  const write = previous
+    .then(() => fs.mkdir(JOBS_DIR, { recursive: true }))
+    .then(() => fs.writeFile(jobFile(job.id), snapshot))
+    .catch((error) => console.warn('Job state write failed:', job.id, error.message))
+    .then(() => {
+      if (store.writes.get(job.id) === write) store.writes.delete(job.id);
+    });
+  store.writes.set(job.id, write);
+  return write;
+}
+
+async function sweepExpiredJobs() {
+  let names = [];
+  try {
+    names = await fs.readdir(JOBS_DIR);
+  } catch {
+    return;
+  }
+
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const name of names) {
+    const filePath = path.join(JOBS_DIR, name);
+    try {
+      const st = await fs.stat(filePath);
+      if (st.mtimeMs < cutoff) {
+        await fs.unlink(filePath);
+        store.jobs.delete(path.parse(name).name);
+      }
+    } catch {}
+  }
+}
+
+/* ------------------ STATE ------------------ */
+// What the status endpoints may show: everything but the owner
+function publicView(job) {
+  const view = { ...job };
+  delete view.userId;
+  return view;
+}
+
+function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  persist(job);
+  store.emitter.emit(job.id, publicView(job));
+}
+
+function recordSegmentProgress(job, { index, status, cached, error }) {
+  // A finished job's segment list is final
+  if (job.status !== 'running') return;
+  job.segments[index] = { index, status, ...(cached !== undefined && { cached }), ...(error && { error }) };
+  updateJob(job, {
+    completed: job.segments.filter((s) => s.status === 'done').length,
+  });
+}
+
+async function runJob(job, segments, options) {
+  updateJob(job, { status: 'running' });
+
+  let synthesizedCharacters = 0;
+  try {
+    const result = await generateMultiVoiceAudio(segments, {
+      ...options,
+      onProgress: (progress) => recordSegmentProgress(job, progress),
+    });
+
+    await fs.mkdir(JOBS_DIR, { recursive: true });
+    await fs.writeFile(audioFile(job), result.audio);
+    synthesizedCharacters = result.synthesizedCharacters;
+
+    updateJob(job, {
+      status: 'completed',
+      audioUrl: `/api/tts/jobs/${job.id}/audio`,
+      bytes: result.audio.length,
+      contentType: OUTPUT_FORMATS[job.format].contentType,
+      loudness: result.loudness,
+      providers: result.providers,
+      speakerTimings: result.speakerTimings,
+      lineCache: result.lineCache,
+    });
+    console.log(`TTS job ${job.id} completed: ${result.audio.length} bytes`);
+  } catch (error) {
+    console.error(`TTS job ${job.id} failed:`, error.message);
+    updateJob(job, {
+      status: 'failed',
+      error: error.userMessage || 'TTS generation failed',
+      errorCode: error.code || 'tts_failed',
+    });
+    return;
+  }
+
+  // The audio is already delivered; a metering failure is only logged
+  try {
+    await recordUsage(job, 'ttsCharacters', synthesizedCharacters);
+  } catch (error) {
+    console.error(`TTS job ${job.id} usage not recorded:`, error.message);
+  }
+}
+
+/* ------------------ PUBLIC API ------------------ */
+/**
+ * Queue a multi-voice job and start it in the background.
+ * `segments` must already be validated by validateTTSRequest.
+ */
+export async function createJob(segments, { provider, bypass = false, userId = 'anon', output, timing, lexicon, music } = {}) {
+  sweepExpiredJobs().catch(() => {});
+
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    status: 'queued',
+    userId,
+    createdAt: now,
+    updatedAt: now,
+    format: output?.format || 'mp3',
+    total: segments.length,
+    completed: 0,
+    segments: segments.map((_, index) => ({ index, status: 'pending' })),
+    error: null,
+    audioUrl: null,
+  };
+
+  store.jobs.set(job.id, job);
+  await persist(job);
+
+  runJob(job, segments, { provider, bypass, output, timing, lexicon, music });
+
+  return publicView(job);
+}
+
+export async function getJob(id) {
+  if (!JOB_ID_PATTERN.test(id || '')) return null;
+
+  const live = store.jobs.get(id);
+  if (live) return publicView(live);
+
+  try {
+    const job = JSON.parse(await fs.readFile(jobFile(id), 'utf8'));
+    // Persisted as in-flight but no longer running in this process
+    if (job.status === 'queued' || job.status === 'running') {
+      job.status = 'failed';
+      job.error = 'Job was interrupted by a server restart';
+      job.errorCode = 'job_interrupted';
+    }
+    return publicView(job);
+  } catch {
+    return null;
+  }
+}
+
+// Synchronous view of a job running in this process (null otherwise)
+export function peekJob(id) {
+  const live = store.jobs.get(id);
+  return live ? publicView(live) : null;
+}
+
+export async function readJobAudio(job) {
+  try {
+    return await fs.readFile(audioFile(job));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Listen for state changes of a live job. Returns an unsubscribe function.
+ */
+export function subscribeToJob(id, listener) {
+  store.emitter.on(id, listener);
+  return () => store.emitter.off(id, listener);
+}
+
+export function isFinished(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
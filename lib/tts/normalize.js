@@ -0,0 +1,272 @@
+// lib/tts/normalize.js
+// Text normalization before synthesis: pronunciation lexicon, then
+// numbers, currency, dates, times and common abbreviations are spelled
+// out. Emotion tags like "(excited)" are passed through untouched.
+import { promises as fs } from "fs";
+import { createHash } from "crypto";
+
+// Bump when the expansion rules change so cached audio is regenerated
+const NORMALIZER_VERSION = 1;
+
+const MAX_LEXICON_ENTRIES = 500;
+
+// Fish Audio emotion tags: a short word or phrase in parentheses
+const EMOTION_TAG = /(\([A-Za-z][A-Za-z\s'-]{0,40}\))/;
+
+/* ------------------ NUMBERS ------------------ */
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+  'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = [[1e12, 'trillion'], [1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']];
+
+const ORDINAL_WORDS = {
+  one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth',
+  nine: 'ninth', twelve: 'twelfth',
+};
+
+function underHundred(n) {
+  if (n < 20) return ONES[n];
+  return TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : '');
+}
+
+function underThousand(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  if (!hundreds) return underHundred(rest);
+  return `${ONES[hundreds]} hundred${rest ? ` ${underHundred(rest)}` : ''}`;
+}
+
+export function numberToWords(n) {
+  if (!Number.isSafeInteger(n)) return String(n);
+  if (n < 0) return `minus ${numberToWords(-n)}`;
+  if (n < 1000) return underThousand(n);
+
+  const parts = [];
+  let rest = n;
+  for (const [value, name] of SCALES) {
+    if (rest >= value) {
+      parts.push(`${underThousand(Math.floor(rest / value))} ${name}`);
+      rest %= value;
+    }
+  }
+  if (rest) parts.push(underThousand(rest));
+  return parts.join(' ');
+}
+
+export function ordinalToWords(n) {
+  const words = numberToWords(n);
+  return words.replace(/([a-z]+)$/, (last) => {
+    if (ORDINAL_WORDS[last]) return ORDINAL_WORDS[last];
+    if (last.endsWith('y')) return `${last.slice(0, -1)}ieth`;
+    return `${last}th`;
+  });
+}
+
+// 1999 -> "nineteen ninety-nine", 2005 -> "two thousand five", 2024 -> "twenty twenty-four"
+function yearToWords(year) {
+  if (year % 1000 < 10 || year < 1100 || year >= 10000) return numberToWords(year);
+  const high = Math.floor(year / 100);
+  const low = year % 100;
+  if (!low) return `${underHundred(high)} hundred`;
+  return `${underHundred(high)} ${low < 10 ? `oh ${ONES[low]}` : underHundred(low)}`;
+}
+
+function decimalToWords(text) {
+  const [whole, fraction] = text.replace(/,/g, '').split('.');
+  const head = numberToWords(Number(whole));
+  if (!fraction) return head;
+  return `${head} point ${fraction.split('').map((d) => ONES[Number(d)]).join(' ')}`;
+}
+
+/* ------------------ RULES ------------------ */
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const CURRENCIES = {
+  '$': ['dollar', 'dollars', 'cent', 'cents'],
+  '€': ['euro', 'euros', 'cent', 'cents'],
+  '£': ['pound', 'pounds', 'penny', 'pence'],
+};
+
+const SCALE_SUFFIXES = { k: 'thousand', m: 'million', mm: 'million', b: 'billion', bn: 'billion' };
+
+// Only expansions that are unambiguous in training scripts
+const ABBREVIATIONS = [
+  [/\bMr\./g, 'Mister'],
+  [/\bMrs\./g, 'Missus'],
+  [/\bMs\./g, 'Miz'],
+  [/\bDr\./g, 'Doctor'],
+  [/\bProf\./g, 'Professor'],
+  [/\bSt\.(?=\s+[A-Z])/g, 'Saint'],
+  [/\be\.g\./gi, 'for example'],
+  [/\bi\.e\./gi, 'that is'],
+  [/\betc\./gi, 'et cetera'],
+  [/\bvs\.?(?=\s)/gi, 'versus'],
+  [/\bapprox\./gi, 'approximately'],
+  [/\bdept\./gi, 'department'],
+  [/\bno\.(?=\s*\d)/gi, 'number'],
+  [/\bw\/(?=\s)/g, 'with'],
+  [/&/g, ' and '],
+];
+
+function currencyToWords(symbol, amount, suffix) {
+  const [unit, units, sub, subs] = CURRENCIES[symbol];
+  const clean = amount.replace(/,/g, '');
+
+  if (suffix) {
+    return `${decimalToWords(clean)} ${SCALE_SUFFIXES[suffix.toLowerCase()]} ${units}`;
+  }
+
+  const [whole, fraction = ''] = clean.split('.');
+  const major = Number(whole);
+  const minor = Number(fraction.padEnd(2, '0').slice(0, 2));
+  const parts = [];
+  if (major || !minor) parts.push(`${numberToWords(major)} ${major === 1 ? unit : units}`);
+  if (minor) parts.push(`${numberToWords(minor)} ${minor === 1 ? sub : subs}`);
+  return parts.join(' and ');
+}
+
+function timeToWords(hours, minutes, meridiem) {
+  const h = Number(hours);
+  const m = Number(minutes);
+  let words = numberToWords(h);
+  if (m === 0) words += meridiem ? '' : " o'clock";
+  else words += m < 10 ? ` oh ${ONES[m]}` : ` ${underHundred(m)}`;
+  if (meridiem) words += ` ${meridiem.replace(/\./g, '').toUpperCase().split('').join(' ')}`;
+  return words;
+}
+
+function dateToWords(year, month, day) {
+  const monthName = MONTHS[month - 1];
+  if (!monthName || day < 1 || day > 31) return null;
+  return `${monthName} ${ordinalToWords(day)}, ${yearToWords(year)}`;
+}
+
+function expandText(text) {
+  let out = text;
+
+  for (const [pattern, replacement] of ABBREVIATIONS) {
+    out = out.replace(pattern, replacement);
+  }
+
+  // ISO dates 2024-03-15 and US dates 3/15/2024
+  out = out.replace(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, (m, y, mo, d) => dateToWords(Number(y), Number(mo), Number(d)) || m);
+  out = out.replace(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g, (m, mo, d, y) => dateToWords(Number(y), Number(mo), Number(d)) || m);
+
+  // Times 9:30, 10:00 am, 5 p.m.
+  out = out.replace(/\b(\d{1,2}):(\d{2})\s*([ap]\.?m\.?)?(?![\w:])/gi, (m, h, min, mer) =>
+    Number(h) < 24 && Number(min) < 60 ? timeToWords(h, min, mer) : m);
+  out = out.replace(/\b(\d{1,2})\s*([ap]\.m\.|[ap]m\b)/gi, (m, h, mer) =>
+    Number(h) <= 12 ? timeToWords(h, '00', mer) : m);
+
+  // Currency $1,250.50, €3, £2.5m
+  out = out.replace(/([$€£])\s?(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)(?:\s?(bn|mm|[kmb])\b)?/gi,
+    (m, symbol, amount, suffix) => currencyToWords(symbol, amount, suffix));
+
+  // Percentages and ordinals
+  out = out.replace(/\b(\d+(?:\.\d+)?)\s?%/g, (m, n) => `${decimalToWords(n)} percent`);
+  out = out.replace(/\b(\d+)(st|nd|rd|th)\b/gi, (m, n) => ordinalToWords(Number(n)));
+
+  // Four-digit years read as years, other numbers as cardinals
+  out = out.replace(/\b(1[1-9]\d{2}|20\d{2})\b(?![.,]\d)/g, (m, y) => yearToWords(Number(y)));
+  out = out.replace(/\b\d{1,3}(?:,\d{3})+(?:\.\d+)?\b|\b\d+(?:\.\d+)?\b/g, (m) => decimalToWords(m));
+
+  return out.replace(/\s+/g, ' ');
+}
+
+/* ------------------ LEXICON ------------------ */
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Validate a lexicon object { term: spokenForm }.
+ * Returns an error string or null.
+ */
+export function validateLexicon(lexicon) {
+  if (lexicon === undefined || lexicon === null) return null;
+  if (typeof lexicon !== 'object' || Array.isArray(lexicon)) {
+    return 'Lexicon must be an object mapping terms to spoken forms';
+  }
+  const entries = Object.entries(lexicon);
+  if (entries.length > MAX_LEXICON_ENTRIES) {
+    return `Lexicon cannot exceed ${MAX_LEXICON_ENTRIES} entries`;
+  }
+  for (const [term, spoken] of entries) {
+    if (!term.trim() || term.length > 100 || typeof spoken !== 'string' || spoken.length > 200) {
+      return `Invalid lexicon entry: ${term.slice(0, 40)}`;
+    }
+  }
+  return null;
+}
+
+// Terms with capitals (acronyms, product names) match case-sensitively;
+// lowercase terms match any casing. Longer terms win over their prefixes.
+function compileLexicon(lexicon) {
+  return Object.entries(lexicon)
+    .sort(([a], [b]) => b.length - a.length)
+    .map(([term, spoken]) => ({
+      pattern: new RegExp(`(?<![\\w-])${escapeRegExp(term.trim())}(?![\\w-])`, /[A-Z]/.test(term) ? 'g' : 'gi'),
+      spoken,
+    }));
+}
+
+function applyLexicon(text, rules) {
+  let out = text;
+  for (const { pattern, spoken } of rules) {
+    out = out.replace(pattern, spoken);
+  }
+  return out;
+}
+
+// Project-wide lexicon file, read once: TTS_LEXICON_PATH=./lexicon.json
+let defaultLexiconPromise = null;
+
+function loadDefaultLexicon() {
+  if (!defaultLexiconPromise) {
+    const file = process.env.TTS_LEXICON_PATH?.trim();
+    defaultLexiconPromise = !file
+      ? Promise.resolve({})
+      : fs.readFile(file, 'utf8')
+        .then((raw) => {
+          const lexicon = JSON.parse(raw);
+          const error = validateLexicon(lexicon);
+          if (error) throw new Error(error);
+          console.log(`Loaded ${Object.keys(lexicon).length} lexicon entries from ${file}`);
+          return lexicon;
+        })
+        .catch((error) => {
+          console.warn(`Could not load lexicon ${file}:`, error.message);
+          return {};
+        });
+  }
+  return defaultLexiconPromise;
+}
+
+/* ------------------ PUBLIC API ------------------ */
+/**
+ * Build a normalizer for one request. The request lexicon overrides the
+ * project lexicon entry by entry. `version` identifies the rules plus the
+ * lexicon contents and belongs in any cache key built from the output.
+ */
+export async function createNormalizer(requestLexicon = {}) {
+  const lexicon = { ...(await loadDefaultLexicon()), ...requestLexicon };
+  const rules = compileLexicon(lexicon);
+  const digest = createHash('sha256')
+    .update(JSON.stringify(Object.entries(lexicon).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))))
+    .digest('hex')
+    .slice(0, 12);
+
+  return {
+    version: `n${NORMALIZER_VERSION}-${digest}`,
+    normalize(text) {
+      // Odd indexes are emotion tags, kept verbatim
+      return text
+        .split(EMOTION_TAG)
+        .map((part, i) => (i % 2 ? part : expandText(applyLexicon(part, rules))))
+        .join('')
+        .replace(/\s+/g, ' ')
+        .trim();
+    },
+  };
+}
@@ -0,0 +1,874 @@
+// lib/tts/pipeline.js
+// TTS request validation and the single/multi-voice synthesis pipeline.
+// Shared by the synchronous /api/tts route and the background job runner.
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import { spawn } from "child_process";
+import path from "path";
+import { PROVIDERS, VOICE_NAMES, resolveProvider, synthesizeSpeech } from "./providers";
+import { CACHE_DIR, sha256, shardPath, readFreshFileIfAny, writeCacheFile } from "./cache";
+import { createNormalizer, validateLexicon } from "./normalize";
+import { splitLongText } from "./split";
+import { parseMusicOptions, findMusicBed, mixMusicBed } from "../audio/music";
+import { listSoundEffects, validateSfxCues, overlaySoundEffects } from "../audio/sfx";
+import { TTSError } from "./errors";
+import { findFFmpegPath, probeAudio } from "../audio/ffmpeg";
+import { OUTPUT_FORMATS, parseOutputOptions, isPassthrough, encodeOutput } from "../audio/encode";
+import { mapWithConcurrency, withRetry } from "../async";
+
+/* ------------------ CONFIG ------------------ */
+const DEFAULT_VOICE = "brittany";
+
+export const TEMP_DIR = process.env.NODE_ENV === 'production' ? '/tmp' : path.join(process.cwd(), '.next', 'temp');
+
+const DEFAULT_OUTPUT = { format: 'mp3', sampleRate: null, channels: null, loudness: null };
+
+// Silence inserted around lines and how lines are joined, overridable per request via `timing`.
+// crossfade overlaps directly adjacent lines; microFade is an equal-power fade at every line edge.
+const DEFAULT_TIMING = { leadIn: 0.2, speakerChangeGap: 0.3, sameSpeakerGap: 0, crossfade: 0, microFade: 0.005 };
+const TIMING_LIMITS = {
+  leadIn: 10,
+  speakerChangeGap: 10,
+  sameSpeakerGap: 10,
+  crossfade: 0.5,
+  microFade: 0.05,
+};
+const MAX_PAUSE_SECONDS = 30;
+
+// Lines are joined as PCM at this rate unless the output asks for another
+const DEFAULT_SAMPLE_RATE = 44100;
+
+// Provider request limit; longer lines are split at sentence boundaries and stitched
+const MAX_SYNTH_CHARS = 4096;
+// Sanity bounds per request; the plan's maxChars is normally the tighter limit
+const MAX_TEXT_CHARS = 100000;
+const MAX_SEGMENTS = 1000;
+// Lines joined per ffmpeg pass; longer scripts are joined in batches
+const SEGMENT_BATCH_SIZE = 50;
+
+// Parallel provider calls per multi-voice request, and retries per call
+const SYNTH_CONCURRENCY = Math.max(1, Number(process.env.TTS_CONCURRENCY || 4));
+const SYNTH_RETRIES = Math.max(0, Number(process.env.TTS_MAX_RETRIES || 3));
+
+/* ------------------ UTILS ------------------ */
+function normalizeSpaces(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+export function generateTempId() {
+  return createHash('md5')
+    .update(Date.now() + Math.random().toString())
+    .digest('hex')
+    .slice(0, 12);
+}
+
+export async function ensureDir(dir) {
+  try {
+    await fs.mkdir(dir, { recursive: true });
+  } catch (error) {
+    console.warn('Directory creation failed:', error);
+  }
+}
+
+export async function cleanupFile(filePath) {
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    console.warn('File cleanup failed:', filePath);
+  }
+}
+
+/* ------------------ VALIDATION ------------------ */
+function validateProvider(voice, requested) {
+  if (requested !== undefined && typeof requested !== 'string') {
+    return `Provider must be one of: ${Object.keys(PROVIDERS).join(', ')}`;
+  }
+  try {
+    resolveProvider(voice, requested);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function validateSegmentDirectives(segment) {
+  for (const key of ['pauseBefore', 'pauseAfter']) {
+    if (segment[key] !== undefined && !isNumberInRange(segment[key], 0, MAX_PAUSE_SECONDS)) {
+      return `Segment ${key} must be between 0 and ${MAX_PAUSE_SECONDS} seconds`;
+    }
+  }
+  if (segment.speed !== undefined && !isNumberInRange(segment.speed, 0.5, 2)) {
+    return 'Segment speed must be between 0.5 and 2';
+  }
+  if (segment.volume !== undefined && !isNumberInRange(segment.volume, -30, 12)) {
+    return 'Segment volume must be between -30 and 12 dB';
+  }
+  return null;
+}
+
+function parseTiming(timing, errors) {
+  const resolved = { ...DEFAULT_TIMING };
+  if (timing === undefined || timing === null) return resolved;
+  if (typeof timing !== 'object') {
+    errors.push('Timing must be an object');
+    return resolved;
+  }
+  for (const [key, max] of Object.entries(TIMING_LIMITS)) {
+    if (timing[key] === undefined) continue;
+    if (!isNumberInRange(timing[key], 0, max)) {
+      errors.push(`Timing ${key} must be between 0 and ${max} seconds`);
+    } else {
+      resolved[key] = timing[key];
+    }
+  }
+  return resolved;
+}
+
+export async function validateTTSRequest(payload) {
+  const errors = [];
+  
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    errors.push('Request body must be a JSON object');
+    return { errors };
+  }
+  
+  const hasSegments = Array.isArray(payload.segments);
+  const { errors: outputErrors, output } = parseOutputOptions(payload);
+  errors.push(...outputErrors);
+  
+  const lexiconError = validateLexicon(payload.lexicon);
+  if (lexiconError) errors.push(lexiconError);
+  const lexicon = lexiconError ? undefined : payload.lexicon || undefined;
+  
+  const { errors: musicErrors, music } = parseMusicOptions(payload.music);
+  errors.push(...musicErrors);
+  
+  if (hasSegments) {
+    if (payload.segments.length === 0) {
+      errors.push('Segments array cannot be empty');
+    }
+    
+    if (payload.segments.length > MAX_SEGMENTS) {
+      errors.push(`Maximum ${MAX_SEGMENTS} segments allowed`);
+    }
+    
+    for (const segment of payload.segments) {
+      if (!segment.text || typeof segment.text !== 'string') {
+        errors.push('Each segment must have a text property');
+        break;
+      }
+      const normalized = normalizeSpaces(segment.text);
+      if (!normalized) {
+        errors.push('Segment text cannot be empty');
+        break;
+      }
+      
+      if (normalized.length > MAX_TEXT_CHARS) {
+        errors.push(`Segment text exceeds ${MAX_TEXT_CHARS} characters`);
+        break;
+      }
+      
+      if (segment.speaker !== undefined && (typeof segment.speaker !== 'string' || !/^[\w\s\-]{1,40}$/.test(segment.speaker))) {
+        errors.push('Segment speaker must be up to 40 letters, digits, spaces or hyphens');
+        break;
+      }
+      
+      const voice = (segment.voice || DEFAULT_VOICE).trim();
+      if (!VOICE_NAMES.includes(voice)) {
+        errors.push(`Invalid voice in segment: ${voice}. Must be one of: ${VOICE_NAMES.join(', ')}`);
+        break;
+      }
+
+      const providerError = validateProvider(voice, segment.provider || payload.provider);
+      if (providerError) {
+        errors.push(providerError);
+        break;
+      }
+
+      const directiveError = validateSegmentDirectives(segment);
+      if (directiveError) {
+        errors.push(directiveError);
+        break;
+      }
+    }
+    
+    const timing = parseTiming(payload.timing, errors);
+    
+    if (!errors.length) {
+      const sfxError = await validateSfxCues(payload.segments);
+      if (sfxError) errors.push(sfxError);
+    }
+    
+    return { errors, isMultiVoice: true, segments: payload.segments, provider: payload.provider, output, timing, lexicon, music };
+  } else {
+    const text = normalizeSpaces(payload.text || '');
+    if (!text) {
+      errors.push('Text parameter is required and cannot be empty');
+    }
+    
+    if (text.length > MAX_TEXT_CHARS) {
+      errors.push(`Text cannot exceed ${MAX_TEXT_CHARS} characters`);
+    }
+    
+    const voice = (payload.voice || DEFAULT_VOICE).trim();
+    if (!VOICE_NAMES.includes(voice)) {
+      errors.push(`Voice must be one of: ${VOICE_NAMES.join(', ')}`);
+    } else {
+      const providerError = validateProvider(voice, payload.provider);
+      if (providerError) errors.push(providerError);
+    }
+    
+    return { errors, isMultiVoice: false, text, voice, provider: payload.provider, output, lexicon, music };
+  }
+}
+
+// Characters a validated request asks for, as counted against plan limits
+export function requestedCharacters(validation) {
+  if (!validation.isMultiVoice) return validation.text.length;
+  return validation.segments.reduce((sum, segment) => sum + normalizeSpaces(segment.text).length, 0);
+}
+
+/* ------------------ SILENCE GENERATION ------------------ */
+// PCM at the join rate so silence never passes through a lossy codec
+async function generateSilenceFile(outputPath, durationSeconds, sampleRate = DEFAULT_SAMPLE_RATE) {
+  const ffmpegPath = findFFmpegPath();
+  
+  return new Promise((resolve) => {
+    const args = [
+      '-f', 'lavfi',
+      '-i', `anullsrc=r=${sampleRate}:cl=stereo`,
+      '-t', durationSeconds.toString(),
+      '-c:a', 'pcm_s16le',
+      '-y',
+      outputPath
+    ];
+
+    const ffmpeg = spawn(ffmpegPath, args);
+    let stderr = '';
+
+    ffmpeg.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffmpeg.on('close', (code) => {
+      const success = code === 0;
+      if (success) {
+        console.log(`Generated ${durationSeconds}s silence file`);
+      } else {
+        console.error('Silence generation failed:', stderr.slice(-500));
+      }
+      resolve({ success, stderr: stderr.slice(-500) });
+    });
+
+    ffmpeg.on('error', (error) => {
+      console.error('FFmpeg spawn error during silence generation:', error);
+      resolve({ success: false, stderr: `Spawn error: ${error.message}` });
+    });
+  });
+}
+
+/* ------------------ AUDIO JOINING ------------------ */
+/**
+ * Join inputs into a PCM WAV intermediate; the final codec is applied once
+ * by renderOutput. Each input is { file, filters?, duration?, fade?, crossfade? }:
+ *   filters   - per-input filters (speed, gain)
+ *   fade      - apply equal-power micro-fades of `microFade` seconds at both ends
+ *   crossfade - overlap with the previous input by this many seconds
+ * Every input is first conformed to `sampleRate` 16-bit stereo; the joined
+ * audio fades in over `fadeIn` seconds.
+ */
+async function concatenateAudioFiles(inputFiles, outputPath, { sampleRate = DEFAULT_SAMPLE_RATE, microFade = 0, fadeIn = 0.1 } = {}) {
+  const ffmpegPath = findFFmpegPath();
+  
+  return new Promise((resolve) => {
+    const inputs = [];
+    const chains = [];
+    const labels = [];
+    const conform = `aresample=${sampleRate},aformat=sample_fmts=s16:sample_rates=${sampleRate}:channel_layouts=stereo`;
+    
+    inputFiles.forEach((input, i) => {
+      const { file, filters = [], duration, fade } = input;
+      inputs.push('-i', file);
+      const chain = [...filters, conform];
+      if (fade && microFade > 0 && duration > microFade * 2) {
+        chain.push(
+          `afade=t=in:st=0:d=${microFade}:curve=qsin`,
+          `afade=t=out:st=${(duration - microFade).toFixed(4)}:d=${microFade}:curve=qsin`
+        );
+      }
+      chains.push(`[${i}:a]${chain.join(',')}[s${i}]`);
+      labels.push(`[s${i}]`);
+    });
+    
+    // Runs of plain joins share one concat; a crossfade closes the run
+    let run = [labels[0]];
+    let runCount = 0;
+    const flush = () => {
+      if (run.length === 1) return run[0];
+      const out = `[r${runCount++}]`;
+      chains.push(`${run.join('')}concat=n=${run.length}:v=0:a=1${out}`);
+      return out;
+    };
+    for (let i = 1; i < inputFiles.length; i++) {
+      const { crossfade } = inputFiles[i];
+      if (crossfade > 0) {
+        const joined = flush();
+        chains.push(`${joined}${labels[i]}acrossfade=d=${crossfade}:c1=qsin:c2=qsin[x${i}]`);
+        run = [`[x${i}]`];
+      } else {
+        run.push(labels[i]);
+      }
+    }
+    chains.push(`${flush()}${fadeIn > 0 ? `afade=t=in:st=0:d=${fadeIn}` : 'anull'}[outa]`);
+    
+    const args = [
+      ...inputs,
+      '-filter_complex', chains.join(';'),
+      '-map', '[outa]',
+      '-c:a', 'pcm_s16le',
+      '-y',
+      outputPath
+    ];
+
+    console.log(`Joining ${inputFiles.length} audio files at ${sampleRate} Hz with FFmpeg`);
+    
+    const ffmpeg = spawn(ffmpegPath, args);
+    let stderr = '';
+
+    ffmpeg.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffmpeg.on('close', (code) => {
+      const success = code === 0;
+      
+      if (success) {
+        console.log('Audio concatenation completed successfully');
+      } else {
+        console.error('Audio concatenation failed with code:', code);
+        console.error('FFmpeg stderr:', stderr.slice(-500));
+      }
+
+      resolve({ success, stderr: stderr.slice(-500) });
+    });
+
+    ffmpeg.on('error', (error) => {
+      console.error('FFmpeg spawn error:', error);
+      resolve({ success: false, stderr: `Spawn error: ${error.message}` });
+    });
+  });
+}
+
+/* ------------------ OUTPUT RENDERING ------------------ */
+/**
+ * Encode an intermediate file into the requested output format,
+ * optionally loudness-normalized. Returns { audio, loudness }.
+ */
+async function renderOutput(inputPath, tempId, output) {
+  const format = OUTPUT_FORMATS[output.format];
+  const outputPath = path.join(TEMP_DIR, `output_${tempId}.${format.ext}`);
+
+  try {
+    const result = await encodeOutput(inputPath, outputPath, output);
+    if (!result.success) {
+      throw new TTSError(`Output encoding failed: ${result.stderr}`, {
+        code: 'encode_failed',
+        userMessage: 'Audio encoding failed, please try again',
+      });
+    }
+    if (result.loudness) {
+      console.log(`Loudness normalized to ${result.loudness.integrated} LUFS / ${result.loudness.truePeak} dBTP`);
+    }
+    return { audio: await fs.readFile(outputPath), loudness: result.loudness };
+  } finally {
+    await cleanupFile(outputPath);
+  }
+}
+
+/* ------------------ MUSIC BED ------------------ */
+/**
+ * Mix the requested library bed under `inputPath` into a new WAV.
+ * Returns the mixed file's path; the caller cleans it up.
+ */
+async function applyMusicBed(inputPath, tempId, music, speechRanges, sampleRate) {
+  const bed = await findMusicBed(music.bed);
+  if (!bed) {
+    throw new TTSError(`Unknown music bed: ${music.bed}`, { code: 'invalid_music', status: 400 });
+  }
+
+  const mixedPath = path.join(TEMP_DIR, `music_${tempId}.wav`);
+  const result = await mixMusicBed(inputPath, bed.file, mixedPath, music, speechRanges, { sampleRate });
+  if (!result.success) {
+    await cleanupFile(mixedPath);
+    throw new TTSError(`Music mix failed: ${result.stderr}`, {
+      code: 'mix_failed',
+      userMessage: 'Adding background music failed, please try again',
+    });
+  }
+  return mixedPath;
+}
+
+/* ------------------ SPEAKER TIMELINE ------------------ */
+function roundTime(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * Tracks where each generated file lands in the joined output.
+ * Files are probed with ffprobe (duration, sample rate, channels); if any
+ * measurement fails the timeline is marked unreliable and the client falls
+ * back to estimation.
+ */
+function createTimeline() {
+  let cursor = 0;
+  let reliable = true;
+  const entries = [];
+  const probes = new Map();
+
+  const measure = async (filePath) => {
+    if (!probes.has(filePath)) probes.set(filePath, await probeAudio(filePath));
+    return probes.get(filePath);
+  };
+
+  return {
+    measure,
+    // Crossfaded inputs start before the previous one ends
+    overlap(seconds) {
+      cursor -= seconds;
+    },
+    async advance(filePath) {
+      const info = await measure(filePath);
+      if (!info) {
+        reliable = false;
+        return;
+      }
+      cursor += info.duration;
+    },
+    async addLine(filePath, speaker, lineIndex, speed = 1) {
+      const startTime = cursor;
+      const info = await measure(filePath);
+      if (!info) {
+        reliable = false;
+      } else {
+        // atempo shortens or stretches the line by 1/speed
+        cursor += info.duration / speed;
+      }
+      entries.push({
+        speaker,
+        lineIndex,
+        startTime: roundTime(startTime),
+        endTime: roundTime(cursor),
+      });
+    },
+    result() {
+      return reliable ? entries : null;
+    },
+  };
+}
+
+/* ------------------ RETRYING SYNTHESIS ------------------ */
+async function synthesizeWithRetry(text, voice, options) {
+  return withRetry(
+    () => synthesizeSpeech(text, voice, options),
+    {
+      retries: SYNTH_RETRIES,
+      onRetry: (error, attempt, delay) => {
+        console.warn(`Retrying ${voice} synthesis (attempt ${attempt}/${SYNTH_RETRIES}) in ${delay}ms: ${error.message}`);
+      },
+    }
+  );
+}
+
+function assertAudioSize(audio, label) {
+  if (audio.length < 100) {
+    throw new TTSError(`${label} generated suspiciously small audio`, {
+      code: 'invalid_audio',
+      status: 422,
+      userMessage: 'Generated audio was invalid, please try different text',
+    });
+  }
+}
+
+/* ------------------ PER-LINE CACHE ------------------ */
+/**
+ * Synthesize one normalized script line (or chunk of a long line) through
+ * the content-addressed cache. The key covers everything that changes the
+ * audio (provider, model, voice, normalizer/lexicon version, text, options)
+ * so unchanged lines are reused across requests and users.
+ */
+async function synthesizeLineCached(text, voice, requestedProvider, bypass, normalizerVersion, options = {}) {
+  const provider = resolveProvider(voice, requestedProvider);
+  const key = sha256(['line', provider.name, provider.model, voice, normalizerVersion, normalizeSpaces(text), JSON.stringify(options)].join(":"));
+  const filePath = shardPath(CACHE_DIR, key, 'mp3');
+
+  if (!bypass) {
+    const hit = await readFreshFileIfAny(filePath);
+    if (hit) {
+      return { audio: hit, provider: provider.name, cached: true };
+    }
+  }
+
+  const { audio } = await synthesizeWithRetry(text, voice, { ...options, provider: provider.name });
+
+  if (audio.length >= 100) {
+    await writeCacheFile(filePath, audio, { kind: 'line', voice, provider: provider.name });
+  }
+
+  return { audio, provider: provider.name, cached: false };
+}
+
+/* ------------------ MULTI-VOICE GENERATION ------------------ */
+async function joinOrThrow(inputs, outputPath, options) {
+  const result = await concatenateAudioFiles(inputs, outputPath, options);
+  if (!result.success) {
+    throw new TTSError(`Audio concatenation failed: ${result.stderr}`, {
+      code: 'concat_failed',
+      userMessage: 'Audio merging failed, please try again',
+    });
+  }
+}
+
+
+/**
+ * Synthesize every segment, join them with pauses and measure the timeline.
+ * `onProgress({ index, status, cached, error })` fires as each line settles.
+ */
+export async function generateMultiVoiceAudio(segments, { provider: defaultProvider, bypass = false, output = DEFAULT_OUTPUT, timing = DEFAULT_TIMING, lexicon, music = null, onProgress } = {}) {
+  const tempId = generateTempId();
+  await ensureDir(TEMP_DIR);
+  
+  const tempFiles = [];
+  const providersUsed = new Set();
+  const timeline = createTimeline();
+  const lineCache = { hits: 0, misses: 0 };
+  let synthesizedCharacters = 0;
+  const outputPath = path.join(TEMP_DIR, `multivoice_${tempId}.wav`);
+  const normalizer = await createNormalizer(lexicon);
+  // Every input is conformed to one PCM format before joining
+  const sampleRate = output.sampleRate || DEFAULT_SAMPLE_RATE;
+  
+  try {
+    // Lines over the provider limit become several chunks; each chunk is
+    // synthesized and cached on its own, then stitched back into its line
+    const chunks = segments.flatMap((segment, index) => {
+      const parts = splitLongText(normalizer.normalize(normalizeSpaces(segment.text)), MAX_SYNTH_CHARS);
+      return parts.map((text, part) => ({ index, part, text }));
+    });
+    const chunkCounts = segments.map((_, i) => chunks.filter((chunk) => chunk.index === i).length);
+    const pending = [...chunkCounts];
+    const lineMissed = segments.map(() => false);
+    
+    console.log(`Generating ${segments.length} voice segments in ${chunks.length} requests (concurrency ${SYNTH_CONCURRENCY})`);
+    
+    // Synthesize every chunk up front; results come back in script order
+    const chunkFiles = await mapWithConcurrency(chunks, SYNTH_CONCURRENCY, async ({ index: i, part, text }) => {
+      const segment = segments[i];
+      const voice = (segment.voice || DEFAULT_VOICE).trim();
+      const label = chunkCounts[i] > 1 ? `Segment ${i + 1} part ${part + 1}/${chunkCounts[i]}` : `Segment ${i + 1}`;
+      
+      console.log(`${label}/${segments.length}: ${voice} - "${text.substring(0, 50)}..."`);
+      
+      let line;
+      try {
+        // Generate TTS with the resolved provider - text includes emotion tags
+        line = await synthesizeLineCached(
+          text,
+          voice,
+          segment.provider || defaultProvider,
+          bypass,
+          normalizer.version
+        );
+        assertAudioSize(line.audio, label);
+      } catch (error) {
+        onProgress?.({ index: i, status: 'failed', error: error.userMessage || error.message });
+        throw error;
+      }
+      
+      const { audio, provider, cached } = line;
+      providersUsed.add(provider);
+      lineCache[cached ? 'hits' : 'misses']++;
+      if (!cached) lineMissed[i] = true;
+      
+      const tempFile = path.join(TEMP_DIR, `segment_${tempId}_${i}_${part}.mp3`);
+      await fs.writeFile(tempFile, audio);
+      tempFiles.push(tempFile);
+      
+      console.log(`${label} ${cached ? 'from cache' : 'generated'}: ${audio.length} bytes`);
+      if (--pending[i] === 0) {
+        onProgress?.({ index: i, status: 'done', cached: !lineMissed[i] });
+      }
+      
+      return tempFile;
+    });
+    
+    // Usage is metered on the script text of each line that needed synthesis
+    segments.forEach((segment, i) => {
+      if (lineMissed[i]) synthesizedCharacters += normalizeSpaces(segment.text).length;
+    });
+    
+    // Stitch split lines back into one file per line
+    const lineFiles = [];
+    for (let i = 0; i < segments.length; i++) {
+      const files = chunkFiles.filter((_, c) => chunks[c].index === i);
+      if (files.length === 1) {
+        lineFiles.push(files[0]);
+        continue;
+      }
+      const stitched = path.join(TEMP_DIR, `line_${tempId}_${i}.wav`);
+      tempFiles.push(stitched);
+      const inputs = [];
+      for (const file of files) {
+        const info = await timeline.measure(file);
+        inputs.push({ file, duration: info?.duration, fade: true });
+      }
+      await joinOrThrow(inputs, stitched, { sampleRate, microFade: timing.microFade, fadeIn: 0 });
+      console.log(`Stitched segment ${i + 1} from ${files.length} parts`);
+      lineFiles.push(stitched);
+    }
+    
+    // Inputs are joined in batches of SEGMENT_BATCH_SIZE lines to keep each
+    // ffmpeg graph small; lines and effects directly following another
+    // audible input in the same batch may crossfade into it
+    const batches = [[]];
+    let previous = null;
+    const pushInput = async (file, { filters = [], speed = 1, audible = true } = {}) => {
+      const info = await timeline.measure(file);
+      const duration = info ? info.duration / speed : null;
+      if (info && (info.sampleRate !== sampleRate || info.channels !== 2)) {
+        console.log(`Conforming ${path.basename(file)} from ${info.sampleRate} Hz/${info.channels}ch to ${sampleRate} Hz stereo`);
+      }
+      const entry = { file, filters, duration, fade: audible };
+      const { crossfade } = timing;
+      if (audible && crossfade > 0 && previous?.audible &&
+          duration > crossfade * 2 && previous.duration > crossfade * 2) {
+        entry.crossfade = crossfade;
+        timeline.overlap(crossfade);
+      }
+      batches[batches.length - 1].push(entry);
+      previous = { audible, duration };
+    };
+    
+    // One silence file per distinct duration, reused wherever that gap occurs
+    const silenceFiles = new Map();
+    const addSilence = async (seconds, label) => {
+      const duration = Math.round(seconds * 1000) / 1000;
+      if (duration <= 0) return;
+      if (!silenceFiles.has(duration)) {
+        const file = path.join(TEMP_DIR, `silence_${tempId}_${silenceFiles.size}.wav`);
+        const result = await generateSilenceFile(file, duration, sampleRate);
+        if (result.success) {
+          tempFiles.push(file);
+        } else {
+          console.warn(`Failed to generate ${duration}s silence, continuing without it`);
+        }
+        silenceFiles.set(duration, result.success ? file : null);
+      }
+      const file = silenceFiles.get(duration);
+      if (!file) return;
+      await pushInput(file, { audible: false });
+      await timeline.advance(file);
+      console.log(`Added ${duration}s ${label}`);
+    };
+    
+    // Inline effects join the concat list; overlays are mixed in afterwards
+    const effectFiles = new Map((await listSoundEffects()).map((effect) => [effect.id, effect.file]));
+    const overlayCues = [];
+    const addInlineEffects = async (cues, label) => {
+      for (const cue of cues) {
+        const file = effectFiles.get(cue.name.toLowerCase());
+        await pushInput(file, { filters: cue.gain ? [`volume=${cue.gain}dB`] : [] });
+        await timeline.advance(file);
+        console.log(`Added sound effect ${cue.name} ${label}`);
+      }
+    };
+    
+    // Lead-in silence prevents an audio click at the start
+    await addSilence(timing.leadIn, 'lead-in silence');
+    
+    let lastSpeaker = null;
+    
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      const voice = (segment.voice || DEFAULT_VOICE).trim();
+      const speaker = segment.speaker || voice;
+      
+      // Gap between lines depends on whether the speaker changes, plus any [PAUSE]
+      let gap = segment.pauseBefore || 0;
+      if (i > 0) gap += lastSpeaker !== speaker ? timing.speakerChangeGap : timing.sameSpeakerGap;
+      await addSilence(gap, `pause before segment ${i + 1}`);
+      
+      const cues = segment.sfx || [];
+      await addInlineEffects(cues.filter((cue) => !cue.overlay && !cue.after), `before segment ${i + 1}`);
+      for (const cue of cues.filter((c) => c.overlay)) overlayCues.push({ ...cue, lineIndex: i });
+      
+      const speed = segment.speed || 1;
+      const filters = [];
+      if (speed !== 1) filters.push(`atempo=${speed}`);
+      if (segment.volume) filters.push(`volume=${segment.volume}dB`);
+      
+      await pushInput(lineFiles[i], { filters, speed });
+      await timeline.addLine(lineFiles[i], speaker, i, speed);
+      
+      await addInlineEffects(cues.filter((cue) => cue.after), `after segment ${i + 1}`);
+      await addSilence(segment.pauseAfter || 0, `pause after segment ${i + 1}`);
+      
+      lastSpeaker = speaker;
+      
+      if ((i + 1) % SEGMENT_BATCH_SIZE === 0 && i + 1 < segments.length) {
+        batches.push([]);
+        previous = null;
+      }
+    }
+    
+    // Join each batch, then the batches end to end
+    const joinOptions = { sampleRate, microFade: timing.microFade };
+    if (batches.length === 1) {
+      console.log(`Concatenating ${batches[0].length} files`);
+      await joinOrThrow(batches[0], outputPath, joinOptions);
+    } else {
+      const batchFiles = [];
+      for (const [b, inputs] of batches.entries()) {
+        const batchPath = path.join(TEMP_DIR, `batch_${tempId}_${b}.wav`);
+        tempFiles.push(batchPath);
+        console.log(`Concatenating batch ${b + 1}/${batches.length}: ${inputs.length} files`);
+        await joinOrThrow(inputs, batchPath, { ...joinOptions, fadeIn: b === 0 ? 0.1 : 0 });
+        batchFiles.push({ file: batchPath });
+      }
+      await joinOrThrow(batchFiles, outputPath, { sampleRate, fadeIn: 0 });
+    }
+    
+    const speakerTimings = timeline.result();
+    let mixInput = outputPath;
+    
+    // Overlaid effects sit under their line, so they need the measured timeline
+    if (overlayCues.length && !speakerTimings) {
+      console.warn(`Skipping ${overlayCues.length} overlaid sound effects: line timings unavailable`);
+    } else if (overlayCues.length) {
+      const overlays = overlayCues.map((cue) => {
+        const line = speakerTimings.find((t) => t.lineIndex === cue.lineIndex);
+        return {
+          file: effectFiles.get(cue.name.toLowerCase()),
+          start: line.startTime,
+          duration: line.endTime - line.startTime,
+          gain: cue.gain,
+        };
+      });
+      const sfxPath = path.join(TEMP_DIR, `sfx_${tempId}.wav`);
+      tempFiles.push(sfxPath);
+      const overlayResult = await overlaySoundEffects(mixInput, sfxPath, overlays, { sampleRate });
+      if (!overlayResult.success) {
+        throw new TTSError(`Sound effect overlay failed: ${overlayResult.stderr}`, {
+          code: 'mix_failed',
+          userMessage: 'Adding sound effects failed, please try again',
+        });
+      }
+      mixInput = sfxPath;
+    }
+    
+    // Duck the music bed around the measured lines (sidechain if unmeasured)
+    if (music) {
+      const ranges = (speakerTimings || []).map((t) => ({ start: t.startTime, end: t.endTime }));
+      mixInput = await applyMusicBed(mixInput, tempId, music, ranges, sampleRate);
+      tempFiles.push(mixInput);
+    }
+    
+    // Encode once into the requested format
+    const { audio: finalAudio, loudness } = await renderOutput(mixInput, tempId, output);
+    assertAudioSize(finalAudio, 'Final concatenation');
+    
+    console.log(`Multi-voice audio generated successfully: ${finalAudio.length} bytes ${output.format} (line cache: ${lineCache.hits} hits, ${lineCache.misses} misses)`);
+    
+    return {
+      audio: finalAudio,
+      format: output.format,
+      loudness,
+      providers: Array.from(providersUsed),
+      speakerTimings,
+      lineCache,
+      synthesizedCharacters,
+    };
+    
+  } finally {
+    // Cleanup temp files
+    for (const file of tempFiles) {
+      await cleanupFile(file);
+    }
+    await cleanupFile(outputPath);
+  }
+}
+
+/* ------------------ SINGLE VOICE GENERATION ------------------ */
+export async function generateSingleVoiceAudio(text, voice, { provider: requestedProvider, bypass = false, userId = 'anon', output = DEFAULT_OUTPUT, lexicon, music = null } = {}) {
+  const provider = resolveProvider(voice, requestedProvider);
+  const normalizer = await createNormalizer(lexicon);
+  const rawText = text;
+  text = normalizer.normalize(text);
+
+  // Too long for one request: synthesize as one split-and-stitched line
+  if (text.length > MAX_SYNTH_CHARS) {
+    console.log(`Single-voice text is ${text.length} characters, splitting into chunks`);
+    const result = await generateMultiVoiceAudio([{ text: rawText, voice }], {
+      provider: provider.name,
+      bypass,
+      output,
+      timing: { ...DEFAULT_TIMING, leadIn: 0 },
+      lexicon,
+      music,
+    });
+    return {
+      audio: result.audio,
+      format: result.format,
+      loudness: result.loudness,
+      cached: result.synthesizedCharacters === 0,
+      providers: result.providers,
+      synthesizedCharacters: result.synthesizedCharacters,
+    };
+  }
+  // The cache holds the provider's MP3; output encoding is applied afterwards
+  const key = sha256([userId, provider.name, voice, normalizer.version, 'mp3', text].join(":"));
+  const filePath = shardPath(CACHE_DIR, key, 'mp3');
+
+  let audio = null;
+  let cached = false;
+
+  // Try cache first (unless bypassed)
+  if (!bypass) {
+    audio = await readFreshFileIfAny(filePath);
+    cached = !!audio;
+    if (cached) console.log('Cache hit for single-voice TTS');
+  }
+
+  if (!audio) {
+    console.log(`Generating single-voice TTS with ${provider.name}`);
+    
+    ({ audio } = await synthesizeWithRetry(text, voice, { provider: provider.name }));
+    assertAudioSize(audio, 'Single-voice TTS');
+
+    // Cache the result
+    await writeCacheFile(filePath, audio, { kind: 'single', voice, userId, provider: provider.name });
+  }
+
+  if (isPassthrough(output) && !music) {
+    return { audio, format: 'mp3', loudness: null, cached, providers: [provider.name], synthesizedCharacters: cached ? 0 : text.length };
+  }
+
+  const tempId = generateTempId();
+  await ensureDir(TEMP_DIR);
+  const rawPath = path.join(TEMP_DIR, `single_${tempId}.mp3`);
+  let mixedPath = null;
+
+  try {
+    await fs.writeFile(rawPath, audio);
+    // One continuous line: let the voice key the ducking
+    if (music) mixedPath = await applyMusicBed(rawPath, tempId, music, [], output.sampleRate || DEFAULT_SAMPLE_RATE);
+    const rendered = await renderOutput(mixedPath || rawPath, tempId, output);
+    return { ...rendered, format: output.format, cached, providers: [provider.name], synthesizedCharacters: cached ? 0 : text.length };
+  } finally {
+    await cleanupFile(rawPath);
+    if (mixedPath) await cleanupFile(mixedPath);
+  }
+}
@@ -0,0 +1,119 @@
+// lib/tts/providers/espeak-ng.js
+// Offline espeak-ng adapter - runs locally, no API key required
+import { spawn } from "child_process";
+import { accessSync, constants } from "fs";
+import path from "path";
+import { runFFmpeg } from "../../audio/ffmpeg";
+import { TTSError } from "../errors";
+import { providerVoiceMap } from "../../voices";
+
+// Character voices mapped to espeak-ng voice variants (see lib/voices.js)
+const ESPEAK_VOICE_MAP = providerVoiceMap('espeak-ng');
+
+const DEFAULT_WPM = 165;
+
+function findEspeakPath() {
+  return process.env.ESPEAK_NG_PATH?.trim() || 'espeak-ng';
+}
+
+function isExecutable(filePath) {
+  try {
+    accessSync(filePath, constants.X_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Looked up once per process: a bare name is searched on PATH
+let installed = null;
+function espeakInstalled() {
+  if (installed === null) {
+    const bin = findEspeakPath();
+    installed = bin.includes(path.sep)
+      ? isExecutable(bin)
+      : (process.env.PATH || '').split(path.delimiter).some((dir) => dir && isExecutable(path.join(dir, bin)));
+    if (!installed) console.warn(`espeak-ng not found (${bin}); offline TTS fallback disabled`);
+  }
+  return installed;
+}
+
+// espeak-ng would read Fish Audio emotion tags like "(excited)" aloud
+function stripEmotionTags(text) {
+  return text.replace(/\([^)]*\)/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function runEspeak(text, espeakVoice, wpm) {
+  return new Promise((resolve, reject) => {
+    const espeak = spawn(findEspeakPath(), ['--stdout', '-v', espeakVoice, '-s', String(wpm)]);
+    const chunks = [];
+    let stderr = '';
+
+    espeak.stdout.on('data', (data) => chunks.push(data));
+    espeak.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    espeak.on('close', (code) => {
+      if (code === 0) {
+        resolve(Buffer.concat(chunks));
+      } else {
+        reject(new TTSError(`espeak-ng failed with code ${code}: ${stderr.slice(-300)}`, { code: 'provider_failed' }));
+      }
+    });
+
+    espeak.on('error', (error) => {
+      reject(new TTSError(`espeak-ng spawn error: ${error.message}`, {
+        code: 'provider_unavailable',
+        status: 503,
+        userMessage: 'Offline TTS engine is not installed',
+      }));
+    });
+
+    espeak.stdin.on('error', () => {});
+    espeak.stdin.end(text);
+  });
+}
+
+export const espeakNgProvider = {
+  name: 'espeak-ng',
+  model: 'espeak-ng',
+
+  isConfigured() {
+    return process.env.ESPEAK_NG_DISABLED !== '1' && espeakInstalled();
+  },
+
+  supportsVoice(voice) {
+    return !!ESPEAK_VOICE_MAP[voice];
+  },
+
+  async synthesize(text, voice, options = {}) {
+    const espeakVoice = ESPEAK_VOICE_MAP[voice];
+    if (!espeakVoice) {
+      throw new TTSError(`Unknown voice: ${voice}`, { code: 'invalid_voice', status: 400 });
+    }
+
+    const wpm = Math.round(DEFAULT_WPM * (options.speed || 1));
+    console.log(`Calling espeak-ng with voice ${espeakVoice} at ${wpm} wpm`);
+
+    const wav = await runEspeak(stripEmotionTags(text), espeakVoice, wpm);
+
+    // Transcode to MP3 so every provider hands back the same container
+    const result = await runFFmpeg([
+      '-f', 'wav',
+      '-i', 'pipe:0',
+      '-c:a', 'libmp3lame',
+      '-q:a', '2',
+      '-f', 'mp3',
+      'pipe:1'
+    ], { input: wav });
+
+    if (!result.success) {
+      throw new TTSError(`espeak-ng transcode failed: ${result.stderr}`, { code: 'provider_failed' });
+    }
+
+    console.log(`espeak-ng generated ${result.stdout.length} bytes`);
+
+    return { audio: result.stdout, format: 'mp3', voiceRef: espeakVoice };
+  },
+};
@@ -0,0 +1,65 @@
+// lib/tts/providers/fish-audio.js
+// Fish Audio S1 adapter (cloud, supports emotion tags)
+import { TTSError, providerHttpError, providerNetworkError } from "../errors";
+import { providerVoiceMap } from "../../voices";
+
+const FISH_AUDIO_URL = 'https://api.fish.audio/v1/tts';
+const REQUEST_TIMEOUT_MS = 45000;
+
+// Character voice names mapped to Fish Audio voice IDs (see lib/voices.js)
+export const FISH_AUDIO_VOICE_MAP = providerVoiceMap('fish-audio');
+
+export const fishAudioProvider = {
+  name: 'fish-audio',
+  model: 's1',
+
+  isConfigured() {
+    return !!process.env.FISH_AUDIO_API_KEY;
+  },
+
+  supportsVoice(voice) {
+    return !!FISH_AUDIO_VOICE_MAP[voice];
+  },
+
+  async synthesize(text, voice) {
+    const voiceId = FISH_AUDIO_VOICE_MAP[voice];
+    if (!voiceId) {
+      throw new TTSError(`Unknown voice: ${voice}`, { code: 'invalid_voice', status: 400 });
+    }
+
+    console.log(`Calling Fish Audio API with voice ${voiceId}`);
+
+    let response;
+    try {
+      response = await fetch(FISH_AUDIO_URL, {
+        method: 'POST',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        headers: {
+          'Authorization': `Bearer ${process.env.FISH_AUDIO_API_KEY}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          text,                  // Already stripped of character tags
+          reference_id: voiceId,
+          model: this.model,     // Use Fish Audio S1 for emotion support
+          format: 'mp3',
+          normalize: false,      // CRITICAL: Preserve emotion tags!
+          latency: 'normal'
+        })
+      });
+    } catch (error) {
+      throw providerNetworkError('Fish Audio', error);
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      console.error(`Fish Audio API error: ${response.status} - ${errorText}`);
+      throw providerHttpError('Fish Audio', response);
+    }
+
+    const audio = Buffer.from(await response.arrayBuffer());
+    console.log(`Fish Audio generated ${audio.length} bytes`);
+
+    return { audio, format: 'mp3', voiceRef: voiceId };
+  },
+};
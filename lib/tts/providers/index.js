@@ -0,0 +1,109 @@
+// lib/tts/providers/index.js
+// TTS provider registry. Every adapter implements:
+//   name, model, isConfigured(), supportsVoice(voice),
+//   synthesize(text, voice, options) -> { audio: Buffer, format, voiceRef }
+import { fishAudioProvider } from "./fish-audio";
+import { espeakNgProvider } from "./espeak-ng";
+import { mockProvider } from "./mock";
+import { TTSError } from "../errors";
+import { VOICE_IDS } from "../../voices";
+
+export const PROVIDERS = {
+  [fishAudioProvider.name]: fishAudioProvider,
+  [espeakNgProvider.name]: espeakNgProvider,
+  [mockProvider.name]: mockProvider,
+};
+
+// Preferred order when nothing more specific is configured
+const DEFAULT_CHAIN = ['fish-audio', 'espeak-ng'];
+
+export const VOICE_NAMES = VOICE_IDS;
+
+/* ------------------ CHARACTER TAG STRIPPING ------------------ */
+function stripCharacterTags(text) {
+  // Remove character tags like [SHAWN]:, **BRITTANY:**, etc.
+  // This allows Fish Audio to see emotion tags at the beginning of the sentence
+  return text.replace(/^\s*\*?\*?\[?[A-Z][A-Z\s\-]*\]?\*?\*?:\s*/i, '').trim();
+}
+
+/* ------------------ RESOLUTION ------------------ */
+// TTS_VOICE_PROVIDERS="shawn=espeak-ng,brittany=fish-audio"
+function voiceProviderOverrides() {
+  const overrides = {};
+  for (const pair of (process.env.TTS_VOICE_PROVIDERS || '').split(',')) {
+    const [voice, provider] = pair.split('=').map((s) => s?.trim().toLowerCase());
+    if (voice && provider) overrides[voice] = provider;
+  }
+  return overrides;
+}
+
+export function getProvider(name) {
+  return PROVIDERS[String(name || '').trim().toLowerCase()] || null;
+}
+
+/**
+ * Pick the provider for a voice.
+ * Order: explicit request -> per-voice override -> TTS_PROVIDER -> default chain.
+ * An explicitly requested provider must be usable; configured defaults
+ * that are unavailable fall through to the next candidate.
+ */
+export function resolveProvider(voice, requested) {
+  if (requested) {
+    const provider = getProvider(requested);
+    if (!provider) {
+      throw new TTSError(`Unknown TTS provider: ${requested}. Must be one of: ${Object.keys(PROVIDERS).join(', ')}`, {
+        code: 'invalid_provider',
+        status: 400,
+      });
+    }
+    if (!provider.isConfigured()) {
+      throw new TTSError(`TTS provider ${provider.name} is not configured`, {
+        code: 'not_configured',
+        status: 503,
+        userMessage: 'TTS service configuration error',
+      });
+    }
+    if (!provider.supportsVoice(voice)) {
+      throw new TTSError(`TTS provider ${provider.name} does not support voice: ${voice}`, {
+        code: 'invalid_voice',
+        status: 400,
+      });
+    }
+    return provider;
+  }
+
+  const candidates = [
+    voiceProviderOverrides()[voice],
+    process.env.TTS_PROVIDER?.trim().toLowerCase(),
+    ...DEFAULT_CHAIN,
+  ];
+
+  for (const name of candidates) {
+    const provider = getProvider(name);
+    if (provider && provider.isConfigured() && provider.supportsVoice(voice)) {
+      return provider;
+    }
+  }
+
+  throw new TTSError(`No configured TTS provider for voice: ${voice}`, {
+    code: 'not_configured',
+    status: 503,
+    userMessage: 'TTS service configuration error',
+  });
+}
+
+/**
+ * Synthesize one line of speech with the resolved provider.
+ * Returns the adapter result plus { provider, model }.
+ */
+export async function synthesizeSpeech(text, voice, options = {}) {
+  const provider = resolveProvider(voice, options.provider);
+  const cleanText = stripCharacterTags(text);
+
+  console.log(`[${provider.name}] Original text: "${text.substring(0, 100)}..."`);
+  console.log(`[${provider.name}] Cleaned text: "${cleanText.substring(0, 100)}..."`);
+
+  const result = await provider.synthesize(cleanText, voice, options);
+
+  return { ...result, provider: provider.name, model: provider.model };
+}
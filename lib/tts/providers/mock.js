@@ -0,0 +1,39 @@
+// lib/tts/providers/mock.js
+// Deterministic mock adapter for tests and offline development.
+// Produces silent MP3 whose length scales with the word count.
+
+// MPEG-1 Layer III, 128 kbps, 44.1 kHz, no padding: 417-byte frames of 1152 samples
+const FRAME_HEADER = Buffer.from([0xff, 0xfb, 0x90, 0x64]);
+const FRAME_BYTES = 417;
+const FRAME_SECONDS = 1152 / 44100;
+const SECONDS_PER_WORD = 0.35;
+
+function silentMp3(durationSeconds) {
+  const frameCount = Math.max(1, Math.ceil(durationSeconds / FRAME_SECONDS));
+  const frame = Buffer.alloc(FRAME_BYTES);
+  FRAME_HEADER.copy(frame, 0);
+  return Buffer.concat(Array.from({ length: frameCount }, () => frame));
+}
+
+export const mockProvider = {
+  name: 'mock',
+  model: 'mock',
+
+  isConfigured() {
+    return process.env.NODE_ENV !== 'production' || process.env.TTS_PROVIDER === 'mock';
+  },
+
+  supportsVoice() {
+    return true;
+  },
+
+  async synthesize(text, voice, options = {}) {
+    const words = text.split(/\s+/).filter(Boolean).length;
+    const duration = (words * SECONDS_PER_WORD) / (options.speed || 1);
+    const audio = silentMp3(duration);
+
+    console.log(`Mock TTS generated ${audio.length} bytes for ${voice}`);
+
+    return { audio, format: 'mp3', voiceRef: `mock:${voice}` };
+  },
+};
@@ -0,0 +1,58 @@
+// lib/tts/split.js
+// Splits text that is too long for one provider request. Chunks break at
+// sentence boundaries where possible, then clauses, then words; a leading
+// emotion tag like "(calm)" is repeated on every chunk so the delivery
+// stays consistent across the stitched line.
+
+const LEADING_TAG = /^(\([A-Za-z][A-Za-z\s'-]{0,40}\))\s*/;
+
+// Tried in order until every piece fits
+const BOUNDARIES = [
+  /(?<=[.!?…]["'”’)\]]*)\s+/, // sentences
+  /(?<=[,;:—–])\s+/,          // clauses
+  /\s+/,                      // words
+];
+
+function pieces(text, maxChars, level = 0) {
+  if (text.length <= maxChars) return [text];
+  if (level >= BOUNDARIES.length) {
+    const slices = [];
+    for (let i = 0; i < text.length; i += maxChars) slices.push(text.slice(i, i + maxChars));
+    return slices;
+  }
+  return text
+    .split(BOUNDARIES[level])
+    .filter(Boolean)
+    .flatMap((part) => pieces(part, maxChars, level + 1));
+}
+
+// Greedily pack pieces back together so chunks are as few as possible
+function pack(parts, maxChars) {
+  const chunks = [];
+  let current = '';
+  for (const part of parts) {
+    if (current && current.length + 1 + part.length > maxChars) {
+      chunks.push(current);
+      current = part;
+    } else {
+      current = current ? `${current} ${part}` : part;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Split `text` into chunks of at most `maxChars` characters.
+ * Text that already fits is returned as a single chunk.
+ */
+export function splitLongText(text, maxChars) {
+  if (text.length <= maxChars) return [text];
+
+  const tag = text.match(LEADING_TAG);
+  const prefix = tag ? `${tag[1]} ` : '';
+  const body = tag ? text.slice(tag[0].length) : text;
+  const room = maxChars - prefix.length;
+
+  return pack(pieces(body, room), room).map((chunk) => prefix + chunk);
+}
@@ -0,0 +1,195 @@
+// lib/video/metadata.js
+// Container metadata for exported MP4s: language tags for the soft
+// subtitle track, and an FFMETADATA file carrying title, description and
+// chapters (fed to ffmpeg as an extra input with -map_metadata/-map_chapters).
+// Shared by /api/convert-mp4 and /api/render.
+import { promises as fs } from "fs";
+import { formatSubtitles } from "../subtitles";
+
+const MAX_SEGMENTS = 5000;
+const MAX_CHAPTERS = 500;
+
+// ISO 639-1 -> ISO 639-2/T, which is what MP4 language tags use
+const ISO_639_2 = {
+  ar: 'ara', de: 'deu', en: 'eng', es: 'spa', fr: 'fra', hi: 'hin', it: 'ita', ja: 'jpn',
+  ko: 'kor', nl: 'nld', pl: 'pol', pt: 'por', ru: 'rus', sv: 'swe', tr: 'tur', zh: 'zho',
+};
+
+/**
+ * Normalize "en", "en-US" or "eng" to a three-letter MP4 language tag;
+ * anything unrecognised becomes "und" (undetermined).
+ */
+export function mp4Language(code) {
+  const value = String(code || '').trim().toLowerCase().split(/[-_]/)[0];
+  if (/^[a-z]{3}$/.test(value)) return value;
+  return ISO_639_2[value] || 'und';
+}
+
+/* ------------------ CHAPTERS ------------------ */
+/**
+ * One chapter per speaker turn, titled with the speaker's name; segments
+ * without speakers give no chapters.
+ * Returns [{ start, title }].
+ */
+export function chaptersFromSegments(segments) {
+  const chapters = [];
+  for (const segment of segments || []) {
+    if (!segment?.speaker || !Number.isFinite(Number(segment.start))) continue;
+    if (chapters[chapters.length - 1]?.title === segment.speaker) continue;
+    chapters.push({ start: Number(segment.start), title: segment.speaker });
+  }
+  return chapters;
+}
+
+// Chapters sorted, de-duplicated and closed by the next chapter (or the end)
+function closeChapters(chapters, duration) {
+  const sorted = (chapters || [])
+    .filter((c) => c && Number.isFinite(Number(c.start)) && String(c.title || '').trim())
+    .map((c) => ({ start: Math.max(0, Number(c.start)), title: String(c.title).trim().slice(0, 200) }))
+    .sort((a, b) => a.start - b.start)
+    .filter((c, i, all) => i === 0 || c.start > all[i - 1].start);
+  return sorted
+    .map((c, i) => ({ ...c, end: sorted[i + 1]?.start ?? duration }))
+    .filter((c) => c.end > c.start);
+}
+
+/* ------------------ FFMETADATA ------------------ */
+// '=', ';', '#', '\' and newlines are special in FFMETADATA values
+const escapeValue = (value) => String(value).replace(/([=;#\\\n])/g, '\\$1');
+
+/**
+ * Build an FFMETADATA1 document. `duration` (seconds) closes the last
+ * chapter. Returns null when there is nothing to write.
+ */
+export function buildFFMetadata({ title, description, chapters, duration }) {
+  const lines = [';FFMETADATA1'];
+  if (title) lines.push(`title=${escapeValue(title)}`);
+  if (description) lines.push(`description=${escapeValue(description)}`, `comment=${escapeValue(description)}`);
+
+  const closed = closeChapters(chapters, duration);
+  for (const chapter of closed) {
+    lines.push(
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(chapter.start * 1000)}`,
+      `END=${Math.round(chapter.end * 1000)}`,
+      `title=${escapeValue(chapter.title)}`
+    );
+  }
+
+  return lines.length > 1 ? `${lines.join('\n')}\n` : null;
+}
+
+/* ------------------ EXPORT FIELDS ------------------ */
+function parseJsonField(formData, name) {
+  const raw = formData.get(name);
+  if (raw === null || raw === '') return undefined;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Optional form fields riding along with a video export:
+ *   segments    - JSON caption segments, muxed as a mov_text subtitle track
+ *   language    - subtitle/audio language ("en", "en-US" or "eng")
+ *   subtitleOptions - JSON cue limits (see lib/subtitles)
+ *   title, description - container metadata
+ *   chapters    - JSON [{ start, title }]; defaults to one per speaker turn
+ * Returns { error } or { segments, language, subtitleOptions, title, description, chapters }.
+ */
+export function parseExportFields(formData) {
+  const segments = parseJsonField(formData, 'segments');
+  if (segments === null || (segments !== undefined && !Array.isArray(segments))) {
+    return { error: 'segments must be a JSON array of { start, end, text }' };
+  }
+  if (segments && segments.length > MAX_SEGMENTS) {
+    return { error: `Maximum ${MAX_SEGMENTS} segments allowed` };
+  }
+
+  const chapters = parseJsonField(formData, 'chapters');
+  if (chapters === null || (chapters !== undefined && !Array.isArray(chapters))) {
+    return { error: 'chapters must be a JSON array of { start, title }' };
+  }
+  if (chapters && chapters.length > MAX_CHAPTERS) {
+    return { error: `Maximum ${MAX_CHAPTERS} chapters allowed` };
+  }
+
+  const subtitleOptions = parseJsonField(formData, 'subtitleOptions');
+  const text = (name, max) => (formData.get(name) || '').toString().trim().slice(0, max) || undefined;
+
+  return {
+    segments: segments?.length ? segments : null,
+    language: mp4Language(formData.get('language')),
+    subtitleOptions: subtitleOptions && typeof subtitleOptions === 'object' ? subtitleOptions : {},
+    title: text('title', 200),
+    description: text('description', 2000),
+    chapters: chapters ?? chaptersFromSegments(segments).slice(0, MAX_CHAPTERS),
+  };
+}
+
+/**
+ * Write the caption SRT (when `captions` is set) and the FFMETADATA file
+ * next to `basePath`. `duration` closes the last chapter.
+ * Returns { subtitlePath, metadataPath }; either may be null.
+ */
+export async function writeExportFiles(fields, basePath, duration, { captions = true } = {}) {
+  let subtitlePath = null;
+  let metadataPath = null;
+
+  if (captions && fields.segments) {
+    const subtitles = formatSubtitles(fields.segments, 'srt', fields.subtitleOptions);
+    if (subtitles.cues) {
+      subtitlePath = `${basePath}_subs.srt`;
+      await fs.writeFile(subtitlePath, subtitles.content);
+      console.log(`Embedding ${subtitles.cues} caption cues (${fields.language})`);
+    }
+  }
+
+  const metadata = buildFFMetadata({
+    title: fields.title,
+    description: fields.description,
+    chapters: fields.chapters,
+    duration,
+  });
+  if (metadata) {
+    metadataPath = `${basePath}_meta.txt`;
+    await fs.writeFile(metadataPath, metadata);
+    console.log(`Writing metadata: ${fields.chapters.length} chapters${fields.title ? `, title "${fields.title}"` : ''}`);
+  }
+
+  return { subtitlePath, metadataPath };
+}
+
+/**
+ * ffmpeg arguments that add the export files as inputs numbered from
+ * `firstIndex`: the SRT becomes a mov_text track tagged with `language`,
+ * the FFMETADATA supplies title, description and chapters. The audio
+ * stream is tagged too when `hasAudio` says one is always mapped.
+ * Returns { inputs, outputs } to splice around the existing arguments.
+ */
+export function exportMuxArgs(firstIndex, { subtitlePath, metadataPath, language = 'und', hasAudio = false }) {
+  const inputs = [];
+  const outputs = [];
+  if (hasAudio && (subtitlePath || metadataPath)) {
+    outputs.push('-metadata:s:a:0', `language=${language}`);
+  }
+  if (subtitlePath) {
+    const index = firstIndex + inputs.length / 2;
+    inputs.push('-i', subtitlePath);
+    outputs.push(
+      '-map', `${index}:s:0`,
+      '-c:s', 'mov_text',
+      '-metadata:s:s:0', `language=${language}`,
+      '-metadata:s:s:0', 'handler_name=Captions'
+    );
+  }
+  if (metadataPath) {
+    const index = firstIndex + inputs.length / 2;
+    inputs.push('-i', metadataPath);
+    outputs.push('-map_metadata', String(index), '-map_chapters', String(index));
+  }
+  return { inputs, outputs };
+}
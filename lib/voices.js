@@ -0,0 +1,134 @@
+// lib/voices.js
+// Voice registry - the single list of characters. Shared by the client,
+// the TTS providers, /api/voices and the sample generator, so adding a
+// character means adding one entry here (plus its image and sample files).
+//
+// providers maps a TTS provider name to that provider's voice reference.
+
+export const VOICES = [
+  {
+    id: 'shawn',
+    name: 'Shawn',
+    gender: 'male',
+    language: 'en-US',
+    styles: ['professional', 'clear'],
+    color: '#2563EB',
+    image: '/characters/shawn.png',
+    sample: '/samples/shawn.mp3',
+    sampleText: "Hi, I'm Shawn. I bring professionalism and clarity to every training scenario.",
+    providers: { 'fish-audio': '536d3a5e000945adb7038665781a4aca', 'espeak-ng': 'en-us+m3' },
+  },
+  {
+    id: 'chuck',
+    name: 'Chuck',
+    gender: 'male',
+    language: 'en-US',
+    styles: ['friendly', 'engaging'],
+    color: '#3B82F6',
+    image: '/characters/chuck.png',
+    sample: '/samples/chuck.mp3',
+    sampleText: "Hey there, I'm Chuck. I make complex topics easy to understand and engaging.",
+    providers: { 'fish-audio': 'ccbc13d6002a46b7883f607fd8fe0516', 'espeak-ng': 'en-us+m1' },
+  },
+  {
+    id: 'max',
+    name: 'Max',
+    gender: 'male',
+    language: 'en-GB',
+    styles: ['confident', 'authoritative'],
+    color: '#F59E0B',
+    image: '/characters/max.png',
+    sample: '/samples/max.mp3',
+    sampleText: "Hello, I'm Max. I excel at delivering confident, authoritative training content.",
+    providers: { 'fish-audio': '37a48fabcd8241ab9b69d8675fb1fe13', 'espeak-ng': 'en-gb+m3' },
+  },
+  {
+    id: 'boomer',
+    name: 'Boomer',
+    gender: 'male',
+    language: 'en-US',
+    styles: ['mature', 'leadership'],
+    color: '#1F2937',
+    image: '/characters/boomer.png',
+    sample: '/samples/boomer.mp3',
+    sampleText: "Greetings, I'm Boomer. I bring experience and wisdom to leadership scenarios.",
+    providers: { 'fish-audio': 'ba24f05b17644498adb77243afd11dd9', 'espeak-ng': 'en-us+m7' },
+  },
+  {
+    id: 'randy',
+    name: 'Randy',
+    gender: 'male',
+    language: 'en-US',
+    styles: ['energetic', 'motivational'],
+    color: '#9CA3AF',
+    image: '/characters/randy.png',
+    sample: '/samples/randy.mp3',
+    sampleText: "Hey, I'm Randy. I deliver energetic, engaging training that keeps teams motivated.",
+    providers: { 'fish-audio': 'bf322df2096a46f18c579d0baa36f41d', 'espeak-ng': 'en-us+m4' },
+  },
+  {
+    id: 'brittany',
+    name: 'Brittany',
+    gender: 'female',
+    language: 'en-US',
+    styles: ['friendly', 'approachable'],
+    color: '#8B5CF6',
+    image: '/characters/brittany.png',
+    sample: '/samples/brittany.mp3',
+    sampleText: "Hi everyone, I'm Brittany! I specialize in friendly, approachable customer service training.",
+    providers: { 'fish-audio': '2a9605eeafe84974b5b20628d42c0060', 'espeak-ng': 'en-us+f3' },
+  },
+  {
+    id: 'kaitlyn',
+    name: 'Kaitlyn',
+    gender: 'female',
+    language: 'en-US',
+    styles: ['warm', 'authentic'],
+    color: '#EC4899',
+    image: '/characters/kaitlyn.png',
+    sample: '/samples/kaitlyn.mp3',
+    sampleText: "Hello, I'm Kaitlyn. I bring warmth and authenticity to every interaction.",
+    providers: { 'fish-audio': 'da8ae28bb18d4a1ca55eccf096f4c8da', 'espeak-ng': 'en-us+f2' },
+  },
+  {
+    id: 'sage',
+    name: 'Sage',
+    gender: 'female',
+    language: 'en-GB',
+    styles: ['calm', 'professional'],
+    color: '#10B981',
+    image: '/characters/sage.png',
+    sample: '/samples/sage.mp3',
+    sampleText: "Hi there, I'm Sage. I create calm, professional environments for effective learning.",
+    providers: { 'fish-audio': '933563129e564b19a115bedd57b7406a', 'espeak-ng': 'en-gb+f3' },
+  },
+  {
+    id: 'coral',
+    name: 'Coral',
+    gender: 'female',
+    language: 'en-US',
+    styles: ['upbeat', 'enthusiastic'],
+    color: '#F97316',
+    image: '/characters/coral.png',
+    sample: '/samples/coral.mp3',
+    sampleText: "Hello! I'm Coral. I bring enthusiasm and positivity to customer-facing scenarios.",
+    providers: { 'fish-audio': 'e107ce68d2a64e928c3a674781ce9d56', 'espeak-ng': 'en-us+f4' },
+  },
+];
+
+export const VOICE_IDS = VOICES.map((v) => v.id);
+
+const VOICES_BY_ID = Object.fromEntries(VOICES.map((v) => [v.id, v]));
+
+export function getVoice(id) {
+  return VOICES_BY_ID[String(id || '').trim().toLowerCase()] || null;
+}
+
+// { voiceId: providerVoiceRef } for every voice the provider can speak
+export function providerVoiceMap(providerName) {
+  const map = {};
+  for (const voice of VOICES) {
+    if (voice.providers[providerName]) map[voice.id] = voice.providers[providerName];
+  }
+  return map;
+}
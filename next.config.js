@@ -6,6 +6,10 @@ const nextConfig = {
   typescript: {
     ignoreBuildErrors: true,
   },
+  experimental: {
+    // Native canvas bindings for the server renderer (lib/render/video.js)
+    serverComponentsExternalPackages: ['@napi-rs/canvas'],
+  },
 }
 
 module.exports = nextConfig
\ No newline at end of file
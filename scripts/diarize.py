@@ -0,0 +1,36 @@
+#!/usr/bin/env python3
+# scripts/diarize.py
+# Local speaker diarization for /api/transcribe (the default DIARIZATION_COMMAND).
+# Usage: diarize.py <audio.wav> [num_speakers]
+# Prints [{"start": s, "end": s, "speaker": label}, ...] as JSON on stdout.
+# Needs `pip install pyannote.audio` and HF_TOKEN with access to
+# pyannote/speaker-diarization-3.1 (PYANNOTE_MODEL overrides the model).
+import json
+import os
+import sys
+
+
+def main():
+    if len(sys.argv) < 2:
+        print("usage: diarize.py <audio.wav> [num_speakers]", file=sys.stderr)
+        return 2
+
+    from pyannote.audio import Pipeline
+
+    pipeline = Pipeline.from_pretrained(
+        os.environ.get("PYANNOTE_MODEL", "pyannote/speaker-diarization-3.1"),
+        use_auth_token=os.environ.get("HF_TOKEN"),
+    )
+    options = {"num_speakers": int(sys.argv[2])} if len(sys.argv) > 2 else {}
+    diarization = pipeline(sys.argv[1], **options)
+
+    turns = [
+        {"start": round(turn.start, 3), "end": round(turn.end, 3), "speaker": speaker}
+        for turn, _, speaker in diarization.itertracks(yield_label=True)
+    ]
+    json.dump(turns, sys.stdout)
+    return 0
+
+
+if __name__ == "__main__":
+    sys.exit(main())